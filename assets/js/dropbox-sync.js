@@ -3,7 +3,11 @@
 import { initializeAuthentication } from './dropbox/auth.js';
 import { initializeOfflineHandling } from './dropbox/offline.js';
 import { initializeSyncCoordinator } from './todo-sync-coordinator.js';
+import { initializeSyncScheduler } from './todo-sync-scheduler.js';
+import { initializeChangeListener } from './todo-change-listener.js';
+import { initializeSyncSettings } from './todo-sync-settings.js';
 import { logVerbose } from './todo-logging.js';
+import { initializeStorage } from './todo-storage.js';
 
 /**
  * Initializes the complete Dropbox sync system.
@@ -12,14 +16,24 @@ import { logVerbose } from './todo-logging.js';
 async function initializeDropboxSync() {
   logVerbose('Initializing Dropbox Sync System...');
 
+  // Sync compares against stored todos, so local storage must be loaded first
+  await initializeStorage();
+
   // Initialize the coordinator first so it's ready to listen for events
   // and handle the initial sync triggered by auth/API initialization.
   initializeSyncCoordinator();
+  // Periodically syncs all known files in the background
+  initializeSyncScheduler();
+  // Syncs files as soon as they change on Dropbox (started once the API is ready)
+  initializeChangeListener();
 
   // Initialize offline handling (sets initial online/offline status and listeners)
   // It's okay to initialize this before auth, it mainly sets up listeners.
   initializeOfflineHandling();
 
+  // Sync settings dialog; starts syncing right away if a provider other than Dropbox is selected
+  initializeSyncSettings();
+
   // Initialize authentication last, as it might trigger the initial API call and sync
   const authInitialized = await initializeAuthentication();
 
@@ -56,8 +56,10 @@ export async function initializeDropboxApi(authInstance) {
     // For now, let's assume if we reach here with a valid dbx, a sync check is warranted.
     // This assumes initializeDropboxApi is called *after* coordinator is initialized
     try {
-      const { coordinateSync } = await import('../todo-sync-coordinator.js'); // Corrected path
-      await coordinateSync();
+      const { syncAllFiles } = await import('../todo-sync-scheduler.js');
+      await syncAllFiles(); // Active file first, then every other known file
+      const { startChangeListener } = await import('../todo-change-listener.js');
+      startChangeListener(); // Picks up changes made elsewhere from now on
     } catch (coordError) {
       console.error("Failed to trigger initial sync via coordinator:", coordError);
     }
@@ -128,9 +130,11 @@ export async function getDropboxFileMetadata(filePath) {
 /**
  * Downloads a specific todo list file from Dropbox.
  * @param {string} filePath - The full path of the file on Dropbox (e.g., '/todo.txt').
- * @returns {Promise<{success: boolean, content: string | null}>} A promise resolving with success status and content, or null content on failure/not found.
+ * @param {string | null} [rev=null] - Downloads this revision (see listDropboxRevisions) instead of the latest.
+ * @returns {Promise<{success: boolean, content: string | null, metadata?: object}>} A promise resolving with success status, content
+ *   and the file metadata (including `rev` and `content_hash`), or null content on failure/not found.
  */
-export async function downloadTodosFromDropbox(filePath) {
+export async function downloadTodosFromDropbox(filePath, rev = null) {
   if (!dbx) {
     console.warn('Dropbox API not initialized. Cannot download.');
     return { success: false, content: null };
@@ -143,15 +147,15 @@ export async function downloadTodosFromDropbox(filePath) {
   try {
     logVerbose(`Downloading ${filePath} from Dropbox...`);
     // updateSyncIndicator(SyncStatus.SYNCING); // Coordinator handles UI
-    const response = await dbx.filesDownload({ path: filePath });
+    const response = await dbx.filesDownload({ path: rev ? `rev:${rev}` : filePath });
     logVerbose(`Successfully downloaded metadata for ${filePath}:`, response);
 
     // filesDownload returns metadata, the content is a blob that needs to be read
-    const fileBlob = response.result.fileBlob;
+    const { fileBlob, ...metadata } = response.result;
     if (fileBlob) {
       const text = await fileBlob.text();
-      logVerbose(`Downloaded content for ${filePath} (${text.length} chars).`);
-      return { success: true, content: text };
+      logVerbose(`Downloaded content for ${filePath} (${text.length} chars, rev ${metadata.rev}).`);
+      return { success: true, content: text, metadata };
     } else {
       console.warn(`Downloaded file blob is missing for ${filePath}.`);
       // updateSyncIndicator(SyncStatus.ERROR, `Downloaded ${filePath} empty`, filePath); // Coordinator handles UI
@@ -186,20 +190,26 @@ export async function downloadTodosFromDropbox(filePath) {
 
 /**
  * Uploads the provided content to a specific file path on Dropbox.
+ * The upload only replaces the revision it is based on: with a `rev` it uses update mode,
+ * without one it only creates a new file. If the file changed on Dropbox in the meantime
+ * (or already exists), nothing is written and the result reports a conflict.
  * Handles API errors including authentication issues.
  * @param {string} filePath - The full path of the file on Dropbox (e.g., '/todo.txt').
  * @param {string} todoFileContent - The string content to upload.
- * @returns {Promise<boolean>} A promise resolving with true on success, false on failure.
+ * @param {string | null} [rev=null] - The Dropbox revision the content is based on; null if the file should not exist yet.
+ * @returns {Promise<{success: boolean, conflict: boolean, metadata?: object}>} A promise resolving with the success status,
+ *   whether the upload was rejected because of a newer Dropbox version, and on success the metadata of the
+ *   uploaded file (including `rev` and `content_hash`).
  */
-export async function uploadTodosToDropbox(filePath, todoFileContent) {
+export async function uploadTodosToDropbox(filePath, todoFileContent, rev = null) {
   if (!filePath) {
     console.error('uploadTodosToDropbox called without filePath.');
     // updateSyncIndicator(SyncStatus.ERROR, 'Upload error: No file path', null); // Coordinator handles UI
-    return false; // Indicate failure
+    return { success: false, conflict: false }; // Indicate failure
   }
   if (typeof todoFileContent !== 'string') {
     console.error('uploadTodosToDropbox called without string content.');
-    return false; // Indicate failure
+    return { success: false, conflict: false }; // Indicate failure
   }
 
   // Check online status first - Coordinator should ideally check before calling,
@@ -207,37 +217,41 @@ export async function uploadTodosToDropbox(filePath, todoFileContent) {
   if (!navigator.onLine) {
     console.warn(`Upload attempt for ${filePath} cancelled: Application is offline.`);
     // Coordinator should have set pending flag already if needed.
-    return false; // Indicate failure (cannot upload offline)
+    return { success: false, conflict: false }; // Indicate failure (cannot upload offline)
   }
 
   // Check if Dropbox API is initialized
   if (!dbx) {
     console.warn(`Dropbox API not initialized. Cannot upload ${filePath}.`);
     // updateSyncIndicator(SyncStatus.ERROR, 'Dropbox not initialized', filePath); // Coordinator handles UI
-    return false; // Indicate failure
+    return { success: false, conflict: false }; // Indicate failure
   }
 
   logVerbose(`Attempting to upload content to ${filePath} (Online)...`);
   // updateSyncIndicator(SyncStatus.SYNCING, '', filePath); // Coordinator handles UI
 
   try {
-    // --- Direct Upload ---
-    // Conflict checks are now handled by the coordinator before calling this.
-    logVerbose(`Uploading content (${todoFileContent.length} chars) to ${filePath} on Dropbox...`);
+    // --- Revision-Safe Upload ---
+    // Dropbox rejects the write if the file is no longer at `rev` (or exists although we expected none)
+    logVerbose(`Uploading content (${todoFileContent.length} chars) to ${filePath} on Dropbox (based on rev ${rev || 'none'})...`);
     const response = await dbx.filesUpload({
       path: filePath,
       contents: todoFileContent,
-      mode: 'overwrite', // Overwrite the file each time
-      autorename: false, // Don't rename if conflict (overwrite handles it)
+      mode: rev ? { '.tag': 'update', update: rev } : { '.tag': 'add' },
+      autorename: false, // Report a conflict instead of creating a "conflicted copy"
       mute: true // Don't trigger desktop notifications for the user
     });
     logVerbose(`Successfully uploaded content to ${filePath} on Dropbox:`, response);
     // setLastSyncTime(filePath); // Coordinator handles this
     // clearUploadPending(filePath); // Coordinator handles this
-    return true; // Indicate success
-    // --- End Direct Upload ---
+    return { success: true, conflict: false, metadata: response.result }; // New rev and content hash
+    // --- End Revision-Safe Upload ---
 
   } catch (error) {
+    if (error?.error?.error_summary?.startsWith('path/conflict')) {
+      logVerbose(`Upload of ${filePath} rejected: the file changed on Dropbox since rev ${rev || 'none'}.`);
+      return { success: false, conflict: true }; // Coordinator resolves the concurrent change
+    }
     console.error(`Error during upload API call for ${filePath}:`, error);
     // alert(`Error syncing ${filePath} with Dropbox: ${error?.error?.error_summary || error}`); // Coordinator handles UI
     // statusAfterUpload = SyncStatus.ERROR; // Coordinator handles UI
@@ -254,7 +268,7 @@ export async function uploadTodosToDropbox(filePath, todoFileContent) {
       // errorMessage = 'Session expired. Please reconnect.'; // Coordinator handles UI
       // alert('Dropbox connection error: Your session has expired. Please reconnect.'); // Coordinator handles UI
     }
-    return false; // Indicate failure
+    return { success: false, conflict: false }; // Indicate failure
   }
   // No finally block needed to update UI here, coordinator does it based on return value.
 }
@@ -369,3 +383,181 @@ export async function deleteDropboxFile(filePath) {
     return false;
   }
 }
+
+/**
+ * Lists the previous revisions Dropbox keeps for a file.
+ * @param {string} filePath - The full path of the file on Dropbox.
+ * @param {number} [limit=20] - The maximum number of revisions to return.
+ * @returns {Promise<Array<object> | null>} The file metadata of each revision (with `rev`,
+ *   `server_modified` and `size`), newest first, or null on failure.
+ */
+export async function listDropboxRevisions(filePath, limit = 20) {
+  if (!dbx) {
+    console.warn('Dropbox API not initialized. Cannot list revisions.');
+    return null;
+  }
+  if (!filePath) {
+    console.error('listDropboxRevisions called without filePath.');
+    return null;
+  }
+
+  try {
+    logVerbose(`Listing revisions of ${filePath} on Dropbox...`);
+    const response = await dbx.filesListRevisions({ path: filePath, limit });
+    logVerbose(`Found ${response.result.entries.length} revision(s) of ${filePath}.`);
+    return response.result.entries;
+  } catch (error) {
+    if (error?.error?.error_summary?.startsWith('path/not_found')) {
+      logVerbose(`File ${filePath} not found on Dropbox. No revisions to list.`);
+      return [];
+    }
+    const errorSummary = error?.error?.error_summary || String(error);
+    console.error(`Error listing revisions of ${filePath} on Dropbox:`, errorSummary);
+
+    // Check for invalid access token error using the specific error tag or summary string
+    const isInvalidToken = error?.error?.['.tag'] === 'invalid_access_token' || errorSummary.includes('invalid_access_token');
+    if (isInvalidToken) {
+      console.warn(`Invalid access token detected while listing revisions of ${filePath}. Logging out.`);
+      const { logoutFromDropbox } = await import('./auth.js');
+      logoutFromDropbox();
+    }
+    return null;
+  }
+}
+
+/**
+ * Returns a cursor for the current state of the whole Dropbox folder (recursively),
+ * to be used with waitForFolderChanges and listFolderChanges.
+ * @returns {Promise<string | null>} The cursor, or null on failure.
+ */
+export async function getLatestFolderCursor() {
+  if (!dbx) {
+    console.warn('Dropbox API not initialized. Cannot get folder cursor.');
+    return null;
+  }
+
+  try {
+    const response = await dbx.filesListFolderGetLatestCursor({ path: '', recursive: true });
+    logVerbose('Obtained latest Dropbox folder cursor.');
+    return response.result.cursor;
+  } catch (error) {
+    const errorSummary = error?.error?.error_summary || String(error);
+    console.error('Error getting the latest Dropbox folder cursor:', errorSummary);
+
+    // Check for invalid access token error using the specific error tag or summary string
+    const isInvalidToken = error?.error?.['.tag'] === 'invalid_access_token' || errorSummary.includes('invalid_access_token');
+    if (isInvalidToken) {
+      console.warn('Invalid access token detected while getting the folder cursor. Logging out.');
+      const { logoutFromDropbox } = await import('./auth.js');
+      logoutFromDropbox();
+    }
+    return null;
+  }
+}
+
+/**
+ * Waits until something changes in the folder since the cursor was obtained (long polling).
+ * Returns immediately if changes already happened.
+ * @param {string} cursor - A cursor from getLatestFolderCursor or listFolderChanges.
+ * @param {number} [timeout=90] - Seconds to wait for changes (30-480).
+ * @returns {Promise<{changes: boolean, backoff: number} | null>} Whether there are changes and the
+ *   number of seconds to wait before polling again (0 if none), or null on failure.
+ */
+export async function waitForFolderChanges(cursor, timeout = 90) {
+  if (!dbx) {
+    console.warn('Dropbox API not initialized. Cannot wait for folder changes.');
+    return null;
+  }
+
+  try {
+    const response = await dbx.filesListFolderLongpoll({ cursor, timeout });
+    return { changes: response.result.changes, backoff: response.result.backoff || 0 };
+  } catch (error) {
+    if (error?.error?.error_summary?.startsWith('reset')) {
+      // Report the expired cursor as a change, listFolderChanges then signals the reset
+      return { changes: true, backoff: 0 };
+    }
+    // The long poll endpoint needs no access token, so there is no session to check here
+    console.error('Error waiting for Dropbox folder changes:', error?.error?.error_summary || error);
+    return null;
+  }
+}
+
+/**
+ * Lists the entries that changed in the folder since the cursor was obtained.
+ * @param {string} cursor - A cursor from getLatestFolderCursor or a previous call.
+ * @returns {Promise<{entries: Array<object>, cursor: string | null, reset: boolean} | null>} The changed
+ *   file and deleted entries with the cursor to continue from; `reset` is true when the cursor expired
+ *   and a new one must be obtained. Null on failure.
+ */
+export async function listFolderChanges(cursor) {
+  if (!dbx) {
+    console.warn('Dropbox API not initialized. Cannot list folder changes.');
+    return null;
+  }
+
+  try {
+    const entries = [];
+    let nextCursor = cursor;
+    let hasMore = true;
+    while (hasMore) {
+      const response = await dbx.filesListFolderContinue({ cursor: nextCursor });
+      entries.push(...response.result.entries);
+      nextCursor = response.result.cursor;
+      hasMore = response.result.has_more;
+    }
+    logVerbose(`Listed ${entries.length} changed Dropbox entries.`);
+    return { entries, cursor: nextCursor, reset: false };
+  } catch (error) {
+    if (error?.error?.error_summary?.startsWith('reset')) {
+      logVerbose('Dropbox folder cursor expired. A new one is needed.');
+      return { entries: [], cursor: null, reset: true };
+    }
+    const errorSummary = error?.error?.error_summary || String(error);
+    console.error('Error listing Dropbox folder changes:', errorSummary);
+
+    // Check for invalid access token error using the specific error tag or summary string
+    const isInvalidToken = error?.error?.['.tag'] === 'invalid_access_token' || errorSummary.includes('invalid_access_token');
+    if (isInvalidToken) {
+      console.warn('Invalid access token detected while listing folder changes. Logging out.');
+      const { logoutFromDropbox } = await import('./auth.js');
+      logoutFromDropbox();
+    }
+    return null;
+  }
+}
+
+/**
+ * Lists the .txt files in the root of the app's Dropbox folder.
+ * @returns {Promise<Array<{name: string, path: string}> | null>} The files, or null on failure.
+ */
+export async function listDropboxFiles() {
+  if (!dbx) {
+    console.warn('Dropbox API not initialized. Cannot list files.');
+    return null;
+  }
+
+  try {
+    let response = await dbx.filesListFolder({ path: '', recursive: false });
+    const entries = [...response.result.entries];
+    while (response.result.has_more) {
+      response = await dbx.filesListFolderContinue({ cursor: response.result.cursor });
+      entries.push(...response.result.entries);
+    }
+    return entries
+      .filter(entry => entry['.tag'] === 'file' && entry.name.toLowerCase().endsWith('.txt'))
+      .map(entry => ({ name: entry.name, path: entry.path_lower }));
+  } catch (error) {
+    const errorSummary = error?.error?.error_summary || String(error);
+    console.error('Error listing files on Dropbox:', errorSummary);
+
+    // Check for invalid access token error using the specific error tag or summary string
+    const isInvalidToken = error?.error?.['.tag'] === 'invalid_access_token' || errorSummary.includes('invalid_access_token');
+    if (isInvalidToken) {
+      console.warn('Invalid access token detected while listing files. Logging out.');
+      const { logoutFromDropbox } = await import('./auth.js');
+      logoutFromDropbox();
+    }
+    return null;
+  }
+}
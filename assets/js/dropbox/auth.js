@@ -1,11 +1,12 @@
 'use strict';
 
-import { CLIENT_ID, REDIRECT_URI, ACCESS_TOKEN_KEY, REFRESH_TOKEN_KEY } from './config.js';
+import { CLIENT_ID, REDIRECT_URI, ACCESS_TOKEN_KEY, REFRESH_TOKEN_KEY, FOLDER_CURSOR_KEY } from './config.js';
 import { logVerbose } from '../todo-logging.js';
 import { updateAuthButton, updateSyncIndicator, SyncStatus } from './ui.js';
 import { getKnownFiles, addKnownFile } from '../todo-storage.js';
 import { initializeDropboxApi, getDbxInstance } from './api.js';
 import { updateFileSelectionUI } from '../todo-files.js';
+import { getSyncProviderId } from '../sync-provider.js';
 
 const CODE_VERIFIER_KEY = 'dropboxCodeVerifier'; // Key for sessionStorage
 
@@ -299,6 +300,7 @@ export function logoutFromDropbox() {
   refreshToken = null;
   localStorage.removeItem(ACCESS_TOKEN_KEY);
   localStorage.removeItem(REFRESH_TOKEN_KEY); // Clear refresh token
+  localStorage.removeItem(FOLDER_CURSOR_KEY); // The cursor belongs to this account
   sessionStorage.removeItem(CODE_VERIFIER_KEY); // Clear any leftover verifier
 
   // Clear the API instance by passing null
@@ -406,6 +408,10 @@ export async function getAccessToken() {
  * and adds any new ones to the local known files list.
  */
 async function discoverDropboxFiles() {
+  if (getSyncProviderId() !== 'dropbox') {
+    logVerbose('Dropbox file discovery skipped: another sync provider is selected.');
+    return;
+  }
   logVerbose('Starting Dropbox file discovery...');
   const dbx = getDbxInstance();
   if (!dbx) {
@@ -11,3 +11,4 @@ export const TODO_FILENAME = '/todo.txt';
 export const PENDING_UPLOAD_KEY = 'dropboxUploadPending';
 export const ACCESS_TOKEN_KEY = 'dropboxAccessToken';
 export const REFRESH_TOKEN_KEY = 'dropboxRefreshToken';
+export const FOLDER_CURSOR_KEY = 'dropboxFolderCursor'; // Cursor of the remote change listener
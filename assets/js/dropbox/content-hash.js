@@ -0,0 +1,30 @@
+'use strict';
+
+// Dropbox hashes files in 4 MB blocks
+// (https://www.dropbox.com/developers/reference/content-hash)
+const BLOCK_SIZE = 4 * 1024 * 1024;
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Computes the Dropbox content hash of a text as it would be uploaded (UTF-8):
+ * the SHA-256 of the concatenated SHA-256 digests of each 4 MB block, hex encoded.
+ * The result can be compared with the `content_hash` field of Dropbox file metadata.
+ * @param {string} text - The file content.
+ * @returns {Promise<string>} The hex encoded content hash.
+ */
+export async function computeContentHash(text) {
+  if (!globalThis.crypto?.subtle) {
+    throw new Error('Web Crypto is not available (the app must be served over HTTPS or from localhost).');
+  }
+  const bytes = new TextEncoder().encode(text);
+  const blockDigests = [];
+  for (let offset = 0; offset < bytes.length; offset += BLOCK_SIZE) {
+    blockDigests.push(new Uint8Array(await crypto.subtle.digest('SHA-256', bytes.subarray(offset, offset + BLOCK_SIZE))));
+  }
+  const concatenated = new Uint8Array(blockDigests.length * 32);
+  blockDigests.forEach((digest, index) => concatenated.set(digest, index * 32));
+  return toHex(await crypto.subtle.digest('SHA-256', concatenated));
+}
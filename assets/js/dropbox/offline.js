@@ -1,9 +1,9 @@
 'use strict';
 
 import { logVerbose } from '../todo-logging.js';
-import { updateSyncIndicator, SyncStatus } from './ui.js';
-import { getAccessToken } from './auth.js';
-import { getActiveFile } from '../todo-storage.js';
+import { updateSyncIndicator, setFileSyncStatus, SyncStatus } from './ui.js';
+import { getSyncProvider } from '../sync-provider.js';
+import { getActiveFile, getKnownFiles } from '../todo-storage.js';
 
 // Helper to generate dynamic keys for pending status
 function getDynamicPendingKey(filePath) {
@@ -37,7 +37,8 @@ export function setUploadPending(filePath) {
   if (!key) return;
   logVerbose(`Setting pending upload flag for ${filePath}.`);
   localStorage.setItem(key, 'true');
-  // Update UI only if this is the active file
+  setFileSyncStatus(filePath, SyncStatus.PENDING);
+  // Update the header indicator only if this is the active file
   if (filePath === getActiveFile()) {
     updateSyncIndicator(SyncStatus.PENDING, '', filePath);
   }
@@ -61,39 +62,24 @@ export function clearUploadPending(filePath) {
 
 async function handleOnlineStatus() {
   logVerbose('Application came online.');
-  const accessToken = getAccessToken();
   const activeFilePath = getActiveFile();
 
-  if (!accessToken) {
+  if (!getSyncProvider().hasCredentials()) {
     // If not logged in, status remains NOT_CONNECTED regardless of pending flags
     updateSyncIndicator(SyncStatus.NOT_CONNECTED, '', null);
     return;
   }
 
-  // Check if the *active* file has a pending upload
-  if (isUploadPending(activeFilePath)) {
-    logVerbose(`Pending upload detected for active file (${activeFilePath}). Triggering sync...`);
-    // Don't set SYNCING indicator here, let coordinateSync handle it
-    // updateSyncIndicator(SyncStatus.SYNCING, '', activeFilePath);
-
-    // Dynamically import and call the coordinator's sync function
-    try {
-      const { coordinateSync } = await import('../todo-sync-coordinator.js'); // Corrected path
-      await coordinateSync(); // Attempt sync for the active file
-      // coordinateSync will handle the final status update (IDLE or ERROR)
-    } catch (err) {
-      console.error(`Error triggering coordinateSync for ${activeFilePath} after coming online:`, err);
-      // If coordinateSync fails, it should update the indicator itself.
-      updateSyncIndicator(SyncStatus.ERROR, 'Sync after reconnect failed', activeFilePath);
-      // Keep the flag set? coordinateSync should ideally clear it on success.
-    }
-  } else {
-    // Came online, logged in, but no pending changes for the active file.
-    // A full sync check might be triggered by initialization logic anyway.
-    // Set status to IDLE for the active file for now.
-    logVerbose(`Online and no pending upload for active file (${activeFilePath}). Setting status to IDLE.`);
-    updateSyncIndicator(SyncStatus.IDLE, '', activeFilePath);
-    // For now, let's only sync if pending changes were flagged.
+  // Sync every known file: uploads edits made offline (pending flags, in any file)
+  // and picks up changes other devices made in the meantime
+  const pendingFiles = getKnownFiles().filter(file => isUploadPending(file.path));
+  logVerbose(`Syncing all files after reconnect (${pendingFiles.length} with pending uploads)...`);
+  try {
+    const { syncAllFiles } = await import('../todo-sync-scheduler.js');
+    await syncAllFiles(); // coordinateSync handles the final status update (IDLE or ERROR) per file
+  } catch (err) {
+    console.error('Error triggering sync of all files after coming online:', err);
+    updateSyncIndicator(SyncStatus.ERROR, 'Sync after reconnect failed', activeFilePath);
   }
 }
 
@@ -113,13 +99,18 @@ export function initializeOfflineHandling() {
   window.addEventListener('offline', handleOfflineStatus);
 
   // Set initial status based on current online state and active file's pending flag
-  const accessToken = getAccessToken();
+  const hasCredentials = getSyncProvider().hasCredentials();
   const activeFilePath = getActiveFile();
 
+  // Mark files with edits waiting for upload in the sidebar
+  getKnownFiles().forEach(file => {
+    if (isUploadPending(file.path)) setFileSyncStatus(file.path, SyncStatus.PENDING);
+  });
+
   if (!navigator.onLine) {
     // Use the handleOfflineStatus function to set the indicator correctly
     handleOfflineStatus();
-  } else if (!accessToken) {
+  } else if (!hasCredentials) {
     // Not logged in -> Not Connected
     updateSyncIndicator(SyncStatus.NOT_CONNECTED, '', null);
   } else if (isUploadPending(activeFilePath)) {
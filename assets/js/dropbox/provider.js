@@ -0,0 +1,75 @@
+'use strict';
+
+import {
+  getDbxInstance,
+  getDropboxFileMetadata,
+  downloadTodosFromDropbox,
+  uploadTodosToDropbox,
+  renameDropboxFile,
+  deleteDropboxFile,
+  listDropboxFiles,
+  listDropboxRevisions
+} from './api.js';
+import { ACCESS_TOKEN_KEY, REFRESH_TOKEN_KEY } from './config.js';
+
+// Converts Dropbox file metadata to the provider-neutral shape (see sync-provider.js)
+function toRemoteMetadata(metadata) {
+  return {
+    rev: metadata.rev,
+    contentHash: metadata.content_hash || null,
+    modified: metadata.server_modified || null
+  };
+}
+
+/**
+ * Sync provider backed by the Dropbox API helpers in api.js.
+ * @type {import('../sync-provider.js').SyncProvider}
+ */
+export const dropboxProvider = {
+  id: 'dropbox',
+  name: 'Dropbox',
+
+  isConnected() {
+    return Boolean(getDbxInstance());
+  },
+
+  hasCredentials() {
+    return Boolean(localStorage.getItem(ACCESS_TOKEN_KEY) || localStorage.getItem(REFRESH_TOKEN_KEY));
+  },
+
+  async getMetadata(filePath) {
+    const metadata = await getDropboxFileMetadata(filePath);
+    return metadata && metadata['.tag'] === 'file' ? toRemoteMetadata(metadata) : null;
+  },
+
+  async download(filePath, rev = null) {
+    const result = await downloadTodosFromDropbox(filePath, rev);
+    return result.metadata ? { ...result, metadata: toRemoteMetadata(result.metadata) } : result;
+  },
+
+  async upload(filePath, content, rev = null) {
+    const result = await uploadTodosToDropbox(filePath, content, rev);
+    return result.metadata ? { ...result, metadata: toRemoteMetadata(result.metadata) } : result;
+  },
+
+  rename(oldPath, newPath) {
+    return renameDropboxFile(oldPath, newPath);
+  },
+
+  delete(filePath) {
+    return deleteDropboxFile(filePath);
+  },
+
+  list() {
+    return listDropboxFiles();
+  },
+
+  async listRevisions(filePath, limit = 20) {
+    const revisions = await listDropboxRevisions(filePath, limit);
+    return revisions && revisions.map(revision => ({
+      rev: revision.rev,
+      modified: revision.server_modified,
+      size: revision.size
+    }));
+  }
+};
@@ -2,6 +2,8 @@
 
 import { logVerbose } from '../todo-logging.js';
 import { getLastSyncTime, getActiveFile } from '../todo-storage.js';
+import { diffChunks, applyMergeResolutions } from '../todo-merge.js';
+import { getSyncProvider } from '../sync-provider.js';
 
 // --- Sync Status Indicator ---
 export const SyncStatus = {
@@ -16,32 +18,16 @@ let currentSyncStatus = SyncStatus.NOT_CONNECTED; // Initialize status
 let currentFilePath = null; // Track the file path the status applies to
 
 /**
- * Updates the sync status indicator UI.
- * @param {SyncStatus} status - The new sync status.
- * @param {string} [message=''] - An optional message, typically for errors.
- * @param {string} [filePath=null] - The specific file path this status applies to. If null, defaults to the active file.
+ * Describes a sync status for display.
+ * @param {SyncStatus} status - The sync status.
+ * @param {string} message - An optional message, typically for errors.
+ * @param {string} filePath - The file the status applies to.
+ * @returns {{iconClass: string, text: string, title: string}}
  */
-export function updateSyncIndicator(status, message = '', filePath = null) {
-  const indicator = document.getElementById('syncStatusIndicator');
-  if (!indicator) return;
-
-  const relevantFilePath = filePath || getActiveFile(); // Use provided path or get active one
-
-  // Avoid unnecessary updates if status AND file path haven't changed (unless it's an error message)
-  if (status === currentSyncStatus && relevantFilePath === currentFilePath && status !== SyncStatus.ERROR) return;
-
-  logVerbose(`Updating sync indicator: ${status} for ${relevantFilePath}`, message || '');
-  currentSyncStatus = status;
-  currentFilePath = relevantFilePath; // Store the file path for the current status
-  let iconClass = '';
-  let text = '';
-  let title = 'Sync Status';
-
+function getStatusDisplay(status, message, filePath) {
   switch (status) {
   case SyncStatus.IDLE: {
-    iconClass = 'fa-solid fa-check text-success';
-    text = '';
-    const lastSyncTimestamp = getLastSyncTime(relevantFilePath);
+    const lastSyncTimestamp = getLastSyncTime(filePath);
     let syncTimeStr = 'Never';
     if (lastSyncTimestamp) {
       try {
@@ -51,54 +37,268 @@ export function updateSyncIndicator(status, message = '', filePath = null) {
         syncTimeStr = 'Invalid Date';
       }
     }
-    const fileName = relevantFilePath.substring(relevantFilePath.lastIndexOf('/') + 1);
-    title = `File: ${fileName}\nLast Sync: ${syncTimeStr}`;
-    break;
+    const fileName = filePath.substring(filePath.lastIndexOf('/') + 1);
+    return { iconClass: 'fa-solid fa-check text-success', text: '', title: `File: ${fileName}\nLast Sync: ${syncTimeStr}` };
   }
   case SyncStatus.SYNCING:
-    iconClass = 'fa-solid fa-rotate text-primary';
-    text = 'Syncing...';
-    title = 'Syncing with Dropbox...';
-    break;
+    return { iconClass: 'fa-solid fa-rotate text-primary', text: 'Syncing...', title: `Syncing with ${getSyncProvider().name}...` };
   case SyncStatus.PENDING:
-    iconClass = 'fa-solid fa-cloud-arrow-up text-warning';
-    text = 'Pending';
-    title = 'Upload pending (will sync when online)';
-    break;
+    return { iconClass: 'fa-solid fa-cloud-arrow-up text-warning', text: 'Pending', title: 'Upload pending (will sync when online)' };
   case SyncStatus.OFFLINE:
-    iconClass = 'fa-solid fa-wifi text-muted';
-    text = 'Offline';
-    title = 'Application is offline';
-    break;
+    return { iconClass: 'fa-solid fa-wifi text-muted', text: 'Offline', title: 'Application is offline' };
   case SyncStatus.ERROR:
-    iconClass = 'fa-solid fa-triangle-exclamation text-danger';
-    text = 'Error';
-    title = `Sync Error: ${message || 'Unknown error'}`;
-    break;
+    return { iconClass: 'fa-solid fa-triangle-exclamation text-danger', text: 'Error', title: `Sync Error: ${message || 'Unknown error'}` };
   case SyncStatus.NOT_CONNECTED:
   default:
-    iconClass = 'fa-solid fa-power-off text-muted';
-    text = '';
-    title = 'Not connected to Dropbox';
-    break;
+    return { iconClass: 'fa-solid fa-power-off text-muted', text: '', title: `Not connected to ${getSyncProvider().name}` };
   }
+}
 
+/**
+ * Updates the sync status indicator UI.
+ * @param {SyncStatus} status - The new sync status.
+ * @param {string} [message=''] - An optional message, typically for errors.
+ * @param {string} [filePath=null] - The specific file path this status applies to. If null, defaults to the active file.
+ */
+export function updateSyncIndicator(status, message = '', filePath = null) {
+  const indicator = document.getElementById('syncStatusIndicator');
+  if (!indicator) return;
+
+  const relevantFilePath = filePath || getActiveFile(); // Use provided path or get active one
+
+  // Avoid unnecessary updates if status AND file path haven't changed (unless it's an error message)
+  if (status === currentSyncStatus && relevantFilePath === currentFilePath && status !== SyncStatus.ERROR) return;
+
+  logVerbose(`Updating sync indicator: ${status} for ${relevantFilePath}`, message || '');
+  currentSyncStatus = status;
+  currentFilePath = relevantFilePath; // Store the file path for the current status
+
+  const { iconClass, text, title } = getStatusDisplay(status, message, relevantFilePath);
   indicator.innerHTML = `<i class="${iconClass}"></i> ${text}`;
   indicator.title = title;
 }
 
+// --- Per-File Sync Status (Sidebar) ---
+const fileSyncStatuses = new Map(); // File path -> { status, message }
+
+function renderFileSyncBadge(badge, filePath) {
+  const { status, message } = fileSyncStatuses.get(filePath) || { status: SyncStatus.IDLE, message: '' };
+  // Only states that need attention are shown; synced files stay unmarked
+  if (status === SyncStatus.IDLE || status === SyncStatus.NOT_CONNECTED) {
+    badge.innerHTML = '';
+    badge.removeAttribute('title');
+    return;
+  }
+  const { iconClass, title } = getStatusDisplay(status, message, filePath);
+  badge.innerHTML = `<i class="${iconClass}"></i>`;
+  badge.title = title;
+}
+
+/**
+ * Records the sync status of a file and updates its badge in the sidebar.
+ * Unlike updateSyncIndicator, this tracks every known file, not only the active one.
+ * @param {string} filePath - The file the status applies to.
+ * @param {SyncStatus} status - The new sync status.
+ * @param {string} [message=''] - An optional message, typically for errors.
+ */
+export function setFileSyncStatus(filePath, status, message = '') {
+  if (!filePath) return;
+  fileSyncStatuses.set(filePath, { status, message });
+  document.querySelectorAll('#fileListSidebar .file-sync-status').forEach(badge => {
+    if (badge.dataset.path === filePath) renderFileSyncBadge(badge, filePath);
+  });
+}
+
+/**
+ * Creates the sync status badge shown next to a file in the sidebar.
+ * @param {string} filePath - The file the badge describes.
+ * @returns {HTMLElement} The badge element.
+ */
+export function createFileSyncBadge(filePath) {
+  const badge = document.createElement('span');
+  badge.className = 'file-sync-status ms-2';
+  badge.dataset.path = filePath;
+  renderFileSyncBadge(badge, filePath);
+  return badge;
+}
+
+// --- Line Choice Rendering (shared by the conflict and merge modals) ---
+
+/**
+ * Builds a read-only block listing the lines one side holds for a changed region.
+ * @param {string} label - Heading for the block.
+ * @param {string[]} lines - The lines to show.
+ * @param {string} lineClass - CSS class applied to the lines (e.g. 'diff-removed').
+ * @returns {HTMLElement} The block element.
+ */
+function createConflictLinesBlock(label, lines, lineClass) {
+  const block = document.createElement('div');
+  block.className = 'col-12 col-md-6';
+  const heading = document.createElement('div');
+  heading.className = 'small fw-bold mb-1';
+  heading.textContent = label;
+  const pre = document.createElement('pre');
+  pre.className = `merge-conflict-lines mb-2 ${lines.length > 0 ? lineClass : 'text-muted'}`;
+  pre.textContent = lines.length > 0 ? lines.join('\n') : '(none)';
+  block.append(heading, pre);
+  return block;
+}
+
+/**
+ * Renders the differences between the current list and another version of it.
+ * Unchanged runs are collapsed into a note, changed regions are shown side by side.
+ * @param {HTMLElement} container - The element to render into (emptied first).
+ * @param {Array} chunks - Chunks as produced by diffChunks(currentText, versionText) in todo-merge.js.
+ * @returns {number} The number of changed regions rendered.
+ */
+export function renderVersionDiff(container, chunks) {
+  container.innerHTML = '';
+  let changeCount = 0;
+  chunks.forEach(chunk => {
+    if (chunk.type === 'ok') {
+      const note = document.createElement('div');
+      note.className = 'small text-muted mb-3';
+      note.textContent = `${chunk.lines.length} unchanged line(s)`;
+      container.appendChild(note);
+      return;
+    }
+    changeCount++;
+    const row = document.createElement('div');
+    row.className = 'row border-bottom pb-2 mb-3';
+    row.append(
+      createConflictLinesBlock('Current', chunk.local, 'diff-removed'),
+      createConflictLinesBlock('This Version', chunk.remote, 'diff-added')
+    );
+    container.appendChild(row);
+  });
+  if (changeCount === 0) {
+    container.innerHTML = '';
+    const note = document.createElement('div');
+    note.className = 'small text-muted';
+    note.textContent = 'This version is identical to the current list.';
+    container.appendChild(note);
+  }
+  return changeCount;
+}
+
+// Dialog texts name the backend files are synced with
+function updateRemoteProviderNames(modalElement) {
+  modalElement.querySelectorAll('.remote-provider-name').forEach(element => {
+    element.textContent = getSyncProvider().name;
+  });
+}
+
+/**
+ * Describes a changed region for the user.
+ * @param {{local: string[], remote: string[]}} chunk - The changed region.
+ * @param {string} remoteLabel - Name of the remote side.
+ * @returns {string} A short description.
+ */
+function describeChunk(chunk, remoteLabel) {
+  if (chunk.local.length === 0) return `Only on ${remoteLabel}`;
+  if (chunk.remote.length === 0) return 'Only on this device';
+  return 'Changed';
+}
+
+/**
+ * Renders merge chunks into a container: unchanged runs are collapsed into a note,
+ * changed regions are shown side by side with a Local / Remote / Both choice. Nothing is
+ * selected initially, so every region needs an explicit choice.
+ * @param {HTMLElement} container - The element to render into (emptied first).
+ * @param {Array} chunks - Chunks as produced by mergeThreeWay or diffChunks in todo-merge.js.
+ * @param {string} namePrefix - Prefix for the radio group names.
+ * @returns {number} The number of changed regions rendered.
+ */
+function renderChunkChoices(container, chunks, namePrefix) {
+  const remoteLabel = getSyncProvider().name;
+  container.innerHTML = '';
+  let choiceIndex = 0;
+  chunks.forEach(chunk => {
+    if (chunk.type === 'ok') {
+      const note = document.createElement('div');
+      note.className = 'small text-muted mb-3';
+      note.textContent = `${chunk.lines.length} unchanged line(s)`;
+      container.appendChild(note);
+      return;
+    }
+
+    const index = choiceIndex++;
+    const item = document.createElement('div');
+    item.className = 'merge-conflict border-bottom pb-2 mb-3';
+
+    const badge = document.createElement('span');
+    badge.className = 'badge text-bg-secondary mb-2';
+    badge.textContent = describeChunk(chunk, remoteLabel);
+
+    const row = document.createElement('div');
+    row.className = 'row';
+    row.append(
+      createConflictLinesBlock('Local', chunk.local, 'diff-removed'),
+      createConflictLinesBlock(remoteLabel, chunk.remote, 'diff-added')
+    );
+
+    const choiceGroup = document.createElement('div');
+    choiceGroup.className = 'btn-group btn-group-sm';
+    choiceGroup.setAttribute('role', 'group');
+    [['local', 'Keep Local'], ['remote', `Keep ${remoteLabel}`], ['both', 'Keep Both']].forEach(([value, label]) => {
+      const inputId = `${namePrefix}${index}_${value}`;
+      const input = document.createElement('input');
+      input.type = 'radio';
+      input.className = 'btn-check';
+      input.name = `${namePrefix}${index}`;
+      input.id = inputId;
+      input.value = value;
+      const labelElement = document.createElement('label');
+      labelElement.className = 'btn btn-outline-secondary';
+      labelElement.htmlFor = inputId;
+      labelElement.textContent = label;
+      choiceGroup.append(input, labelElement);
+    });
+
+    item.append(badge, row, choiceGroup);
+    container.appendChild(item);
+  });
+  return choiceIndex;
+}
+
+/**
+ * Reads the choices made in a container rendered by renderChunkChoices.
+ * @param {HTMLElement} container - The rendered container.
+ * @param {number} count - The number of changed regions.
+ * @param {string} namePrefix - Prefix used for the radio group names.
+ * @returns {Array<'local'|'remote'|'both'|null>} One choice per changed region (null if none was made).
+ */
+function readChunkChoices(container, count, namePrefix) {
+  const resolutions = [];
+  for (let i = 0; i < count; i++) {
+    const checked = container.querySelector(`input[name="${namePrefix}${i}"]:checked`);
+    resolutions.push(checked ? checked.value : null);
+  }
+  return resolutions;
+}
+
+// Enables a button applying the choices of a container once every region has one
+function updateApplyChoicesButton(button, container, count, namePrefix) {
+  if (button) button.disabled = readChunkChoices(container, count, namePrefix).includes(null);
+}
+
 // --- Conflict Resolution Modal ---
 let conflictModalInstance = null;
 let conflictResolver = null;
+let conflictState = null; // { chunks, choiceCount, localContent, remoteContent }
 
 /**
- * Initializes and shows the conflict resolution modal.
+ * Initializes and shows the conflict resolution modal with a side-by-side diff of
+ * the local and Dropbox versions. The user can keep either whole version or pick
+ * per changed region.
  * @param {Date} localDate - The date object for local modification time.
  * @param {Date} dropboxDate - The date object for Dropbox modification time.
  * @param {string} filePath - The path of the file with the conflict.
- * @returns {Promise<'local'|'dropbox'|null>} A promise that resolves with the user's choice ('local' or 'dropbox') or null if cancelled.
+ * @param {string} localContent - The current local file content.
+ * @param {string} remoteContent - The current Dropbox file content.
+ * @returns {Promise<{choice: 'local'|'dropbox'|'merged', content: string} | null>} A promise that resolves with the user's choice and the resulting content, or null if cancelled.
  */
-export function showConflictModal(localDate, dropboxDate, filePath) {
+export function showConflictModal(localDate, dropboxDate, filePath, localContent, remoteContent) {
   if (typeof bootstrap === 'undefined' || typeof bootstrap.Modal === 'undefined') {
     console.error('Bootstrap Modal component not found.');
     alert('UI Error: Cannot display sync conflict dialog.');
@@ -106,7 +306,8 @@ export function showConflictModal(localDate, dropboxDate, filePath) {
   }
 
   const modalElement = document.getElementById('conflictModal');
-  if (!modalElement) {
+  const diffElement = document.getElementById('conflictDiffList');
+  if (!modalElement || !diffElement) {
     console.error('Conflict modal element not found in HTML.');
     return Promise.reject('Modal element not found');
   }
@@ -121,6 +322,7 @@ export function showConflictModal(localDate, dropboxDate, filePath) {
   const dropboxTimeSpan = document.getElementById('dropboxConflictTime');
   const fileNameSpan = document.getElementById('conflictFileName');
 
+  updateRemoteProviderNames(modalElement);
   if (localTimeSpan) localTimeSpan.textContent = localDate ? localDate.toLocaleString() : 'N/A';
   if (dropboxTimeSpan) dropboxTimeSpan.textContent = dropboxDate ? dropboxDate.toLocaleString() : 'N/A';
   if (fileNameSpan && filePath) {
@@ -129,8 +331,15 @@ export function showConflictModal(localDate, dropboxDate, filePath) {
     fileNameSpan.textContent = 'Unknown File';
   }
 
+  const chunks = diffChunks(localContent, remoteContent);
+  const choiceCount = renderChunkChoices(diffElement, chunks, 'conflictChoice');
+  if (choiceCount === 0) {
+    diffElement.innerHTML = '<p class="text-muted">Both versions contain the same tasks.</p>';
+  }
+  conflictState = { chunks, choiceCount, localContent, remoteContent };
+  updateApplyChoicesButton(document.getElementById('applyConflictSelectionButton'), diffElement, choiceCount, 'conflictChoice');
 
-  logVerbose(`Showing conflict modal for file: ${filePath}`);
+  logVerbose(`Showing conflict modal for file: ${filePath} (${choiceCount} changed region(s))`);
   conflictModalInstance.show();
 
   return new Promise((resolve) => {
@@ -138,29 +347,49 @@ export function showConflictModal(localDate, dropboxDate, filePath) {
   });
 }
 
+function resolveConflict(choice) {
+  if (conflictResolver && conflictState) {
+    let content = conflictState.localContent;
+    if (choice === 'dropbox') {
+      content = conflictState.remoteContent;
+    } else if (choice === 'merged') {
+      const diffElement = document.getElementById('conflictDiffList');
+      const resolutions = readChunkChoices(diffElement, conflictState.choiceCount, 'conflictChoice');
+      content = applyMergeResolutions(conflictState.chunks, resolutions);
+    }
+    conflictResolver({ choice, content });
+    conflictResolver = null;
+    conflictState = null;
+  }
+  if (conflictModalInstance) conflictModalInstance.hide();
+}
+
 function setupConflictModalListeners(modalElement) {
   const keepLocalBtn = document.getElementById('keepLocalButton');
   const keepDropboxBtn = document.getElementById('keepDropboxButton');
+  const applySelectionBtn = document.getElementById('applyConflictSelectionButton');
 
   if (keepLocalBtn) {
     keepLocalBtn.addEventListener('click', () => {
       logVerbose('Conflict modal: "Keep Local" clicked.');
-      if (conflictResolver) {
-        conflictResolver('local');
-        conflictResolver = null;
-      }
-      if (conflictModalInstance) conflictModalInstance.hide();
+      resolveConflict('local');
     });
   }
 
   if (keepDropboxBtn) {
     keepDropboxBtn.addEventListener('click', () => {
       logVerbose('Conflict modal: "Keep Dropbox" clicked.');
-      if (conflictResolver) {
-        conflictResolver('dropbox');
-        conflictResolver = null;
-      }
-      if (conflictModalInstance) conflictModalInstance.hide();
+      resolveConflict('dropbox');
+    });
+  }
+
+  if (applySelectionBtn) {
+    applySelectionBtn.addEventListener('click', () => {
+      logVerbose('Conflict modal: "Apply Selection" clicked.');
+      resolveConflict('merged');
+    });
+    document.getElementById('conflictDiffList')?.addEventListener('change', () => {
+      if (conflictState) updateApplyChoicesButton(applySelectionBtn, document.getElementById('conflictDiffList'), conflictState.choiceCount, 'conflictChoice');
     });
   }
 
@@ -185,6 +414,84 @@ function setupConflictModalListeners(modalElement) {
   logVerbose('Conflict modal listeners attached.');
 }
 
+// --- Merge Conflict Modal ---
+let mergeModalInstance = null;
+let mergeResolver = null;
+let mergeConflictCount = 0;
+
+/**
+ * Shows the lines that were edited both locally and on Dropbox and lets the user
+ * decide, per conflicting region, which version to keep.
+ * @param {Array<{local: string[], remote: string[]}>} conflicts - Conflicting regions from the three-way merge.
+ * @param {string} filePath - The path of the file being merged.
+ * @returns {Promise<Array<'local'|'remote'|'both'> | null>} One choice per conflict, or null if cancelled.
+ */
+export function showMergeConflictModal(conflicts, filePath) {
+  if (typeof bootstrap === 'undefined' || typeof bootstrap.Modal === 'undefined') {
+    console.error('Bootstrap Modal component not found.');
+    alert('UI Error: Cannot display merge conflict dialog.');
+    return Promise.reject('Bootstrap Modal not available');
+  }
+
+  const modalElement = document.getElementById('mergeConflictModal');
+  const listElement = document.getElementById('mergeConflictList');
+  if (!modalElement || !listElement) {
+    console.error('Merge conflict modal element not found in HTML.');
+    return Promise.reject('Modal element not found');
+  }
+
+  if (!mergeModalInstance) {
+    mergeModalInstance = new bootstrap.Modal(modalElement, { backdrop: 'static', keyboard: false });
+    logVerbose('Merge conflict modal instance created.');
+    setupMergeConflictModalListeners(modalElement);
+  }
+
+  updateRemoteProviderNames(modalElement);
+  const fileNameSpan = document.getElementById('mergeConflictFileName');
+  if (fileNameSpan) {
+    fileNameSpan.textContent = filePath ? filePath.substring(filePath.lastIndexOf('/') + 1) : 'Unknown File';
+  }
+
+  mergeConflictCount = renderChunkChoices(listElement, conflicts, 'mergeChoice');
+  updateApplyChoicesButton(document.getElementById('applyMergeButton'), listElement, mergeConflictCount, 'mergeChoice');
+
+  logVerbose(`Showing merge conflict modal for ${filePath} with ${conflicts.length} conflict(s).`);
+  mergeModalInstance.show();
+
+  return new Promise((resolve) => {
+    mergeResolver = resolve;
+  });
+}
+
+function setupMergeConflictModalListeners(modalElement) {
+  const applyBtn = document.getElementById('applyMergeButton');
+
+  if (applyBtn) {
+    applyBtn.addEventListener('click', () => {
+      const listElement = document.getElementById('mergeConflictList');
+      const resolutions = readChunkChoices(listElement, mergeConflictCount, 'mergeChoice');
+      logVerbose('Merge conflict modal: choices applied.', resolutions);
+      if (mergeResolver) {
+        mergeResolver(resolutions);
+        mergeResolver = null;
+      }
+      if (mergeModalInstance) mergeModalInstance.hide();
+    });
+    document.getElementById('mergeConflictList')?.addEventListener('change', () => {
+      updateApplyChoicesButton(applyBtn, document.getElementById('mergeConflictList'), mergeConflictCount, 'mergeChoice');
+    });
+  }
+
+  modalElement.addEventListener('hidden.bs.modal', () => {
+    if (mergeResolver) {
+      logVerbose('Merge conflict modal hidden without applying choices.');
+      mergeResolver(null);
+      mergeResolver = null;
+    }
+  });
+  logVerbose('Merge conflict modal listeners attached.');
+}
+
 // --- Auth Button ---
 
 /**
@@ -0,0 +1,254 @@
+'use strict';
+
+import { logVerbose } from '../todo-logging.js';
+
+// The file store API of node-server.js (see server/files-router.js), on the server hosting the app
+const FILES_API_URL = new URL('../../../api/files', import.meta.url).href;
+// Its change notifications (see server/change-notifier.js)
+const CHANGES_SOCKET_URL = new URL('../../../api/changes', import.meta.url);
+// Its login endpoints (see server/auth.js), answering only when the store is enabled
+const API_URL = new URL('../../../api', import.meta.url).href;
+
+// File paths are '/<name>.txt'; the store only holds files at its top level
+function getFileUrl(filePath) {
+  return `${FILES_API_URL}/${encodeURIComponent(filePath.replace(/^\/+/, ''))}`;
+}
+
+function getResponseMetadata(response) {
+  const lastModified = response.headers.get('Last-Modified');
+  return {
+    rev: response.headers.get('ETag'),
+    contentHash: null, // The ETag is a hash of the content, so equal ETags mean equal content
+    modified: lastModified ? new Date(lastModified).toISOString() : null
+  };
+}
+
+/**
+ * Returns the WebSocket URL on which the server pushes changes of its files.
+ * @returns {string} The ws: or wss: URL.
+ */
+export function getServerChangesUrl() {
+  const url = new URL(CHANGES_SOCKET_URL);
+  url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+  return url.href;
+}
+
+// Requests the store API; a 401 means the login is missing or has expired, which the
+// login dialog takes care of (see server/auth.js)
+async function fetchFromStore(url, options) {
+  const response = await fetch(url, options);
+  if (response.status === 401) {
+    document.dispatchEvent(new CustomEvent('serverAuthRequired'));
+  }
+  return response;
+}
+
+async function getErrorMessage(response) {
+  try {
+    return (await response.json()).error || `status ${response.status}`;
+  } catch (e) {
+    return `status ${response.status}`;
+  }
+}
+
+/**
+ * Fetches the metadata of a file in the server store.
+ * @param {string} filePath - The file path (e.g. '/todo.txt').
+ * @returns {Promise<{rev: string, contentHash: null, modified: string | null} | null>} The metadata,
+ *   or null if the file does not exist or the request failed.
+ */
+export async function getServerFileMetadata(filePath) {
+  try {
+    const response = await fetchFromStore(getFileUrl(filePath), { method: 'HEAD', cache: 'no-store' });
+    if (response.status === 404) {
+      logVerbose(`File ${filePath} not found on the server.`);
+      return null;
+    }
+    if (!response.ok) {
+      console.error(`Error fetching metadata for ${filePath} from the server: status ${response.status}`);
+      return null;
+    }
+    return getResponseMetadata(response);
+  } catch (error) {
+    console.error(`Error fetching metadata for ${filePath} from the server:`, error);
+    return null;
+  }
+}
+
+/**
+ * Downloads a file from the server store.
+ * @param {string} filePath - The file path.
+ * @returns {Promise<{success: boolean, content: string | null, metadata?: object}>} The content and metadata;
+ *   success with null content if the file does not exist.
+ */
+export async function downloadServerFile(filePath) {
+  try {
+    logVerbose(`Downloading ${filePath} from the server...`);
+    const response = await fetchFromStore(getFileUrl(filePath), { cache: 'no-store' });
+    if (response.status === 404) {
+      logVerbose(`File ${filePath} not found on the server.`);
+      return { success: true, content: null };
+    }
+    if (!response.ok) {
+      console.error(`Error downloading ${filePath} from the server:`, await getErrorMessage(response));
+      return { success: false, content: null };
+    }
+    return { success: true, content: await response.text(), metadata: getResponseMetadata(response) };
+  } catch (error) {
+    console.error(`Error downloading ${filePath} from the server:`, error);
+    return { success: false, content: null };
+  }
+}
+
+/**
+ * Uploads a file to the server store. With an ETag the upload only succeeds if the file
+ * is still at that version; without one it only creates the file.
+ * @param {string} filePath - The file path.
+ * @param {string} content - The content to upload.
+ * @param {string | null} [rev=null] - The ETag the content is based on.
+ * @returns {Promise<{success: boolean, conflict: boolean, metadata?: object}>} The result; `conflict`
+ *   if the server holds a different version.
+ */
+export async function uploadServerFile(filePath, content, rev = null) {
+  try {
+    logVerbose(`Uploading ${filePath} to the server (${rev ? `if at ${rev}` : 'new file'})...`);
+    const response = await fetchFromStore(getFileUrl(filePath), {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'text/plain; charset=utf-8',
+        ...(rev ? { 'If-Match': rev } : { 'If-None-Match': '*' })
+      },
+      body: content
+    });
+    if (response.status === 412) {
+      logVerbose(`Upload of ${filePath} rejected: the file changed on the server.`);
+      return { success: false, conflict: true };
+    }
+    if (!response.ok) {
+      console.error(`Error uploading ${filePath} to the server:`, await getErrorMessage(response));
+      return { success: false, conflict: false };
+    }
+    return { success: true, conflict: false, metadata: getResponseMetadata(response) };
+  } catch (error) {
+    console.error(`Error uploading ${filePath} to the server:`, error);
+    return { success: false, conflict: false };
+  }
+}
+
+/**
+ * Renames a file in the server store without overwriting an existing file.
+ * @param {string} oldPath - The current path.
+ * @param {string} newPath - The new path.
+ * @returns {Promise<boolean>} True if successful.
+ */
+export async function renameServerFile(oldPath, newPath) {
+  try {
+    const response = await fetchFromStore(`${getFileUrl(oldPath)}/rename`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ newName: newPath.replace(/^\/+/, '') })
+    });
+    if (!response.ok) {
+      console.error(`Error renaming "${oldPath}" to "${newPath}" on the server:`, await getErrorMessage(response));
+      return false;
+    }
+    return true;
+  } catch (error) {
+    console.error(`Error renaming "${oldPath}" to "${newPath}" on the server:`, error);
+    return false;
+  }
+}
+
+/**
+ * Deletes a file in the server store.
+ * @param {string} filePath - The file path.
+ * @returns {Promise<boolean>} True if successful.
+ */
+export async function deleteServerFile(filePath) {
+  try {
+    const response = await fetchFromStore(getFileUrl(filePath), { method: 'DELETE' });
+    if (!response.ok) {
+      console.error(`Error deleting "${filePath}" on the server:`, await getErrorMessage(response));
+      return false;
+    }
+    return true;
+  } catch (error) {
+    console.error(`Error deleting "${filePath}" on the server:`, error);
+    return false;
+  }
+}
+
+/**
+ * Lists the files in the server store. Also used to check that the store is enabled.
+ * @returns {Promise<Array<{name: string, path: string}> | null>} The files, or null on failure.
+ */
+export async function listServerFiles() {
+  try {
+    const response = await fetchFromStore(FILES_API_URL, { cache: 'no-store' });
+    if (!response.ok) {
+      console.error('Error listing files on the server:', await getErrorMessage(response));
+      return null;
+    }
+    return (await response.json()).map(file => ({ name: file.name, path: file.path }));
+  } catch (error) {
+    console.error('Error listing files on the server:', error);
+    return null;
+  }
+}
+
+/**
+ * Fetches the login state of the app on the server.
+ * @returns {Promise<{authRequired: boolean, user: string | null} | null>} The state, or null
+ *   if the server has no file store or could not be reached.
+ */
+export async function getServerSession() {
+  try {
+    const response = await fetch(`${API_URL}/session`, { cache: 'no-store' });
+    if (!response.ok || !(response.headers.get('Content-Type') || '').includes('application/json')) {
+      logVerbose(`No file store session on the server (status ${response.status}).`);
+      return null;
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching the session from the server:', error);
+    return null;
+  }
+}
+
+/**
+ * Logs in to the server; the session is kept in a cookie.
+ * @param {string} username - The user name.
+ * @param {string} password - The password.
+ * @returns {Promise<{success: boolean, user?: string, error?: string}>} The logged in user, or
+ *   the error to show.
+ */
+export async function loginToServer(username, password) {
+  try {
+    const response = await fetch(`${API_URL}/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password })
+    });
+    if (!response.ok) {
+      return { success: false, error: await getErrorMessage(response) };
+    }
+    return { success: true, user: (await response.json()).user };
+  } catch (error) {
+    console.error('Error logging in to the server:', error);
+    return { success: false, error: 'Could not reach the server.' };
+  }
+}
+
+/**
+ * Ends the session on the server.
+ * @returns {Promise<boolean>} True if successful.
+ */
+export async function logoutFromServer() {
+  try {
+    const response = await fetch(`${API_URL}/logout`, { method: 'POST' });
+    return response.ok;
+  } catch (error) {
+    console.error('Error logging out from the server:', error);
+    return false;
+  }
+}
@@ -0,0 +1,120 @@
+'use strict';
+
+import { getServerSession, loginToServer, logoutFromServer } from './api.js';
+import { updateSyncIndicator, SyncStatus } from '../dropbox/ui.js';
+import { getSyncProviderId } from '../sync-provider.js';
+import { logVerbose } from '../todo-logging.js';
+
+let session = { authRequired: false, user: null }; // Login state, as reported by the server
+let serverLoginModalInstance = null;
+let loginPromptOpen = false;
+let onLoginCallback = null;
+
+/**
+ * Whether requests to the server store can be made: the server has no users configured,
+ * or the app is logged in.
+ * @returns {boolean}
+ */
+export function isServerLoggedIn() {
+  return !session.authRequired || Boolean(session.user);
+}
+
+/**
+ * Returns the login state.
+ * @returns {{authRequired: boolean, user: string | null}} The login state.
+ */
+export function getServerLoginState() {
+  return { ...session };
+}
+
+/**
+ * Fetches the login state from the server.
+ * @returns {Promise<{authRequired: boolean, user: string | null} | null>} The state, or null if
+ *   the server has no file store or could not be reached (the last known state is kept).
+ */
+export async function refreshServerSession() {
+  const result = await getServerSession();
+  if (result) session = { authRequired: Boolean(result.authRequired), user: result.user || null };
+  return result;
+}
+
+/**
+ * Shows the login dialog of the server.
+ */
+export function showServerLogin() {
+  const modalElement = document.getElementById('serverLoginModal');
+  if (!modalElement) {
+    console.error("Server Login Modal element not found in HTML.");
+    return;
+  }
+  if (!serverLoginModalInstance) {
+    serverLoginModalInstance = new bootstrap.Modal(modalElement);
+    modalElement.addEventListener('hidden.bs.modal', () => {
+      loginPromptOpen = false;
+    });
+  }
+  if (loginPromptOpen) return;
+  loginPromptOpen = true;
+  $('#serverPasswordInput').val('');
+  serverLoginModalInstance.show();
+}
+
+async function submitLogin() {
+  const username = $('#serverUsernameInput').val().trim();
+  const password = $('#serverPasswordInput').val();
+  if (!username || !password) {
+    showNotification('Error: Enter your user name and password.', 'alert');
+    return;
+  }
+
+  $('#serverLoginButton').prop('disabled', true);
+  const result = await loginToServer(username, password);
+  $('#serverLoginButton').prop('disabled', false);
+  if (!result.success) {
+    showNotification(`Error: ${result.error}`, 'alert');
+    $('#serverPasswordInput').val('').focus();
+    return;
+  }
+
+  session = { authRequired: true, user: result.user };
+  logVerbose(`Logged in to the server as ${result.user}.`);
+  serverLoginModalInstance.hide();
+  showNotification(`Logged in as ${result.user}.`, 'success');
+  if (onLoginCallback) await onLoginCallback();
+}
+
+/**
+ * Logs out from the server. The files stay on this device, like when logging out from Dropbox.
+ */
+export async function logoutServerUser() {
+  logVerbose('Logging out from the server...');
+  await logoutFromServer();
+  session = { ...session, user: null };
+  updateSyncIndicator(SyncStatus.NOT_CONNECTED, '', null);
+  showNotification('Logged out from the server. Your files stay on this device.', 'info');
+}
+
+// A request was refused: the session expired or the server was restarted
+function handleAuthRequired() {
+  if (getSyncProviderId() !== 'server') return;
+  const wasLoggedIn = Boolean(session.user);
+  session = { authRequired: true, user: null };
+  updateSyncIndicator(SyncStatus.NOT_CONNECTED, '', null);
+  if (wasLoggedIn) {
+    showNotification('Your server session has ended. Log in again to keep syncing.', 'warning');
+  }
+  showServerLogin();
+}
+
+/**
+ * Wires the login dialog of the server.
+ * @param {Function} onLogin - Called after logging in, to start syncing.
+ */
+export function initializeServerAuth(onLogin) {
+  onLoginCallback = onLogin;
+  $('#serverLoginForm').on('submit', function(e) {
+    e.preventDefault();
+    submitLogin();
+  });
+  document.addEventListener('serverAuthRequired', handleAuthRequired);
+}
@@ -0,0 +1,59 @@
+'use strict';
+
+import {
+  getServerFileMetadata,
+  downloadServerFile,
+  uploadServerFile,
+  renameServerFile,
+  deleteServerFile,
+  listServerFiles
+} from './api.js';
+import { isServerLoggedIn } from './auth.js';
+
+/**
+ * Sync provider for the file store of node-server.js (started with --data-dir), so the
+ * app and its files can be hosted together without a third-party service.
+ * @type {import('../sync-provider.js').SyncProvider}
+ */
+export const serverProvider = {
+  id: 'server',
+  name: 'Server',
+
+  // The store is on the server the app is loaded from; selecting it checks that it is enabled.
+  // If the server has users configured, the app must be logged in.
+  isConnected() {
+    return isServerLoggedIn();
+  },
+
+  hasCredentials() {
+    return isServerLoggedIn();
+  },
+
+  getMetadata(filePath) {
+    return getServerFileMetadata(filePath);
+  },
+
+  download(filePath, rev = null) {
+    if (rev) {
+      console.warn('Server provider cannot download earlier revisions.');
+      return Promise.resolve({ success: false, content: null });
+    }
+    return downloadServerFile(filePath);
+  },
+
+  upload(filePath, content, rev = null) {
+    return uploadServerFile(filePath, content, rev);
+  },
+
+  rename(oldPath, newPath) {
+    return renameServerFile(oldPath, newPath);
+  },
+
+  delete(filePath) {
+    return deleteServerFile(filePath);
+  },
+
+  list() {
+    return listServerFiles();
+  }
+};
@@ -0,0 +1,96 @@
+'use strict';
+
+import { getKnownFiles, addKnownFile, setSyncedVersion } from './todo-storage.js';
+import { dropboxProvider } from './dropbox/provider.js';
+import { webdavProvider } from './webdav/provider.js';
+import { serverProvider } from './server/provider.js';
+import { logVerbose } from './todo-logging.js';
+
+/**
+ * Normalized metadata of a remote file.
+ * @typedef {object} RemoteFileMetadata
+ * @property {string | null} rev - Opaque version identifier; uploads based on it fail if the file changed since.
+ *   Null after a download or upload if the backend did not report the new version, so the next sync merges.
+ * @property {string | null} contentHash - Dropbox-style content hash (see dropbox/content-hash.js), or null
+ *   if the backend has none. Without it, changes are detected by comparing revisions.
+ * @property {string | null} modified - ISO date of the last modification on the server.
+ */
+
+/**
+ * A storage backend the sync coordinator can talk to. All methods resolve instead of
+ * throwing and report failures through their return values, like the Dropbox helpers.
+ * @typedef {object} SyncProvider
+ * @property {string} id - Identifier stored in the settings.
+ * @property {string} name - Name shown to the user (e.g. in conflict dialogs).
+ * @property {function(): boolean} isConnected - Whether the backend is set up and ready to sync.
+ * @property {function(): boolean} hasCredentials - Whether the user has signed in (the connection may still be initializing).
+ * @property {function(string): Promise<RemoteFileMetadata | null>} getMetadata - Metadata of a file, or null if it does not exist or the request failed.
+ * @property {function(string, string=): Promise<{success: boolean, content: string | null, metadata?: RemoteFileMetadata}>} download -
+ *   Downloads a file (optionally a revision); success with null content means the file does not exist.
+ * @property {function(string, string, string=): Promise<{success: boolean, conflict: boolean, metadata?: RemoteFileMetadata}>} upload -
+ *   Uploads on top of the given revision (or only creates the file without one); `conflict` if the file changed meanwhile.
+ * @property {function(string, string): Promise<boolean>} rename - Renames (moves) a file.
+ * @property {function(string): Promise<boolean>} delete - Deletes a file.
+ * @property {function(): Promise<Array<{name: string, path: string}> | null>} list - The .txt files in the root folder, or null on failure.
+ * @property {function(string, number=): Promise<Array<{rev: string, modified: string, size: number}> | null>} [listRevisions] -
+ *   Earlier versions of a file, newest first (optional; only if the backend keeps revisions).
+ */
+
+// localStorage key of the selected backend (a global setting, like the switches in todo-switch.js)
+const SYNC_PROVIDER_KEY = 'todoWebAppSyncProvider';
+const DEFAULT_PROVIDER_ID = 'dropbox';
+
+export const SYNC_PROVIDERS = {
+  [dropboxProvider.id]: dropboxProvider,
+  [webdavProvider.id]: webdavProvider,
+  [serverProvider.id]: serverProvider
+};
+
+export function getSyncProviderId() {
+  const providerId = localStorage.getItem(SYNC_PROVIDER_KEY);
+  return SYNC_PROVIDERS[providerId] ? providerId : DEFAULT_PROVIDER_ID;
+}
+
+/**
+ * Returns the backend files are synced with.
+ * @returns {SyncProvider}
+ */
+export function getSyncProvider() {
+  return SYNC_PROVIDERS[getSyncProviderId()];
+}
+
+/**
+ * Selects the backend files are synced with. The recorded remote versions belong to the
+ * previous backend and are forgotten, so the next sync merges each file against its last
+ * synced content instead of overwriting either side.
+ * @param {string} providerId - A key of SYNC_PROVIDERS.
+ */
+export function setSyncProvider(providerId) {
+  if (!SYNC_PROVIDERS[providerId]) {
+    console.error(`Unknown sync provider "${providerId}".`);
+    return;
+  }
+  if (providerId === getSyncProviderId()) return;
+  localStorage.setItem(SYNC_PROVIDER_KEY, providerId);
+  getKnownFiles().forEach(file => setSyncedVersion(file.path, null));
+  logVerbose(`Sync provider changed to ${SYNC_PROVIDERS[providerId].name}.`);
+}
+
+/**
+ * Adds the .txt files found in the root folder of the current backend to the known files.
+ * @returns {Promise<number | null>} The number of files added, or null if listing failed.
+ */
+export async function discoverRemoteFiles() {
+  const provider = getSyncProvider();
+  const remoteFiles = await provider.list();
+  if (!remoteFiles) return null;
+  const knownPaths = new Set(getKnownFiles().map(file => file.path.toLowerCase()));
+  let added = 0;
+  remoteFiles.forEach(file => {
+    if (knownPaths.has(file.path.toLowerCase())) return;
+    addKnownFile(file.name, file.path);
+    added++;
+  });
+  logVerbose(`Discovered ${remoteFiles.length} file(s) on ${provider.name}, ${added} new.`);
+  return added;
+}
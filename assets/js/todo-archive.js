@@ -0,0 +1,247 @@
+/* global jsTodoTxt */
+'use strict';
+
+import {
+  getActiveFile, getKnownFiles, addKnownFile, generateUniqueId, getTodosFromStorage, saveTodosToStorage,
+  getLocalLastModified, setLastArchiveBatch, getLastArchiveBatch, DEFAULT_FILE_PATH
+} from './todo-storage.js';
+import { coordinateSync } from './todo-sync-coordinator.js';
+import { loadTodos } from './todo-load.js';
+import { updateFileSelectionUI } from './todo-files.js';
+import { todoList } from './todo.js';
+import { logVerbose } from './todo-logging.js';
+
+// localStorage key for the automatic archiving setting (0 or missing = disabled)
+const ARCHIVE_AFTER_DAYS_KEY = 'todoWebAppArchiveAfterDays';
+const DONE_FILE_SUFFIX = 'done.txt';
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+let archiveModalInstance = null;
+
+function getFileName(filePath) {
+  return filePath.substring(filePath.lastIndexOf('/') + 1);
+}
+
+/**
+ * Checks whether a file is a done file (done.txt or <name>-done.txt).
+ * @param {string} filePath - The file path to check.
+ * @returns {boolean}
+ */
+export function isDoneFile(filePath) {
+  const fileName = getFileName(filePath);
+  return fileName === DONE_FILE_SUFFIX || fileName.endsWith(`-${DONE_FILE_SUFFIX}`);
+}
+
+/**
+ * Returns the path of the done file that receives the archived tasks of a file.
+ * The default todo.txt archives into done.txt, any other file into <name>-done.txt
+ * in the same folder.
+ * @param {string} filePath - The todo file path.
+ * @returns {string} The done file path.
+ */
+export function getDoneFilePath(filePath) {
+  if (filePath === DEFAULT_FILE_PATH) return `/${DONE_FILE_SUFFIX}`;
+  const baseName = filePath.replace(/\.txt$/i, '');
+  return `${baseName}-${DONE_FILE_SUFFIX}`;
+}
+
+/**
+ * Returns the configured number of days after which completed tasks are archived automatically.
+ * @returns {number} The number of days, or 0 if automatic archiving is disabled.
+ */
+export function getArchiveAfterDays() {
+  const days = parseInt(localStorage.getItem(ARCHIVE_AFTER_DAYS_KEY), 10);
+  return Number.isInteger(days) && days > 0 ? days : 0;
+}
+
+function setArchiveAfterDays(days) {
+  if (days > 0) {
+    localStorage.setItem(ARCHIVE_AFTER_DAYS_KEY, String(days));
+  } else {
+    localStorage.removeItem(ARCHIVE_AFTER_DAYS_KEY);
+  }
+}
+
+// Whole local days elapsed since a todo.txt date (YYYY-MM-DD)
+function daysSince(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const today = new Date();
+  const startOfToday = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  return Math.round((startOfToday - new Date(year, month - 1, day)) / MS_PER_DAY);
+}
+
+/**
+ * Makes sure the done file is known and holds its current content before tasks are appended,
+ * so an existing done file on Dropbox is downloaded instead of being overwritten.
+ * @param {string} doneFilePath - The done file path.
+ */
+async function prepareDoneFile(doneFilePath) {
+  const doneFileName = getFileName(doneFilePath);
+  if (!getKnownFiles().some(file => file.path === doneFilePath)) {
+    addKnownFile(doneFileName, doneFilePath);
+    updateFileSelectionUI();
+    logVerbose(`Added done file ${doneFilePath} to known files.`);
+  }
+  if (!getLocalLastModified(doneFilePath)) {
+    // Never loaded on this device: fetch it first (no-op when not connected to Dropbox)
+    await coordinateSync(doneFilePath);
+  }
+}
+
+/**
+ * Moves completed tasks of a file into its done file.
+ * Both files are saved through the regular storage path, so they are synced like any other change.
+ * @param {string} [filePath] - The file to archive. Defaults to the active file.
+ * @param {number} [olderThanDays=0] - Only archive tasks completed at least this many days ago.
+ *   Tasks without a completion date are only archived when this is 0.
+ * @returns {Promise<number>} The number of archived tasks.
+ */
+export async function archiveCompletedTasks(filePath = getActiveFile(), olderThanDays = 0) {
+  if (isDoneFile(filePath)) {
+    logVerbose(`Skipping archive of ${filePath}: it is a done file.`);
+    return 0;
+  }
+
+  const isArchivable = todo => {
+    const item = new jsTodoTxt.Item(todo.text);
+    if (!item.complete()) return false;
+    if (olderThanDays <= 0) return true;
+    // "x YYYY-MM-DD task" without a creation date is parsed with the date as created()
+    const completedDate = item.completedToString() || item.createdToString();
+    return Boolean(completedDate) && daysSince(completedDate) >= olderThanDays;
+  };
+  if (!getTodosFromStorage(filePath).some(isArchivable)) return 0;
+
+  const doneFilePath = getDoneFilePath(filePath);
+  await prepareDoneFile(doneFilePath);
+
+  // Re-read after the (possibly) awaited sync so no concurrent change is lost
+  const todos = getTodosFromStorage(filePath);
+  const archived = todos.filter(isArchivable);
+  if (archived.length === 0) return 0;
+
+  const doneTodos = getTodosFromStorage(doneFilePath);
+  archived.forEach(todo => doneTodos.push({ id: generateUniqueId(), text: todo.text }));
+  saveTodosToStorage(doneTodos, doneFilePath);
+  saveTodosToStorage(todos.filter(todo => !archived.includes(todo)), filePath);
+  setLastArchiveBatch(filePath, {
+    doneFilePath,
+    lines: archived.map(todo => todo.text),
+    timestamp: new Date().toISOString()
+  });
+
+  logVerbose(`Archived ${archived.length} completed task(s) from ${filePath} to ${doneFilePath}.`);
+  if (filePath === getActiveFile()) loadTodos(todoList);
+  return archived.length;
+}
+
+/**
+ * Moves the tasks of the most recent archive of a file back from its done file.
+ * @param {string} [filePath] - The file whose last archive is restored. Defaults to the active file.
+ * @returns {number} The number of restored tasks.
+ */
+export function restoreLastArchive(filePath = getActiveFile()) {
+  const batch = getLastArchiveBatch(filePath);
+  if (!batch || !Array.isArray(batch.lines) || batch.lines.length === 0) return 0;
+
+  const doneTodos = getTodosFromStorage(batch.doneFilePath);
+  const restoredLines = [];
+  batch.lines.forEach(line => {
+    const index = doneTodos.findIndex(todo => todo.text === line);
+    if (index > -1) {
+      doneTodos.splice(index, 1);
+      restoredLines.push(line);
+    }
+  });
+
+  setLastArchiveBatch(filePath, null);
+  if (restoredLines.length === 0) return 0;
+
+  const todos = getTodosFromStorage(filePath);
+  restoredLines.forEach(line => todos.push({ id: generateUniqueId(), text: line }));
+  saveTodosToStorage(doneTodos, batch.doneFilePath);
+  saveTodosToStorage(todos, filePath);
+
+  logVerbose(`Restored ${restoredLines.length} archived task(s) from ${batch.doneFilePath} to ${filePath}.`);
+  if (filePath === getActiveFile()) loadTodos(todoList);
+  return restoredLines.length;
+}
+
+/**
+ * Archives tasks completed more than the configured number of days ago in every known file.
+ * Does nothing when automatic archiving is disabled.
+ */
+export async function runAutomaticArchive() {
+  const days = getArchiveAfterDays();
+  if (days === 0) return;
+  for (const file of getKnownFiles()) {
+    const count = await archiveCompletedTasks(file.path, days);
+    if (count > 0) {
+      showNotification(`Archived ${count} completed task(s) from ${file.name}.`, 'info');
+    }
+  }
+}
+
+// Refreshes the dialog for the active file
+function populateArchiveModal() {
+  const activeFilePath = getActiveFile();
+  const doneFilePath = getDoneFilePath(activeFilePath);
+  const batch = getLastArchiveBatch(activeFilePath);
+  $('#archiveDoneFileName').text(getFileName(doneFilePath));
+  $('#archiveAfterDaysInput').val(getArchiveAfterDays() || '');
+  $('#archiveNowButton').prop('disabled', isDoneFile(activeFilePath));
+  $('#restoreArchiveButton').prop('disabled', !batch);
+  $('#lastArchiveInfo').text(batch
+    ? `Last archive: ${batch.lines.length} task(s) on ${new Date(batch.timestamp).toLocaleString()}.`
+    : 'No archive to restore for this file.');
+}
+
+/**
+ * Wires the archive dialog and runs the automatic archive once the app is loaded
+ * and whenever the page becomes visible again.
+ */
+export function setupArchiveControls() {
+  $('#archiveButton').click(function() {
+    const modalElement = document.getElementById('archiveModal');
+    if (!modalElement) {
+      console.error("Archive Modal element not found in HTML.");
+      return;
+    }
+    if (!archiveModalInstance) {
+      archiveModalInstance = new bootstrap.Modal(modalElement);
+    }
+    populateArchiveModal();
+    archiveModalInstance.show();
+  });
+
+  $('#archiveNowButton').click(async function() {
+    const count = await archiveCompletedTasks();
+    if (count > 0) {
+      showNotification(`Archived ${count} completed task(s) to ${getFileName(getDoneFilePath(getActiveFile()))}.`, 'success');
+    } else {
+      showNotification('There are no completed tasks to archive.', 'info');
+    }
+    populateArchiveModal();
+  });
+
+  $('#restoreArchiveButton').click(function() {
+    const count = restoreLastArchive();
+    if (count > 0) {
+      showNotification(`Restored ${count} archived task(s).`, 'success');
+    } else {
+      showNotification('The archived tasks are no longer in the done file.', 'warning');
+    }
+    populateArchiveModal();
+  });
+
+  $('#archiveAfterDaysInput').on('change', function() {
+    const days = parseInt($(this).val(), 10);
+    setArchiveAfterDays(Number.isInteger(days) ? days : 0);
+    logVerbose(`Automatic archiving set to ${getArchiveAfterDays()} day(s).`);
+    runAutomaticArchive();
+  });
+
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') runAutomaticArchive();
+  });
+}
@@ -0,0 +1,185 @@
+'use strict';
+
+import { getKnownFiles, getSyncedVersion } from './todo-storage.js';
+import { syncAllFiles, syncFiles } from './todo-sync-scheduler.js';
+import { getDbxInstance, getLatestFolderCursor, waitForFolderChanges, listFolderChanges } from './dropbox/api.js';
+import { FOLDER_CURSOR_KEY } from './dropbox/config.js';
+import { getServerChangesUrl } from './server/api.js';
+import { isServerLoggedIn } from './server/auth.js';
+import { getSyncProviderId } from './sync-provider.js';
+import { logVerbose } from './todo-logging.js';
+
+const LONGPOLL_TIMEOUT = 90; // Seconds Dropbox keeps a long poll open without changes
+const RETRY_DELAY = 30 * 1000; // Wait after a failed request before polling again
+
+const runningListeners = new Set(); // Providers being listened to (a switched-away one stops on its next check)
+let serverConnectedBefore = false; // Reconnections catch up on changes that were not pushed
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Listening pauses while hidden or offline and stops when the sync provider changes or
+// Dropbox (or the server login) is disconnected. WebDAV has no change notifications and relies on the background sync passes.
+function canListen(providerId) {
+  if (getSyncProviderId() !== providerId || !navigator.onLine || document.visibilityState !== 'visible') return false;
+  if (providerId === 'dropbox') return Boolean(getDbxInstance());
+  return providerId === 'server' && isServerLoggedIn();
+}
+
+function getStoredCursor() {
+  return localStorage.getItem(FOLDER_CURSOR_KEY);
+}
+
+function storeCursor(cursor) {
+  if (cursor) {
+    localStorage.setItem(FOLDER_CURSOR_KEY, cursor);
+  } else {
+    localStorage.removeItem(FOLDER_CURSOR_KEY);
+  }
+}
+
+/**
+ * Returns the known files affected by the changed Dropbox entries. Files whose remote
+ * content is already the synced version (e.g. our own uploads) are left out.
+ * @param {Array<object>} entries - Entries from listFolderChanges.
+ * @returns {string[]} The paths of the known files to sync.
+ */
+function getChangedKnownFiles(entries) {
+  const knownPaths = new Map(getKnownFiles().map(file => [file.path.toLowerCase(), file.path]));
+  const changedPaths = new Set();
+  entries.forEach(entry => {
+    const filePath = knownPaths.get(entry.path_lower);
+    if (!filePath) return;
+    if (entry['.tag'] === 'file' && entry.content_hash === getSyncedVersion(filePath)?.contentHash) return;
+    changedPaths.add(filePath);
+  });
+  return [...changedPaths];
+}
+
+/**
+ * Fetches the changes since the stored cursor and syncs the affected files.
+ * @returns {Promise<boolean>} False if the changes could not be listed.
+ */
+async function processFolderChanges() {
+  const result = await listFolderChanges(getStoredCursor());
+  if (!result) return false;
+  if (result.reset) {
+    storeCursor(null);
+    logVerbose('Change listener cursor reset. Syncing all files...');
+    await syncAllFiles();
+    return true;
+  }
+  storeCursor(result.cursor);
+  const changedFiles = getChangedKnownFiles(result.entries);
+  if (changedFiles.length > 0) {
+    logVerbose(`Remote changes detected in: ${changedFiles.join(', ')}`);
+    await syncFiles(changedFiles);
+  }
+  return true;
+}
+
+// Long polls for folder changes until listening is no longer possible
+async function runDropboxChangeListener() {
+  logVerbose('Change listener started.');
+  while (canListen('dropbox')) {
+    if (!getStoredCursor()) {
+      const cursor = await getLatestFolderCursor();
+      if (!cursor) {
+        await delay(RETRY_DELAY);
+        continue;
+      }
+      storeCursor(cursor);
+    }
+
+    const result = await waitForFolderChanges(getStoredCursor(), LONGPOLL_TIMEOUT);
+    if (!result) {
+      // Keep the cursor: an expired one is reported (and replaced) by listFolderChanges
+      await delay(RETRY_DELAY);
+      continue;
+    }
+    // Changes found while the tab was hidden are picked up by the next poll after resuming
+    if (result.changes && canListen('dropbox') && !(await processFolderChanges())) {
+      await delay(RETRY_DELAY);
+      continue;
+    }
+    if (result.backoff > 0) await delay(result.backoff * 1000);
+  }
+  logVerbose('Change listener paused.');
+}
+
+/**
+ * Syncs a known file the server reported as changed, unless the reported version is
+ * already the synced one (e.g. our own upload).
+ * @param {{type: string, path: string, etag: string | null}} message - The change notification.
+ */
+function handleServerChange(message) {
+  if (message.type !== 'fileChanged') return;
+  const filePath = getKnownFiles().find(file => file.path === message.path)?.path;
+  if (!filePath || (message.etag && message.etag === getSyncedVersion(filePath)?.rev)) return;
+  logVerbose(`Server change detected in: ${filePath}`);
+  syncFiles([filePath]);
+}
+
+// Receives the server's change notifications until the connection closes or listening stops
+function listenToServerChanges() {
+  return new Promise(resolve => {
+    const socket = new WebSocket(getServerChangesUrl());
+    socket.addEventListener('open', () => {
+      logVerbose('Connected to the server change notifications.');
+      if (serverConnectedBefore) syncAllFiles();
+      serverConnectedBefore = true;
+    });
+    socket.addEventListener('message', event => {
+      if (!canListen('server')) {
+        socket.close(); // Changes from now on are caught up after reconnecting
+        return;
+      }
+      try {
+        handleServerChange(JSON.parse(event.data));
+      } catch (error) {
+        console.error('Invalid change notification from the server:', error);
+      }
+    });
+    socket.addEventListener('close', () => resolve());
+  });
+}
+
+// Stays connected to the server's change notifications until listening is no longer possible
+async function runServerChangeListener() {
+  logVerbose('Change listener started.');
+  while (canListen('server')) {
+    await listenToServerChanges();
+    if (canListen('server')) await delay(RETRY_DELAY);
+  }
+  logVerbose('Change listener paused.');
+}
+
+/**
+ * Starts listening for remote changes, syncing the affected files as soon as they change
+ * elsewhere: Dropbox is long polled, the bundled server pushes its changes over a WebSocket.
+ * Does nothing if the listener is already running or listening is not possible
+ * (provider without notifications, not connected, offline or tab hidden).
+ */
+export function startChangeListener() {
+  const providerId = getSyncProviderId();
+  if (runningListeners.has(providerId) || !canListen(providerId)) return;
+  runningListeners.add(providerId);
+  (providerId === 'server' ? runServerChangeListener() : runDropboxChangeListener())
+    .catch(error => console.error('Change listener stopped unexpectedly:', error))
+    .finally(() => {
+      runningListeners.delete(providerId);
+    });
+}
+
+/**
+ * Resumes the change listener when the tab becomes visible or the app comes back online.
+ * Changes made in the meantime are reported by the first poll with the stored cursor,
+ * or synced when the server connection is reopened.
+ */
+export function initializeChangeListener() {
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') startChangeListener();
+  });
+  window.addEventListener('online', startChangeListener);
+}
@@ -2,10 +2,11 @@
 'use strict';
 
 import { projectSelect, contextSelect, todoInput, addButton, prioritySelect, filterButton, todoList } from './todo.js';
-import { addTodoToStorage, removeTodoFromStorage, getTodosFromStorage } from './todo-storage.js';
+import { addTodoToStorage, updateTodoInStorage, getTodosFromStorage } from './todo-storage.js';
 import { loadTodos } from './todo-load.js';
-import { addTodoToList } from './todo-ui.js';
-import { toggleTodoCompletion, startEditTodo, deleteTodoItem } from './todo.js';
+import { setSearchQuery } from './todo-search.js';
+import { sortItems } from './todo-sort.js';
+import { getSortOrder } from './todo-views.js';
 
 // Helper function to format date from MM/DD/YYYY to YYYY-MM-DD
 function formatDateForTodoTxt(dateString) {
@@ -26,16 +27,14 @@ function formatDateForTodoTxt(dateString) {
 $(document).ready(function () {
   addButton.click(function () {
     const editingId = addButton.data('editingId'); // Get the ID being edited, if any
+    const editingFile = addButton.data('editingFile'); // The file the edited item belongs to
 
     if (editingId) {
-      // --- Handle Saving Edit (Simplified: Delete + Add New) ---
+      // --- Handle Saving Edit (Update in place, keeping the item's ID) ---
       const newTextFromInput = todoInput.val().trim(); // Get text from input
 
       if (newTextFromInput !== '') {
-        // 1. Delete the old item
-        removeTodoFromStorage(editingId);
-
-        // 2. Parse the input and update the item object based on UI controls
+        // 1. Parse the input and update the item object based on UI controls
         const item = new jsTodoTxt.Item(newTextFromInput); // Parse the core text
 
         // Get values from UI controls
@@ -84,12 +83,11 @@ $(document).ready(function () {
           item.removeExtension('due'); // Remove 'due' extension if date picker is empty
         }
 
-        // 3. Get the final string and add to storage
-        const finalTodoText = item.toString();
-        addTodoToStorage(finalTodoText); // Pass the final string
+        // 2. Replace the stored text of the edited item
+        updateTodoInStorage(editingId, item, editingFile);
 
-        // 4. Reset UI
-        addButton.text('Add Todo').removeData('editingId'); // Remove the editing ID
+        // 3. Reset UI
+        addButton.text('Add Todo').removeData('editingId').removeData('editingFile'); // Remove the editing ID and file
         todoInput.val('');
         prioritySelect.val(''); // Reset dropdowns after edit
         projectSelect.val('');
@@ -105,7 +103,7 @@ $(document).ready(function () {
         loadTodos(todoList);
       } else {
         // If new text is empty, just cancel edit without deleting
-        addButton.text('Add Todo').removeData('editingId');
+        addButton.text('Add Todo').removeData('editingId').removeData('editingFile');
         todoInput.val('');
       }
 
@@ -177,18 +175,8 @@ $(document).ready(function () {
     text: function () {
       // Get todos directly from storage ({id, text} objects) for accuracy
       const todoObjects = getTodosFromStorage();
-      // Map to parsed items for sorting
-      const itemsForSorting = todoObjects.map(obj => new jsTodoTxt.Item(obj.text));
-      // Sort them according to the display logic
-      itemsForSorting.sort((itemA, itemB) => {
-        if (itemA.complete() && !itemB.complete()) return 1;
-        if (!itemA.complete() && itemB.complete()) return -1;
-        const priorityA = itemA.priority() || 'Z';
-        const priorityB = itemB.priority() || 'Z';
-        if (priorityA < priorityB) return -1;
-        if (priorityA > priorityB) return 1;
-        return 0;
-      });
+      // Map to parsed items and sort them according to the display logic
+      const itemsForSorting = sortItems(todoObjects.map(obj => new jsTodoTxt.Item(obj.text)), getSortOrder());
       // Return the sorted text strings joined by newline
       return itemsForSorting.map(item => item.toString()).join('\n');
     }
@@ -203,62 +191,26 @@ $(document).ready(function () {
     console.error('Failed to copy all todos:', e);
   });
 
-  // Filter Button Logic
+  // Filter Button Logic: turns the dropdown selection into a search query,
+  // so it combines with the display switches like any other search
   filterButton.click(function() {
     const priority = prioritySelect.val();
     const project = projectSelect.val();
     const context = contextSelect.val();
 
-    // Get the current {id, text} objects from storage
-    const todoObjects = getTodosFromStorage();
-    if (todoObjects.length === 0) return; // No todos to filter
-
-    // Create List object from the text strings
-    const list = new jsTodoTxt.List(todoObjects.map(obj => obj.text));
-
-    const filterCriteria = {};
+    const queryParts = [];
     if (priority) {
-      filterCriteria.priority = priority;
+      queryParts.push(`pri:${priority}`);
     }
     if (project) {
-      // Filter expects an array for projects/contexts
-      filterCriteria.projectsAnd = [project];
+      queryParts.push(`+${project}`);
     }
     if (context) {
-      filterCriteria.contextsAnd = [context];
-    }
-
-    // If no criteria selected, show all (effectively clearing filter)
-    if (Object.keys(filterCriteria).length === 0) {
-      loadTodos(todoList); // Reload all todos
-      return;
+      queryParts.push(`@${context}`);
     }
 
-    const filteredItems = list.filter(filterCriteria);
-
-    // Clear the current list display
-    todoList.empty();
-
-    // Display filtered items (maintaining original sorting logic within the filtered set)
-    const sortedFilteredItems = filteredItems
-      .map(f => f.item) // Get the Item objects
-      .sort((a, b) => {
-        if (a.complete() && !b.complete()) return 1;
-        if (!a.complete() && b.complete()) return -1;
-        return 0;
-      });
-
-    // Display filtered items
-    // We need to find the original {id, text} object for each filtered item
-    const filteredTodoObjects = sortedFilteredItems.map(filteredItem => {
-      // Find the original object whose text matches the filtered item's string representation
-      // This assumes toString() is consistent.
-      return todoObjects.find(obj => obj.text === filteredItem.toString());
-    }).filter(obj => obj !== undefined); // Filter out any potential undefined results if match failed
-
-    filteredTodoObjects.forEach(obj => {
-      // Pass the found object and the already parsed/filtered item to addTodoToList
-      addTodoToList(obj, new jsTodoTxt.Item(obj.text), todoList, toggleTodoCompletion, startEditTodo, deleteTodoItem);
-    });
+    // If no criteria selected, this clears the search and shows all todos
+    setSearchQuery(queryParts.join(' '));
+    loadTodos(todoList);
   });
 });
@@ -0,0 +1,138 @@
+'use strict';
+
+import { buildCalendar } from './todo-ical.js';
+
+/*
+ * Export formats of todo lists. Each format builds a file from jsTodoTxt items and the
+ * files they belong to ([{item, file}], in list order) and has no browser dependencies.
+ * The CSV columns use names the CSV import maps automatically (see todo-import-formats.js),
+ * and the Markdown checklist keeps the todo.txt syntax of the tasks, so both can be imported again.
+ */
+
+function getExtensionValue(item, key) {
+  const extension = item.extensions().find(ext => ext.key === key);
+  return extension ? extension.value : undefined;
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function escapeCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// The task line without the completion marker (shown as a checkbox instead)
+function getLineWithoutMarker(item) {
+  return item.toString().replace(/^x /, '');
+}
+
+// Splits the entries by file, keeping the list order within each file
+function groupByFile(entries) {
+  const groups = new Map();
+  entries.forEach(entry => {
+    if (!groups.has(entry.file)) groups.set(entry.file, []);
+    groups.get(entry.file).push(entry);
+  });
+  return [...groups.entries()].map(([file, fileEntries]) => ({ file, entries: fileEntries }));
+}
+
+function getFileTitle(file) {
+  return (file || 'todo.txt').replace(/\.txt$/i, '');
+}
+
+function buildTodoTxt(entries) {
+  return `${entries.map(({ item }) => item.toString()).join('\n')}\n`;
+}
+
+function buildJson(entries) {
+  const tasks = entries.map(({ item, file }) => ({
+    file,
+    text: item.toString(),
+    complete: item.complete(),
+    priority: item.priority() || null,
+    created: item.createdToString() || null,
+    completed: item.completedToString() || null,
+    body: item.body(),
+    projects: item.projects(),
+    contexts: item.contexts(),
+    extensions: Object.fromEntries(item.extensions().map(ext => [ext.key, ext.value]))
+  }));
+  return `${JSON.stringify(tasks, null, 2)}\n`;
+}
+
+function buildCsv(entries) {
+  const header = ['File', 'Done', 'Priority', 'Creation Date', 'Completion Date', 'Task', 'Due Date', 'Threshold Date', 'Projects', 'Contexts'];
+  const rows = entries.map(({ item, file }) => [
+    file,
+    item.complete() ? 'x' : '',
+    item.priority() || '',
+    item.createdToString(),
+    item.completedToString(),
+    item.body(),
+    getExtensionValue(item, 'due') || '',
+    getExtensionValue(item, 't') || '',
+    item.projects().join(' '),
+    item.contexts().join(' ')
+  ]);
+  return `${[header, ...rows].map(row => row.map(escapeCsvField).join(',')).join('\r\n')}\r\n`;
+}
+
+function buildMarkdown(entries, options) {
+  const groups = groupByFile(entries);
+  const sections = groups.map(group => {
+    const items = group.entries.map(({ item }) => `- [${item.complete() ? 'x' : ' '}] ${getLineWithoutMarker(item)}`);
+    // Headings only separate files; they become projects when imported again
+    return groups.length > 1 ? [`## ${getFileTitle(group.file)}`, '', ...items].join('\n') : items.join('\n');
+  });
+  // A single file has no title, which would become a project of all tasks on import
+  return `${groups.length > 1 ? `# ${options.name}\n\n` : ''}${sections.join('\n\n')}\n`;
+}
+
+function buildHtml(entries, options) {
+  const groups = groupByFile(entries);
+  const renderItem = ({ item }) => {
+    const priority = item.priority() && !item.complete() ? `<span class="priority">(${item.priority()})</span> ` : '';
+    const text = escapeHtml(getLineWithoutMarker(item).replace(/^\([A-Z]\) /, ''));
+    return `    <li${item.complete() ? ' class="done"' : ''}><input type="checkbox" disabled${item.complete() ? ' checked' : ''}> ${priority}${text}</li>`;
+  };
+  const sections = groups.map(group => [
+    ...(groups.length > 1 ? [`  <h2>${escapeHtml(getFileTitle(group.file))}</h2>`] : []),
+    '  <ul>',
+    ...group.entries.map(renderItem),
+    '  </ul>'
+  ].join('\n'));
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(options.name)}</title>
+  <style>
+    body { font-family: sans-serif; margin: 2em; }
+    ul { list-style: none; padding-left: 0; }
+    li { margin: 0.3em 0; }
+    li.done { color: #888; text-decoration: line-through; }
+    .priority { font-weight: bold; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(options.name)}</h1>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * The export formats: label, file extension, MIME type and builder
+ * (entries, {name}) => file content. `name` is the title of the export.
+ */
+export const EXPORT_FORMATS = {
+  todotxt: { label: 'todo.txt', extension: 'txt', mimeType: 'text/plain', build: buildTodoTxt },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json', build: buildJson },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv', build: buildCsv },
+  markdown: { label: 'Markdown Checklist', extension: 'md', mimeType: 'text/markdown', build: buildMarkdown },
+  html: { label: 'HTML', extension: 'html', mimeType: 'text/html', build: buildHtml },
+  ical: { label: 'iCalendar (Tasks with Dates)', extension: 'ics', mimeType: 'text/calendar', build: buildCalendar }
+};
@@ -0,0 +1,106 @@
+'use strict';
+
+import { getActiveFile, getKnownFiles, isAllFilesViewActive } from './todo-storage.js';
+import { getSortedTodoEntries } from './todo-load.js';
+import { EXPORT_FORMATS } from './todo-export-formats.js';
+import { hasCalendarDate } from './todo-ical.js';
+import { logVerbose } from './todo-logging.js';
+
+// localStorage key for the last chosen export format (global, like the display settings)
+const EXPORT_FORMAT_KEY = 'todoWebAppExportFormat';
+
+let exportModalInstance = null;
+
+function getExportFormat() {
+  const format = localStorage.getItem(EXPORT_FORMAT_KEY);
+  return EXPORT_FORMATS[format] ? format : 'todotxt';
+}
+
+function getActiveFileName() {
+  const activeFile = getKnownFiles().find(file => file.path === getActiveFile());
+  return activeFile ? activeFile.name : 'todo.txt';
+}
+
+// Offers content as a file download
+function downloadFile(fileName, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Collects the tasks to export with the options chosen in the export dialog.
+ * @returns {{entries: Array<{item: object, file: string}>, allFiles: boolean}} The tasks in list order.
+ */
+function getExportEntries() {
+  const allFiles = $('#exportScopeAll').is(':checked');
+  const filtered = $('#exportFilteredInput').is(':checked');
+  const activeFileName = getActiveFileName();
+  const entries = getSortedTodoEntries({ allFiles, filtered })
+    .map(entry => ({ item: entry.item, file: entry.fileName || activeFileName }));
+  return { entries, allFiles };
+}
+
+function updateExportSummary() {
+  const format = $('#exportFormatSelect').val();
+  const { entries } = getExportEntries();
+  const count = format === 'ical' ? entries.filter(entry => hasCalendarDate(entry.item)).length : entries.length;
+  $('#exportSummary').text(format === 'ical' ? `${count} task(s) with a due or threshold date will be exported.` : `${count} task(s) will be exported.`);
+  $('#exportDownloadButton').prop('disabled', count === 0);
+}
+
+/**
+ * Downloads the tasks in the format chosen in the export dialog.
+ */
+function downloadExport() {
+  const formatKey = $('#exportFormatSelect').val();
+  const format = EXPORT_FORMATS[formatKey];
+  const { entries, allFiles } = getExportEntries();
+  const baseName = allFiles ? 'all-tasks' : getActiveFileName().replace(/\.txt$/i, '');
+  const title = allFiles ? 'All Tasks' : baseName;
+
+  localStorage.setItem(EXPORT_FORMAT_KEY, formatKey);
+  downloadFile(`${baseName}.${format.extension}`, format.build(entries, { name: title }), format.mimeType);
+  exportModalInstance.hide();
+  logVerbose(`Exported ${entries.length} task(s) as ${format.label} to ${baseName}.${format.extension}.`);
+}
+
+/**
+ * Opens the export dialog, scoped to the current view (active file or "All Tasks").
+ */
+function showExportModal() {
+  const modalElement = document.getElementById('exportModal');
+  if (!modalElement) {
+    console.error("Export Modal element not found in HTML.");
+    return;
+  }
+  if (!exportModalInstance) {
+    exportModalInstance = new bootstrap.Modal(modalElement);
+  }
+  $('#exportFormatSelect').val(getExportFormat());
+  $('#exportActiveFileName').text(getActiveFileName());
+  $(isAllFilesViewActive() ? '#exportScopeAll' : '#exportScopeActive').prop('checked', true);
+  $('#exportScopeAll').prop('disabled', getKnownFiles().length < 2);
+  $('#exportFilteredInput').prop('checked', false);
+  updateExportSummary();
+  exportModalInstance.show();
+}
+
+/**
+ * Wires the export button and dialog.
+ */
+export function setupExportControls() {
+  const formatSelect = $('#exportFormatSelect').empty();
+  Object.entries(EXPORT_FORMATS).forEach(([key, format]) => {
+    formatSelect.append($('<option></option>').val(key).text(format.label));
+  });
+
+  $('#exportButton').click(showExportModal);
+  $('#exportFormatSelect, #exportScopeActive, #exportScopeAll, #exportFilteredInput').on('change', updateExportSummary);
+  $('#exportDownloadButton').click(downloadExport);
+}
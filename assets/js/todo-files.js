@@ -5,8 +5,12 @@ import {
   getKnownFiles,
   getActiveFile,
   setActiveFile,
+  isAllFilesViewActive, // Added for the "All Tasks" view
+  setAllFilesViewActive,
   removeTodoFromStorage,
   updateTodoInStorage,
+  getTodosFromStorage,
+  addTodoToStorage, // Added for recurring tasks
   addKnownFile, // Added for setupAddFileModalListeners
   renameKnownFile, // Added for setupRenameFileModalListeners
   removeKnownFile, // Added for delete confirmation handler
@@ -16,6 +20,9 @@ import {
 import { applyItemStyles } from './todo-ui.js';
 import { logVerbose } from './todo-logging.js';
 import { loadTodos } from './todo-load.js'; // Added for file switching/deletion
+import { createNextOccurrence } from './todo-recurrence.js';
+import { renderSavedViews } from './todo-views.js';
+import { createFileSyncBadge } from './dropbox/ui.js';
 
 // DOM Elements (assuming they are accessible globally or passed as arguments if needed)
 // Consider passing these elements if this module doesn't rely on global $ selectors
@@ -108,14 +115,15 @@ export function setupAddFileModalListeners() {
 
 
     try {
-      // Dynamically import Dropbox API function if needed
-      const { uploadTodosToDropbox: apiUpload } = await import('./dropbox/api.js');
+      // Dynamically import the sync provider if needed
+      const { getSyncProvider } = await import('./sync-provider.js');
+      const provider = getSyncProvider();
       const originalActiveFile = getActiveFile();
       setActiveFile(newFilePath); // Temporarily set active to save
       saveTodosToStorage([]); // Save an empty array for the new file
       setActiveFile(originalActiveFile); // Restore original active file
-      await apiUpload(newFilePath); // Upload the empty file to Dropbox
-      logVerbose(`Empty file ${newFilePath} created on Dropbox.`);
+      await provider.upload(newFilePath, ''); // Create the empty remote file (fails safely if it already exists)
+      logVerbose(`Empty file ${newFilePath} created on ${provider.name}.`);
       addKnownFile(cleanName, newFilePath); // Add to local known files
       setActiveFile(newFilePath); // Set the new file as active
       updateFileSelectionUI(); // Update dropdown
@@ -199,10 +207,11 @@ export function setupRenameFileModalListeners() {
 
         // 3. Attempt Dropbox rename *after* local success
         try {
-          const { renameDropboxFile: apiRename } = await import('./dropbox/api.js');
-          logVerbose(`Attempting Dropbox rename for ${oldFilePath} to ${newFilePath}...`);
+          const { getSyncProvider } = await import('./sync-provider.js');
+          const provider = getSyncProvider();
+          logVerbose(`Attempting ${provider.name} rename for ${oldFilePath} to ${newFilePath}...`);
           // Corrected variable name from newPath to newFilePath
-          const dropboxRenameSuccess = await apiRename(oldFilePath, newFilePath);
+          const dropboxRenameSuccess = await provider.rename(oldFilePath, newFilePath);
 
           if (dropboxRenameSuccess) {
             logVerbose(`Dropbox rename successful.`);
@@ -211,7 +220,7 @@ export function setupRenameFileModalListeners() {
           } else {
             logVerbose(`Dropbox rename failed or was not possible.`);
             // Notify user that Dropbox rename failed but local succeeded
-            showNotification(`Note: Could not rename file on Dropbox. Local file is now "${cleanNewName}".`, 'warning');
+            showNotification(`Note: Could not rename file on ${provider.name}. Local file is now "${cleanNewName}".`, 'warning');
             // Consider triggering an upload under the new name to ensure content exists on Dropbox
             // const { uploadTodosToDropbox } = await import('./dropbox/api.js');
             // uploadTodosToDropbox(newPath).catch(e => console.error("Upload after failed rename failed:", e));
@@ -219,7 +228,7 @@ export function setupRenameFileModalListeners() {
         } catch (dropboxError) {
           console.error(`Error during Dropbox rename attempt:`, dropboxError);
           logVerbose(`Dropbox rename attempt failed.`);
-          showNotification(`Error trying to rename file on Dropbox. Local file is now "${cleanNewName}".`, 'warning');
+          showNotification(`Error trying to rename the remote file. Local file is now "${cleanNewName}".`, 'warning');
         }
 
       } else {
@@ -237,8 +246,29 @@ export function setupRenameFileModalListeners() {
   logVerbose('Rename File modal listeners attached.');
 }
 
+// The file a listed task belongs to (tasks in the "All Tasks" view carry it, otherwise the active file)
+function getOwningFile(listItem) {
+  return listItem.data('filePath') || getActiveFile();
+}
+
+// The text that stays the same between occurrences of a recurring task: the body without due: and t:
+function getOccurrenceBody(text) {
+  const item = new jsTodoTxt.Item(text);
+  item.removeExtension('due');
+  item.removeExtension('t');
+  return item.body();
+}
+
+// Another open occurrence of a recurring task in the file (any due and threshold date), if any
+function findOtherOccurrence(itemId, itemText, filePath) {
+  const body = getOccurrenceBody(itemText);
+  return getTodosFromStorage(filePath).find(todo => todo.id !== itemId &&
+    !new jsTodoTxt.Item(todo.text).complete() && getOccurrenceBody(todo.text) === body);
+}
+
 export function toggleTodoCompletion(listItem) {
   const itemId = listItem.data('id');
+  const filePath = getOwningFile(listItem);
   const itemText = listItem.find('span').text();
   const item = new jsTodoTxt.Item(itemText);
 
@@ -252,7 +282,27 @@ export function toggleTodoCompletion(listItem) {
     item.setCompleted(null); // Clear completion date if marked incomplete
   }
 
-  updateTodoInStorage(itemId, item); // Update in storage
+  updateTodoInStorage(itemId, item, filePath); // Update in the owning file's storage
+
+  // Completing a recurring task (rec:) adds its next occurrence, reopening it removes that again
+  if (item.complete()) {
+    const nextOccurrence = createNextOccurrence(itemText);
+    if (nextOccurrence && findOtherOccurrence(itemId, itemText, filePath)) {
+      logVerbose(`Next occurrence of recurring task ${itemId} already exists: ${nextOccurrence}`);
+    } else if (nextOccurrence) {
+      addTodoToStorage(nextOccurrence, filePath);
+      logVerbose(`Added next occurrence of recurring task ${itemId}: ${nextOccurrence}`);
+      showNotification('Recurring task completed. The next occurrence was added.', 'info');
+    }
+  } else {
+    // Matched without its dates: the due date computed when completing depends on that day
+    const addedOccurrence = createNextOccurrence(itemText) && findOtherOccurrence(itemId, itemText, filePath);
+    if (addedOccurrence) {
+      removeTodoFromStorage(addedOccurrence.id, filePath);
+      logVerbose(`Removed next occurrence of reopened recurring task ${itemId}: ${addedOccurrence.text}`);
+    }
+  }
+
   applyItemStyles(listItem, item); // Update styles
   listItem.find('span').text(item.toString()); // Update the text in the span
   listItem.find('button[title]').attr('title', item.complete() ? 'Mark as Incomplete' : 'Mark as Done'); // Update button title
@@ -266,7 +316,7 @@ export function startEditTodo(listItem) {
   const item = new jsTodoTxt.Item(itemText);
 
   todoInput.val(itemText); // Populate input with current text
-  addButton.text('Save Edit').data('editingId', itemId); // Change button text and store ID
+  addButton.text('Save Edit').data('editingId', itemId).data('editingFile', getOwningFile(listItem)); // Change button text and store ID and file
   todoInput.focus(); // Focus the input
 
   prioritySelect.val(item.priority() || ''); // Select existing priority
@@ -299,9 +349,10 @@ export function startEditTodo(listItem) {
 export function deleteTodoItem(listItem) {
   const itemId = listItem.data('id');
   logVerbose(`deleteTodoItem called for item ID: ${itemId}`);
-  removeTodoFromStorage(itemId); // Remove from storage
+  removeTodoFromStorage(itemId, getOwningFile(listItem)); // Remove from the owning file's storage
   listItem.remove(); // Remove from the UI
   // No need to reload here, item is just removed.
+  showNotification('Task deleted. Use Undo (Ctrl+Z) to restore it.', 'info');
 }
 
 // --- File Selection UI ---
@@ -310,9 +361,27 @@ export function updateFileSelectionUI() {
   const knownFiles = getKnownFiles();
   const activeFilePath = getActiveFile();
   let activeFileName = 'todo.txt'; // Default
+  const allFilesView = isAllFilesViewActive();
 
   fileListSidebar.empty(); // Clear existing sidebar items
 
+  // Virtual entry listing the tasks of every file
+  if (knownFiles.length > 1) {
+    const allTasksLink = $('<a class="nav-link" href="#"></a>')
+      .html('<i class="fa-solid fa-layer-group me-2"></i>All Tasks')
+      .toggleClass('active', allFilesView)
+      .click(function(e) {
+        e.preventDefault();
+        if (!isAllFilesViewActive()) {
+          logVerbose('Switching to the "All Tasks" view.');
+          setAllFilesViewActive(true);
+          loadTodos(todoList);
+          updateFileSelectionUI();
+        }
+      });
+    fileListSidebar.append($('<li class="nav-item"></li>').append(allTasksLink));
+  }
+
   knownFiles.forEach(file => {
     const listItem = $('<li class="nav-item"></li>'); // Use nav-item class
     const link = $('<a class="nav-link" href="#"></a>') // Use nav-link class
@@ -321,8 +390,9 @@ export function updateFileSelectionUI() {
       .click(function(e) {
         e.preventDefault();
         const selectedPath = $(this).data('path');
-        if (selectedPath !== getActiveFile()) {
+        if (selectedPath !== getActiveFile() || isAllFilesViewActive()) {
           logVerbose(`Switching active file to: ${selectedPath}`);
+          setAllFilesViewActive(false);
           setActiveFile(selectedPath);
           // Reload todos for the new active file
           loadTodos(todoList); // todoList needs to be accessible here
@@ -335,16 +405,20 @@ export function updateFileSelectionUI() {
 
     // Highlight the active file
     if (file.path === activeFilePath) {
-      link.addClass('active'); // Add Bootstrap 'active' class
+      if (!allFilesView) link.addClass('active'); // Add Bootstrap 'active' class
       activeFileName = file.name; // Update the name for the header
     }
 
+    link.append(createFileSyncBadge(file.path)); // Per-file sync status
     listItem.append(link);
     fileListSidebar.append(listItem); // Append to the sidebar list
   });
 
-  // Update the main header text
-  currentFileNameHeader.text(activeFileName);
+  // Saved views are listed below the files
+  renderSavedViews();
+
+  // Update the main header text (new tasks still go to the active file in the "All Tasks" view)
+  currentFileNameHeader.text(allFilesView ? `All Tasks (adding to ${activeFileName})` : activeFileName);
   logVerbose(`Active file header text set to: ${activeFileName}`);
 }
 
@@ -382,10 +456,10 @@ export function setupDeleteFileConfirmListener() {
     try {
       // 1. Attempt to delete on Dropbox (but don't block local deletion if it fails)
       try {
-        const { deleteDropboxFile: apiDelete } = await import('./dropbox/api.js');
-        logVerbose(`Attempting Dropbox deletion for ${filePathToDelete}...`);
+        const { getSyncProvider } = await import('./sync-provider.js');
+        logVerbose(`Attempting remote deletion for ${filePathToDelete}...`);
         dropboxDeleteAttempted = true;
-        dropboxDeleteSuccess = await apiDelete(filePathToDelete); // Store success/failure
+        dropboxDeleteSuccess = await getSyncProvider().delete(filePathToDelete); // Store success/failure
         if (dropboxDeleteSuccess) {
           logVerbose(`Dropbox deletion successful for ${filePathToDelete}.`);
         } else {
@@ -410,7 +484,7 @@ export function setupDeleteFileConfirmListener() {
       showNotification(`File "${fileNameToDelete}" removed.`, 'success');
       // Add a warning if Dropbox failed but was attempted
       if (dropboxDeleteAttempted && !dropboxDeleteSuccess) {
-        showNotification(`Note: Could not remove "${fileNameToDelete}" from Dropbox.`, 'warning');
+        showNotification(`Note: Could not remove "${fileNameToDelete}" from remote storage.`, 'warning');
       }
 
     } catch (error) { // Catch errors during local removal or UI update
@@ -0,0 +1,147 @@
+'use strict';
+
+import {
+  getActiveFile,
+  getKnownFiles,
+  isAllFilesViewActive,
+  getTodosFromStorage,
+  saveTodosToStorage,
+  getHistoryJournal,
+  saveHistoryJournal
+} from './todo-storage.js';
+import { loadTodos } from './todo-load.js';
+import { todoList } from './todo.js';
+import { logVerbose } from './todo-logging.js';
+
+const ACTION_LABELS = {
+  add: 'adding a task',
+  update: 'editing a task',
+  remove: 'deleting a task'
+};
+
+/**
+ * Applies a journal entry to the todo objects in the given direction.
+ * Entries reference tasks by ID, so they stay valid across sync downloads.
+ * @param {Array<{id: string, text: string}>} todos - The todo objects to modify in place.
+ * @param {object} entry - The journal entry.
+ * @param {'undo'|'redo'} direction - Whether to revert or re-apply the change.
+ * @returns {boolean} False if the task no longer matches the recorded state.
+ */
+function applyHistoryEntry(todos, entry, direction) {
+  const targetText = direction === 'undo' ? entry.before : entry.after;
+  const currentText = direction === 'undo' ? entry.after : entry.before;
+  const index = todos.findIndex(todo => todo.id === entry.id);
+
+  if (currentText === null) {
+    // The task must be re-created at its original position
+    if (index > -1) return false;
+    todos.splice(Math.min(entry.index, todos.length), 0, { id: entry.id, text: targetText });
+  } else if (targetText === null) {
+    // The task must be removed again
+    if (index === -1 || todos[index].text !== currentText) return false;
+    todos.splice(index, 1);
+  } else {
+    if (index === -1 || todos[index].text !== currentText) return false;
+    todos[index].text = targetText;
+  }
+  return true;
+}
+
+/**
+ * Returns the file whose journal undo/redo operates on: the active file, or in the
+ * "All Tasks" view the file with the most recent entry on the given stack.
+ * @param {'undo'|'redo'} direction - The stack to look at.
+ * @returns {string} The file path.
+ */
+function getHistoryTargetFile(direction) {
+  const activeFilePath = getActiveFile();
+  if (!isAllFilesViewActive()) return activeFilePath;
+
+  let targetPath = activeFilePath;
+  let latestTimestamp = '';
+  getKnownFiles().forEach(file => {
+    const stack = getHistoryJournal(file.path)[direction];
+    const newest = stack[stack.length - 1];
+    if (newest && newest.timestamp > latestTimestamp) {
+      latestTimestamp = newest.timestamp;
+      targetPath = file.path;
+    }
+  });
+  return targetPath;
+}
+
+// Moves the newest entry of one stack to the other after applying it to the target file
+function stepHistory(direction) {
+  const filePath = getHistoryTargetFile(direction);
+  const journal = getHistoryJournal(filePath);
+  const source = direction === 'undo' ? journal.undo : journal.redo;
+  const destination = direction === 'undo' ? journal.redo : journal.undo;
+  const entry = source.pop();
+  if (!entry) return false;
+
+  const todos = getTodosFromStorage(filePath);
+  const label = ACTION_LABELS[entry.type] || 'a change';
+  if (!applyHistoryEntry(todos, entry, direction)) {
+    // The task was changed elsewhere (e.g. by a sync); drop the stale entry
+    saveHistoryJournal(filePath, journal);
+    showNotification(`Cannot ${direction} ${label}: the task has changed since.`, 'warning');
+    updateHistoryButtons();
+    return false;
+  }
+
+  destination.push(entry);
+  saveHistoryJournal(filePath, journal);
+  saveTodosToStorage(todos, filePath); // Dispatches localDataChanged so the change gets synced
+  loadTodos(todoList);
+  logVerbose(`${direction === 'undo' ? 'Undid' : 'Redid'} ${label} (ID: ${entry.id}) in ${filePath}`);
+  return true;
+}
+
+/**
+ * Reverts the most recent task mutation of the active file (of any file in the "All Tasks" view).
+ * @returns {boolean} True if a change was undone.
+ */
+export function undoLastChange() {
+  return stepHistory('undo');
+}
+
+/**
+ * Re-applies the most recently undone task mutation of the active file (of any file in the "All Tasks" view).
+ * @returns {boolean} True if a change was redone.
+ */
+export function redoLastChange() {
+  return stepHistory('redo');
+}
+
+/**
+ * Enables or disables the undo/redo buttons for the journal they currently operate on.
+ */
+export function updateHistoryButtons() {
+  $('#undoButton').prop('disabled', getHistoryJournal(getHistoryTargetFile('undo')).undo.length === 0);
+  $('#redoButton').prop('disabled', getHistoryJournal(getHistoryTargetFile('redo')).redo.length === 0);
+}
+
+function isTextEditingTarget(target) {
+  return target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+}
+
+/**
+ * Wires the undo/redo buttons and the Ctrl+Z / Ctrl+Shift+Z shortcuts.
+ * Shortcuts are left to the browser while a text field has focus.
+ */
+export function setupHistoryControls() {
+  $('#undoButton').click(undoLastChange);
+  $('#redoButton').click(redoLastChange);
+
+  $(document).on('keydown', function(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z' || isTextEditingTarget(e.target)) return;
+    e.preventDefault();
+    if (e.shiftKey) {
+      redoLastChange();
+    } else {
+      undoLastChange();
+    }
+  });
+
+  document.addEventListener('localDataChanged', updateHistoryButtons);
+}
@@ -0,0 +1,145 @@
+'use strict';
+
+/*
+ * iCalendar (RFC 5545) export of todo.txt items with dates.
+ *   due:YYYY-MM-DD   DUE of the VTODO (the day of the VEVENT)
+ *   t:YYYY-MM-DD     DTSTART of the VTODO (dropped if after the due date)
+ *   (A)-(I)          PRIORITY 1-9 (lower letters map to 9)
+ *   +project @ctx    CATEGORIES
+ *   x                STATUS:COMPLETED (COMPLETED from the completion date)
+ * Functions take jsTodoTxt items and have no browser dependencies, so the server feed
+ * and the download in the app produce the same calendar.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_LINE_OCTETS = 75;
+const CALENDAR_EXTENSIONS = ['due', 't', 'rec', 'h'];
+
+function getExtensionValue(item, key) {
+  const extension = item.extensions().find(ext => ext.key === key);
+  return extension ? extension.value : undefined;
+}
+
+function toIcalDate(dateString) {
+  return dateString.replace(/-/g, '');
+}
+
+function toIcalDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function nextDay(dateString) {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().slice(0, 10);
+}
+
+function escapeText(text) {
+  return text.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Folds content lines longer than 75 octets, without splitting UTF-8 characters
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let currentOctets = 0;
+  for (const char of line) {
+    const octets = encoder.encode(char).length;
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1; // Continuations start with a space
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// FNV-1a hash, enough to tell tasks apart in UIDs
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+}
+
+// The task text without its calendar-related extensions (shown as the title)
+function getSummary(item) {
+  const summary = item.body()
+    .split(/\s+/)
+    .filter(word => !CALENDAR_EXTENSIONS.some(key => word.startsWith(`${key}:`)))
+    .join(' ')
+    .trim();
+  return summary || item.body().trim();
+}
+
+function getPriority(item) {
+  const priority = item.priority();
+  if (!priority) return null;
+  return Math.min(priority.charCodeAt(0) - 'A'.charCodeAt(0) + 1, 9);
+}
+
+/**
+ * Checks whether an item has a date to show in a calendar (a valid due: or t: date).
+ * @param {object} item - A jsTodoTxt.Item.
+ * @returns {boolean}
+ */
+export function hasCalendarDate(item) {
+  return DATE_PATTERN.test(getExtensionValue(item, 'due') || '') || DATE_PATTERN.test(getExtensionValue(item, 't') || '');
+}
+
+/**
+ * Builds an iCalendar file of the items with dates.
+ * @param {Array<{item: object, file?: string}>} entries - jsTodoTxt items and the files they belong to
+ *   (part of the UID, so equal tasks in different files stay apart).
+ * @param {{name?: string, events?: boolean, now?: Date}} [options] - Calendar name; `events` exports
+ *   all-day VEVENTs on the due dates instead of VTODOs, for calendars that do not show tasks.
+ * @returns {string} The calendar (CRLF line endings).
+ */
+export function buildCalendar(entries, options = {}) {
+  const stamp = toIcalDateTime(options.now || new Date());
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//todotxt-webapp//Todo.txt Webapp//EN', 'CALSCALE:GREGORIAN'];
+  if (options.name) lines.push(`X-WR-CALNAME:${escapeText(options.name)}`);
+
+  const usedUids = new Map();
+  entries.forEach(({ item, file = '' }) => {
+    const due = getExtensionValue(item, 'due');
+    const threshold = getExtensionValue(item, 't');
+    const validDue = DATE_PATTERN.test(due || '') ? due : null;
+    const validThreshold = DATE_PATTERN.test(threshold || '') && (!validDue || threshold <= validDue) ? threshold : null;
+    if (options.events ? !validDue : !validDue && !validThreshold) return;
+
+    // Completion and priority changes keep the UID, so calendars update the same entry
+    const baseUid = hashText(`${file}\n${item.createdToString() || ''}\n${item.body()}`);
+    const count = (usedUids.get(baseUid) || 0) + 1;
+    usedUids.set(baseUid, count);
+    const uid = `${baseUid}${count > 1 ? `-${count}` : ''}@todotxt-webapp`;
+
+    const categories = [...item.projects(), ...item.contexts()];
+    const priority = getPriority(item);
+    lines.push(options.events ? 'BEGIN:VEVENT' : 'BEGIN:VTODO', `UID:${uid}`, `DTSTAMP:${stamp}`);
+    if (item.created()) lines.push(`CREATED:${toIcalDate(item.createdToString())}T000000Z`);
+    lines.push(`SUMMARY:${escapeText(getSummary(item))}`);
+    if (options.events) {
+      lines.push(`DTSTART;VALUE=DATE:${toIcalDate(validDue)}`, `DTEND;VALUE=DATE:${toIcalDate(nextDay(validDue))}`, 'TRANSP:TRANSPARENT');
+    } else {
+      if (validThreshold) lines.push(`DTSTART;VALUE=DATE:${toIcalDate(validThreshold)}`);
+      if (validDue) lines.push(`DUE;VALUE=DATE:${toIcalDate(validDue)}`);
+      lines.push(`STATUS:${item.complete() ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+      if (item.complete() && item.completed()) lines.push(`COMPLETED:${toIcalDate(item.completedToString())}T000000Z`);
+    }
+    if (priority) lines.push(`PRIORITY:${priority}`);
+    if (categories.length > 0) lines.push(`CATEGORIES:${categories.map(escapeText).join(',')}`);
+    if (file) lines.push(`DESCRIPTION:${escapeText(`${item.toString()}\n(${file})`)}`);
+    lines.push(options.events ? 'END:VEVENT' : 'END:VTODO');
+  });
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
@@ -0,0 +1,108 @@
+/* global jsTodoTxt */
+'use strict';
+
+import { generateUniqueId } from './todo-storage.js';
+
+/*
+ * Matching of task lines across content replacements (downloads, merges), so tasks
+ * keep their IDs and open edits stay attached. Also used to spot duplicates on import.
+ */
+
+// Minimum word overlap for an edited line to still count as the same task
+const FUZZY_MATCH_THRESHOLD = 0.5;
+
+export function normalizedBodyWords(body) {
+  return new Set(body.toLowerCase().split(/\s+/).filter(word => word.length > 0));
+}
+
+// Jaccard similarity of the word sets of two task bodies (0..1)
+export function bodySimilarity(wordsA, wordsB) {
+  if (wordsA.size === 0 && wordsB.size === 0) return 1;
+  let shared = 0;
+  wordsA.forEach(word => {
+    if (wordsB.has(word)) shared++;
+  });
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+function describeLine(text) {
+  const item = new jsTodoTxt.Item(text);
+  const body = item.body().trim();
+  return {
+    text,
+    body,
+    words: normalizedBodyWords(body),
+    created: item.createdToString() || null
+  };
+}
+
+/**
+ * Assigns IDs to incoming lines by matching them against the currently stored
+ * todo objects, so a task keeps its ID across downloads:
+ * 1. Lines identical to a stored line reuse its ID.
+ * 2. Remaining lines reuse the ID of a stored task with the same body
+ *    (e.g. only completion or priority changed), preferring the same creation date.
+ * 3. Remaining lines with a creation date reuse the ID of the most similar
+ *    stored task created on the same day.
+ * Anything left is a new task and gets a fresh ID.
+ * @param {string[]} lines - The incoming todo lines.
+ * @param {Array<{id: string, text: string}>} existingObjects - The currently stored todo objects.
+ * @returns {Array<{id: string, text: string}>} The todo objects for the incoming lines, in line order.
+ */
+export function reconcileTodoIds(lines, existingObjects) {
+  const ids = new Array(lines.length).fill(null);
+  const unmatchedExisting = new Map(existingObjects.map(obj => [obj.id, obj]));
+
+  // Pass 1: exact text matches (queues handle duplicate lines)
+  const idsByText = new Map();
+  existingObjects.forEach(obj => {
+    if (!idsByText.has(obj.text)) idsByText.set(obj.text, []);
+    idsByText.get(obj.text).push(obj.id);
+  });
+  lines.forEach((line, index) => {
+    const queue = idsByText.get(line);
+    if (queue && queue.length > 0) {
+      ids[index] = queue.shift();
+      unmatchedExisting.delete(ids[index]);
+    }
+  });
+
+  const pendingIndexes = ids.map((id, index) => (id ? null : index)).filter(index => index !== null);
+  if (pendingIndexes.length === 0 || unmatchedExisting.size === 0) {
+    return lines.map((line, index) => ({ id: ids[index] || generateUniqueId(), text: line }));
+  }
+
+  const incoming = new Map(pendingIndexes.map(index => [index, describeLine(lines[index])]));
+  const candidates = [...unmatchedExisting.values()].map(obj => ({ id: obj.id, ...describeLine(obj.text) }));
+  const claim = (index, candidate) => {
+    ids[index] = candidate.id;
+    incoming.delete(index);
+    candidates.splice(candidates.indexOf(candidate), 1);
+  };
+
+  // Pass 2: same body, same creation date first
+  [true, false].forEach(requireSameDate => {
+    [...incoming.entries()].forEach(([index, line]) => {
+      const candidate = candidates.find(c => c.body === line.body && (!requireSameDate || c.created === line.created));
+      if (candidate) claim(index, candidate);
+    });
+  });
+
+  // Pass 3: same creation date and similar body
+  [...incoming.entries()].forEach(([index, line]) => {
+    if (!line.created) return;
+    let best = null;
+    let bestScore = FUZZY_MATCH_THRESHOLD;
+    candidates.forEach(candidate => {
+      if (candidate.created !== line.created) return;
+      const score = bodySimilarity(line.words, candidate.words);
+      if (score >= bestScore) {
+        best = candidate;
+        bestScore = score;
+      }
+    });
+    if (best) claim(index, best);
+  });
+
+  return lines.map((line, index) => ({ id: ids[index] || generateUniqueId(), text: line }));
+}
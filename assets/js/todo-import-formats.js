@@ -0,0 +1,366 @@
+/* global jsTodoTxt */
+'use strict';
+
+/*
+ * Conversion of other task formats into todo.txt lines for the import.
+ *   iCalendar   VTODOs: SUMMARY, PRIORITY 1-9 -> (A)-(I), DUE -> due:, DTSTART -> t:,
+ *               CREATED, STATUS:COMPLETED/COMPLETED, CATEGORIES -> +project, RRULE -> rec:
+ *               (the reverse of todo-ical.js)
+ *   CSV         One task per row; the columns are mapped to task fields (see CSV_FIELDS)
+ *   Markdown    "- [ ] task" / "- [x] task" items; the nearest heading becomes a +project
+ * Task texts may already contain todo.txt syntax, which is kept. Converters return
+ * { lines, skipped } (entries without task text are skipped) and have no browser dependencies.
+ */
+
+const CHECKLIST_PATTERN = /^\s*(?:[-*+]|\d+[.)])\s+\[([ xX])\]\s*(.*)$/;
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RRULE_UNITS = { DAILY: 'd', WEEKLY: 'w', MONTHLY: 'm', YEARLY: 'y' };
+const CSV_DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Task fields a CSV column can be mapped to. `patterns` match the column names that are
+ * mapped automatically.
+ */
+export const CSV_FIELDS = [
+  { key: 'text', label: 'Task', patterns: /^(task|text|title|name|summary|subject|todo|to-?do|item)$/i },
+  { key: 'priority', label: 'Priority', patterns: /^(priority|pri|prio|importance)$/i },
+  { key: 'complete', label: 'Done', patterns: /^(done|complete|completed|status|state|checked|finished)$/i },
+  { key: 'created', label: 'Creation Date', patterns: /^(created|creation[ _-]?date|date[ _-]?created|created[ _-]?(at|on)|added)$/i },
+  { key: 'completed', label: 'Completion Date', patterns: /^(completion[ _-]?date|date[ _-]?completed|completed[ _-]?(at|on|date)|done[ _-]?(at|on|date))$/i },
+  { key: 'due', label: 'Due Date', patterns: /^(due|due[ _-]?date|deadline|date[ _-]?due)$/i },
+  { key: 'threshold', label: 'Threshold Date', patterns: /^(t|threshold|threshold[ _-]?date|defer|defer[ _-]?date|scheduled|start|start[ _-]?date)$/i },
+  { key: 'projects', label: 'Projects', patterns: /^(projects?|lists?|folders?|tags?|categories|category|labels?)$/i },
+  { key: 'contexts', label: 'Contexts', patterns: /^(contexts?|locations?|places?)$/i }
+];
+
+// --- Field Conversion ---
+
+// Normalizes YYYY-MM-DD, YYYY/MM/DD and ISO date-times to YYYY-MM-DD (null if invalid)
+function normalizeDate(value) {
+  const match = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:$|[T\s])/.exec((value || '').trim());
+  if (!match) return null;
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+// Accepts a letter ("A", "(A)"), a number (1 = A) or high/medium/low
+function normalizePriority(value) {
+  const text = (value || '').trim().replace(/^\((.*)\)$/, '$1');
+  if (/^[a-z]$/i.test(text)) return text.toUpperCase();
+  if (/^\d+$/.test(text)) {
+    const number = parseInt(text, 10);
+    return number >= 1 && number <= 26 ? String.fromCharCode(64 + number) : null;
+  }
+  return { high: 'A', medium: 'B', normal: 'B', low: 'C' }[text.toLowerCase()] || null;
+}
+
+function isTruthyValue(value) {
+  return /^(x|y|yes|true|1|done|complete|completed|checked|finished|✓|✔)$/i.test((value || '').trim());
+}
+
+// Turns a name into a tag: no leading +/@, whitespace replaced by dashes
+function toTag(name) {
+  return (name || '').trim().replace(/^[+@]+/, '').replace(/\s+/g, '-');
+}
+
+/**
+ * Builds a todo.txt line from task fields. Fields override what the text itself contains;
+ * completed tasks lose their priority, and keep their completion date only if they have
+ * a creation date (like when completing a task in the app).
+ * @param {object} fields - text, and optionally priority, complete, created, completed, due,
+ *   threshold, recurrence, projects and contexts.
+ * @returns {string | null} The task line, or null if there is no task text.
+ */
+function buildTaskLine(fields) {
+  const text = (fields.text || '').replace(/\s+/g, ' ').trim();
+  const item = new jsTodoTxt.Item(text);
+  if (item.body().trim() === '') return null;
+
+  const hasTag = tag => item.projects().includes(tag) || item.contexts().includes(tag);
+  (fields.projects || []).map(toTag).filter(tag => tag && !hasTag(tag)).forEach(tag => item.addProject(tag));
+  (fields.contexts || []).map(toTag).filter(tag => tag && !hasTag(tag)).forEach(tag => item.addContext(tag));
+  if (fields.due) item.setExtension('due', fields.due);
+  if (fields.threshold) item.setExtension('t', fields.threshold);
+  if (fields.recurrence) item.setExtension('rec', fields.recurrence);
+  if (fields.created) item.setCreated(fields.created);
+  if (fields.priority) item.setPriority(fields.priority);
+
+  if (fields.complete || item.complete()) {
+    item.setComplete(true);
+    item.clearPriority();
+    if (fields.completed && item.created()) item.setCompleted(fields.completed);
+  }
+  return item.toString();
+}
+
+function collectLines(entries) {
+  const lines = [];
+  let skipped = 0;
+  entries.forEach(fields => {
+    const line = buildTaskLine(fields);
+    if (line) {
+      lines.push(line);
+    } else {
+      skipped++;
+    }
+  });
+  return { lines, skipped };
+}
+
+// --- Format Detection ---
+
+/**
+ * Guesses the format of imported text from the file name, or from the content when pasted.
+ * CSV is only recognized by its file extension, as todo.txt lines often contain commas.
+ * @param {string} fileName - The file name ('' for pasted text).
+ * @param {string} text - The content.
+ * @returns {'todotxt'|'ics'|'csv'|'markdown'} The format.
+ */
+export function detectImportFormat(fileName, text) {
+  const extension = (fileName || '').toLowerCase().split('.').pop();
+  if (extension === 'ics' || extension === 'ical') return 'ics';
+  if (extension === 'csv' || extension === 'tsv') return 'csv';
+  if (extension === 'md' || extension === 'markdown') return 'markdown';
+  if (/^\s*BEGIN:VCALENDAR/i.test(text)) return 'ics';
+  if (text.split('\n').some(line => CHECKLIST_PATTERN.test(line))) return 'markdown';
+  return 'todotxt';
+}
+
+// --- iCalendar ---
+
+function unescapeIcalText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? ' ' : char));
+}
+
+// Splits a CATEGORIES value at the commas that are not escaped
+function splitIcalList(value) {
+  return value.split(/(?<!\\),/).map(unescapeIcalText).map(part => part.trim()).filter(Boolean);
+}
+
+// Date of a DATE or DATE-TIME value. UTC times are converted to the local date, except
+// midnight: CREATED and COMPLETED must be date-times, so dates are written as T000000Z
+// (as todo-ical.js does) and would otherwise move back a day west of UTC.
+function parseIcalDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?/.exec(value.trim());
+  if (!match) return null;
+  const [year, month, day, hours, minutes, seconds] = match.slice(1, 7).map(Number);
+  if (match[7] && (hours || minutes || seconds)) {
+    const date = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+    return normalizeDate(`${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`);
+  }
+  return normalizeDate(`${year}-${month}-${day}`);
+}
+
+// rec: value of a simple RRULE (FREQ and INTERVAL only)
+function parseRecurrenceRule(value) {
+  const parts = Object.fromEntries(value.split(';').map(part => part.split('=')).map(([key, val]) => [key.toUpperCase(), val]));
+  const unit = RRULE_UNITS[(parts.FREQ || '').toUpperCase()];
+  if (!unit) return null;
+  const interval = parseInt(parts.INTERVAL || '1', 10);
+  return `${interval > 0 ? interval : 1}${unit}`;
+}
+
+// Splits a content line into its name and value (parameters are dropped)
+function parseContentLine(line) {
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      return { name: line.substring(0, i).split(';')[0].toUpperCase(), value: line.substring(i + 1) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Converts the VTODOs of an iCalendar file into todo.txt lines.
+ * @param {string} text - The calendar.
+ * @returns {{lines: string[], skipped: number}}
+ */
+export function convertCalendarToLines(text) {
+  const contentLines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const todos = [];
+  let current = null;
+  let nestedDepth = 0; // Inside components of a VTODO (e.g. VALARM)
+
+  contentLines.forEach(rawLine => {
+    const property = parseContentLine(rawLine);
+    if (!property) return;
+    const { name, value } = property;
+    if (name === 'BEGIN') {
+      if (value.toUpperCase() === 'VTODO' && !current) {
+        current = { projects: [] };
+      } else if (current) {
+        nestedDepth++;
+      }
+      return;
+    }
+    if (name === 'END' && current) {
+      if (nestedDepth > 0) {
+        nestedDepth--;
+      } else {
+        todos.push(current);
+        current = null;
+      }
+      return;
+    }
+    if (!current || nestedDepth > 0) return;
+
+    switch (name) {
+    case 'SUMMARY':
+      current.text = unescapeIcalText(value);
+      break;
+    case 'PRIORITY': {
+      const priority = parseInt(value, 10);
+      current.priority = priority >= 1 && priority <= 9 ? String.fromCharCode(64 + priority) : null;
+      break;
+    }
+    case 'DUE':
+      current.due = parseIcalDate(value);
+      break;
+    case 'DTSTART':
+      current.threshold = parseIcalDate(value);
+      break;
+    case 'CREATED':
+      current.created = parseIcalDate(value);
+      break;
+    case 'COMPLETED':
+      current.complete = true;
+      current.completed = parseIcalDate(value);
+      break;
+    case 'STATUS':
+      if (value.trim().toUpperCase() === 'COMPLETED') current.complete = true;
+      break;
+    case 'CATEGORIES':
+      current.projects.push(...splitIcalList(value));
+      break;
+    case 'RRULE':
+      current.recurrence = parseRecurrenceRule(value);
+      break;
+    }
+  });
+  return collectLines(todos);
+}
+
+// --- CSV ---
+
+/**
+ * Parses CSV text (RFC 4180 quoting). The delimiter (comma, semicolon or tab) is the one
+ * found most often in the first line; empty rows are dropped.
+ * @param {string} text - The CSV content.
+ * @returns {string[][]} The rows.
+ */
+export function parseCsv(text) {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  const delimiter = CSV_DELIMITERS.reduce((best, candidate) =>
+    (firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best), CSV_DELIMITERS[0]);
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Maps columns to task fields by their names.
+ * @param {string[]} headers - The column names (first row).
+ * @returns {Object<string, number>} Column index by field key (see CSV_FIELDS); unrecognized
+ *   fields are left out. Without a recognized task column, the first column is used.
+ */
+export function guessCsvMapping(headers) {
+  const mapping = {};
+  CSV_FIELDS.forEach(field => {
+    const index = headers.findIndex((header, i) => field.patterns.test(header.trim()) && !Object.values(mapping).includes(i));
+    if (index !== -1) mapping[field.key] = index;
+  });
+  if (mapping.text === undefined) mapping.text = 0;
+  return mapping;
+}
+
+/**
+ * Converts CSV rows into todo.txt lines.
+ * @param {string[][]} rows - The rows to import (without the header row).
+ * @param {Object<string, number>} mapping - Column index by field key (see CSV_FIELDS).
+ * @returns {{lines: string[], skipped: number}}
+ */
+export function convertCsvRowsToLines(rows, mapping) {
+  const splitTags = value => (value || '').split(/[\s,;]+/).filter(Boolean);
+  return collectLines(rows.map(row => {
+    const cell = key => (mapping[key] === undefined ? '' : (row[mapping[key]] || '').trim());
+    const completed = normalizeDate(cell('completed')) || normalizeDate(cell('complete')); // Done columns may hold dates
+    return {
+      text: cell('text'),
+      priority: normalizePriority(cell('priority')),
+      complete: isTruthyValue(cell('complete')) || Boolean(completed),
+      created: normalizeDate(cell('created')),
+      completed,
+      due: normalizeDate(cell('due')),
+      threshold: normalizeDate(cell('threshold')),
+      projects: splitTags(cell('projects')),
+      contexts: splitTags(cell('contexts'))
+    };
+  }));
+}
+
+// --- Markdown ---
+
+/**
+ * Converts the checklist items of a Markdown document into todo.txt lines. Other content
+ * is ignored; the nearest heading above an item is added as a +project.
+ * @param {string} text - The Markdown content.
+ * @returns {{lines: string[], skipped: number}}
+ */
+export function convertMarkdownToLines(text) {
+  const headings = []; // Heading tags by level (index 0 = level 1)
+  const entries = [];
+  text.split(/\r?\n/).forEach(line => {
+    const heading = HEADING_PATTERN.exec(line);
+    if (heading) {
+      const level = heading[1].length;
+      headings.length = level - 1;
+      headings[level - 1] = toTag(heading[2].replace(/[*_`[\]()#]/g, ''));
+      return;
+    }
+    const checklistItem = CHECKLIST_PATTERN.exec(line);
+    if (!checklistItem) return;
+    const project = [...headings].reverse().find(Boolean);
+    entries.push({
+      text: checklistItem[2],
+      complete: checklistItem[1].toLowerCase() === 'x',
+      projects: project ? [project] : []
+    });
+  });
+  return collectLines(entries);
+}
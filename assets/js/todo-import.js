@@ -1,59 +1,340 @@
 /* global jsTodoTxt  */
 'use strict';
 
-import { addTodoToStorage } from './todo-storage.js';
+import {
+  addTodoToStorage, getTodosFromStorage, getKnownFiles, addKnownFile, getActiveFile, setActiveFile, getLocalLastModified
+} from './todo-storage.js';
 import { loadTodos } from './todo-load.js';
+import { normalizedBodyWords, bodySimilarity } from './todo-ids.js';
+import { coordinateSync } from './todo-sync-coordinator.js';
+import { updateFileSelectionUI } from './todo-files.js';
 import { todoList } from './todo.js';
 import { logVerbose } from './todo-logging.js';
+import {
+  detectImportFormat, convertCalendarToLines, convertMarkdownToLines, parseCsv, guessCsvMapping, convertCsvRowsToLines, CSV_FIELDS
+} from './todo-import-formats.js';
+
+const IMPORT_FILE_EXTENSIONS = ['txt', 'ics', 'ical', 'csv', 'tsv', 'md', 'markdown'];
+const CSV_PREVIEW_ROWS = 5;
+const NEAR_DUPLICATE_SIMILARITY = 0.8; // Share of words in common for a near duplicate
+const NEW_FILE_OPTION = '__new__'; // Destination select value for a new file
+
+let csvImportModalInstance = null;
+let csvRows = []; // Rows of the CSV file shown in the mapping dialog
+let importPreviewModalInstance = null;
+let importPreview = { lines: [], linesSkipped: 0, entries: [] }; // Lines shown in the import preview
+let importPreviewRenderCount = 0; // Discards previews of a destination that is no longer selected
+
+// --- Import Preview ---
 
 /**
- * Processes the imported text content, adding valid todo items to storage.
- * @param {string} textContent - The raw text content (multiple lines).
+ * Checks imported lines against the tasks of the destination file and the lines before them:
+ * identical lines are exact duplicates, lines whose task text is the same apart from
+ * case, dates and priority, or shares most words with an existing task, are near duplicates.
+ * @param {string[]} lines - The imported task lines.
+ * @param {string[]} existingLines - The task lines of the destination file.
+ * @returns {Array<{text: string, duplicate: 'exact'|'near'|null, match: string | null}>}
  */
-function processImportedText(textContent) {
-  let itemsImported = false; // Flag to check if any items were actually imported
-  let linesSkipped = 0;
-
-  if (textContent) {
-    const lines = textContent.split('\n');
-    logVerbose(`Processing ${lines.length} lines from import...`);
-
-    lines.forEach(line => {
-      const trimmedLine = line.trim();
-      if (trimmedLine !== '') {
-        try {
-          // Use jsTodoTxt to validate the line format if needed,
-          // but addTodoToStorage expects the raw string.
-          // We can parse just to validate.
-          const item = new jsTodoTxt.Item(trimmedLine);
-          if (item.body()) { // Basic validation: ensure there's some text content
-            addTodoToStorage(trimmedLine); // Pass the raw string
-            itemsImported = true;
-          } else {
-            console.warn("Skipping invalid or empty line during import:", trimmedLine);
-            linesSkipped++;
-          }
-        } catch (e) {
-          console.error("Error parsing line during import:", trimmedLine, e);
+function findDuplicates(lines, existingLines) {
+  const describe = text => {
+    const body = new jsTodoTxt.Item(text).body();
+    return { text, body: body.toLowerCase().replace(/\s+/g, ' ').trim(), words: normalizedBodyWords(body) };
+  };
+  const known = existingLines.map(describe);
+  return lines.map(line => {
+    const described = describe(line);
+    const exact = known.find(entry => entry.text === line);
+    const near = exact ? null : known.find(entry => entry.body === described.body ||
+      bodySimilarity(entry.words, described.words) >= NEAR_DUPLICATE_SIMILARITY);
+    known.push(described); // Repeated lines within the import are duplicates as well
+    if (exact) return { text: line, duplicate: 'exact', match: exact.text };
+    if (near) return { text: line, duplicate: 'near', match: near.text };
+    return { text: line, duplicate: null, match: null };
+  });
+}
+
+function getImportTargetPath() {
+  return $('#importTargetSelect').val();
+}
+
+function updateImportPreviewSummary() {
+  const selected = $('#importPreviewList input:checked').length;
+  const exactCount = importPreview.entries.filter(entry => entry.duplicate === 'exact').length;
+  const nearCount = importPreview.entries.filter(entry => entry.duplicate === 'near').length;
+  const parts = [`${selected} of ${importPreview.entries.length} task(s) selected`];
+  if (exactCount > 0) parts.push(`${exactCount} duplicate(s)`);
+  if (nearCount > 0) parts.push(`${nearCount} similar`);
+  if (importPreview.linesSkipped > 0) parts.push(`${importPreview.linesSkipped} line(s) skipped`);
+  $('#importPreviewSummary').text(parts.join(', '));
+  $('#importConfirmButton').prop('disabled', selected === 0);
+}
+
+// Lists the lines to import; exact duplicates start unticked. A destination never loaded on
+// this device is synced first, so the duplicates are checked against its actual tasks.
+async function renderImportPreview() {
+  const renderCount = ++importPreviewRenderCount;
+  const targetPath = getImportTargetPath();
+  if (targetPath !== NEW_FILE_OPTION && !getLocalLastModified(targetPath)) {
+    $('#importPreviewList').empty().append($('<li class="list-group-item text-muted"></li>').text('Loading the destination file...'));
+    $('#importPreviewSummary').text('');
+    $('#importConfirmButton').prop('disabled', true);
+    await coordinateSync(targetPath);
+    if (renderCount !== importPreviewRenderCount) return;
+  }
+  const existingLines = targetPath === NEW_FILE_OPTION ? [] : getTodosFromStorage(targetPath).map(todo => todo.text);
+  importPreview.entries = findDuplicates(importPreview.lines, existingLines);
+
+  const list = $('#importPreviewList').empty();
+  importPreview.entries.forEach((entry, index) => {
+    const checkbox = $('<input class="form-check-input me-2" type="checkbox">')
+      .attr('id', `importLine-${index}`)
+      .data('index', index)
+      .prop('checked', entry.duplicate !== 'exact');
+    const label = $('<label class="form-check-label"></label>').attr('for', `importLine-${index}`).text(entry.text);
+    const listItem = $('<li class="list-group-item"></li>').append($('<div class="form-check mb-0"></div>').append(checkbox, label));
+    if (entry.duplicate === 'exact') {
+      label.append(' ', $('<span class="badge text-bg-secondary"></span>').text('Duplicate'));
+    } else if (entry.duplicate === 'near') {
+      label.append(' ', $('<span class="badge text-bg-warning"></span>').text('Similar'));
+      listItem.append($('<div class="text-muted ms-4"></div>').text(`Similar to: ${entry.match}`));
+    }
+    list.append(listItem);
+  });
+  updateImportPreviewSummary();
+}
+
+/**
+ * Opens the import preview with the valid lines: choose the lines to import, the destination
+ * file and whether to add creation dates.
+ * @param {string[]} lines - The task lines.
+ * @param {number} [linesSkipped=0] - Entries the conversion already skipped, included in the notification.
+ */
+function previewImportedLines(lines, linesSkipped = 0) {
+  const validLines = [];
+
+  logVerbose(`Processing ${lines.length} lines from import...`);
+  lines.forEach(line => {
+    const trimmedLine = line.trim();
+    if (trimmedLine !== '') {
+      try {
+        // Parse just to validate: the raw string is what gets imported
+        const item = new jsTodoTxt.Item(trimmedLine);
+        if (item.body()) { // Basic validation: ensure there's some text content
+          validLines.push(trimmedLine);
+        } else {
+          console.warn("Skipping invalid or empty line during import:", trimmedLine);
           linesSkipped++;
         }
+      } catch (e) {
+        console.error("Error parsing line during import:", trimmedLine, e);
+        linesSkipped++;
       }
-    });
-
-    if (itemsImported) {
-      logVerbose(`Import successful. ${lines.length - linesSkipped} items added.`);
-      loadTodos(todoList); // Reload list to show imported items and update dropdowns
-      showNotification('Todos imported successfully.', 'success');
-      if (linesSkipped > 0) {
-        showNotification(`${linesSkipped} line(s) skipped during import (invalid format or empty).`, 'warning', null, 7000);
-      }
-    } else {
-      logVerbose('Import finished, but no valid todo items were found to add.');
-      showNotification('No valid todo items found in the imported text.', 'info');
     }
-  } else {
+  });
+
+  if (validLines.length === 0) {
+    logVerbose('Import finished, but no valid todo items were found to add.');
+    showNotification('No valid todo items found in the imported text.', 'info');
+    return;
+  }
+
+  const modalElement = document.getElementById('importPreviewModal');
+  if (!modalElement) {
+    console.error("Import Preview Modal element not found in HTML.");
+    return;
+  }
+  if (!importPreviewModalInstance) {
+    importPreviewModalInstance = new bootstrap.Modal(modalElement);
+  }
+  importPreview = { lines: validLines, linesSkipped, entries: [] };
+
+  const targetSelect = $('#importTargetSelect').empty();
+  getKnownFiles().forEach(file => targetSelect.append($('<option></option>').val(file.path).text(file.name)));
+  targetSelect.append($('<option></option>').val(NEW_FILE_OPTION).text('New File...'));
+  targetSelect.val(getActiveFile());
+  $('#importNewFileGroup').hide();
+  $('#importNewFileInput').val('');
+  renderImportPreview();
+  importPreviewModalInstance.show();
+}
+
+// The path of a new file to import into, or null (with a notification) if the name is not usable
+function getNewFilePath() {
+  let cleanName = $('#importNewFileInput').val().trim();
+  if (!cleanName) {
+    showNotification("Error: File name cannot be empty.", 'alert');
+    return null;
+  }
+  if (!cleanName.toLowerCase().endsWith('.txt')) cleanName += '.txt';
+  const newFilePath = cleanName.startsWith('/') ? cleanName : `/${cleanName}`;
+  if (getKnownFiles().some(file => file.path.toLowerCase() === newFilePath.toLowerCase())) {
+    showNotification(`Error: File "${cleanName}" already exists.`, 'alert');
+    return null;
+  }
+  return newFilePath;
+}
+
+/**
+ * Adds the selected lines to the destination file, which becomes the active file.
+ */
+async function importSelectedLines() {
+  const selectedLines = $('#importPreviewList input:checked').toArray()
+    .map(checkbox => importPreview.entries[$(checkbox).data('index')].text);
+  const stampCreated = $('#importStampCreatedInput').is(':checked');
+  let targetPath = getImportTargetPath();
+
+  if (targetPath === NEW_FILE_OPTION) {
+    targetPath = getNewFilePath();
+    if (!targetPath) return;
+    addKnownFile(targetPath.substring(1), targetPath);
+    logVerbose(`Added import destination ${targetPath} to known files.`);
+  }
+  importPreviewModalInstance.hide();
+  if (!getLocalLastModified(targetPath)) {
+    // Never loaded on this device: fetch it first so its content is not overwritten
+    await coordinateSync(targetPath);
+  }
+
+  selectedLines.forEach(line => {
+    const item = new jsTodoTxt.Item(line);
+    if (stampCreated && !item.created()) item.setCreated(new Date());
+    addTodoToStorage(item.toString(), targetPath);
+  });
+
+  logVerbose(`Import successful. ${selectedLines.length} items added to ${targetPath}.`);
+  if (targetPath !== getActiveFile()) setActiveFile(targetPath);
+  updateFileSelectionUI();
+  loadTodos(todoList); // Reload list to show imported items and update dropdowns
+  showNotification('Todos imported successfully.', 'success');
+  const linesLeftOut = importPreview.linesSkipped + importPreview.entries.length - selectedLines.length;
+  if (linesLeftOut > 0) {
+    showNotification(`${linesLeftOut} line(s) not imported (duplicates, unticked, invalid format or empty).`, 'warning', null, 7000);
+  }
+}
+
+/**
+ * Processes the imported text content, showing the valid todo items in the import preview.
+ * iCalendar files and Markdown checklists are converted to todo.txt lines first;
+ * CSV files open the column mapping dialog.
+ * @param {string} textContent - The raw text content (multiple lines).
+ * @param {string} [fileName=''] - The name of the imported file ('' for pasted text).
+ */
+function processImportedText(textContent, fileName = '') {
+  if (!textContent) {
     logVerbose('Import processing skipped: No text content provided.');
+    return;
+  }
+
+  const format = detectImportFormat(fileName, textContent);
+  logVerbose(`Importing ${fileName || 'pasted text'} as ${format}.`);
+  switch (format) {
+  case 'ics': {
+    const { lines, skipped } = convertCalendarToLines(textContent);
+    previewImportedLines(lines, skipped);
+    break;
+  }
+  case 'markdown': {
+    const { lines, skipped } = convertMarkdownToLines(textContent);
+    previewImportedLines(lines, skipped);
+    break;
+  }
+  case 'csv':
+    showCsvImport(textContent, fileName);
+    break;
+  default:
+    previewImportedLines(textContent.split('\n'));
+  }
+}
+
+// --- CSV Column Mapping ---
+
+function hasCsvHeaderRow() {
+  return $('#csvHeaderRowInput').is(':checked');
+}
+
+function getCsvDataRows() {
+  return hasCsvHeaderRow() ? csvRows.slice(1) : csvRows;
+}
+
+function readCsvMapping() {
+  const mapping = {};
+  $('#csvColumnMapping select').each(function() {
+    const column = $(this).val();
+    if (column !== '') mapping[$(this).data('field')] = Number(column);
+  });
+  return mapping;
+}
+
+function updateCsvPreview() {
+  const { lines } = convertCsvRowsToLines(getCsvDataRows(), readCsvMapping());
+  const preview = $('#csvImportPreview').empty();
+  lines.slice(0, CSV_PREVIEW_ROWS).forEach(line => {
+    preview.append($('<li class="list-group-item"></li>').text(line));
+  });
+  if (lines.length > CSV_PREVIEW_ROWS) {
+    preview.append($('<li class="list-group-item text-muted"></li>').text(`... and ${lines.length - CSV_PREVIEW_ROWS} more`));
+  } else if (lines.length === 0) {
+    preview.append($('<li class="list-group-item text-muted"></li>').text('No tasks found with this mapping.'));
+  }
+  $('#csvImportConfirmButton').prop('disabled', lines.length === 0);
+}
+
+/**
+ * Shows a select per task field, listing the columns of the CSV file.
+ * @param {Object<string, number>} mapping - The selected column index by field key.
+ */
+function renderCsvColumnMapping(mapping) {
+  const columnCount = Math.max(...csvRows.map(row => row.length));
+  const columnNames = Array.from({ length: columnCount }, (_, index) =>
+    (hasCsvHeaderRow() && (csvRows[0][index] || '').trim()) || `Column ${index + 1}`);
+
+  const container = $('#csvColumnMapping').empty();
+  CSV_FIELDS.forEach(field => {
+    const select = $('<select class="form-select form-select-sm"></select>')
+      .attr('id', `csvField-${field.key}`)
+      .data('field', field.key);
+    if (field.key !== 'text') {
+      select.append($('<option></option>').val('').text('(not imported)'));
+    }
+    columnNames.forEach((name, index) => select.append($('<option></option>').val(String(index)).text(name)));
+    select.val(mapping[field.key] === undefined ? '' : String(mapping[field.key]));
+    const label = $('<label class="form-label small mb-1"></label>').attr('for', select.attr('id')).text(field.label);
+    container.append($('<div class="col-12 col-sm-6 col-lg-4"></div>').append(label, select));
+  });
+  updateCsvPreview();
+}
+
+/**
+ * Opens the column mapping dialog for a CSV file, with the columns mapped by their names.
+ * @param {string} text - The CSV content.
+ * @param {string} fileName - The file name.
+ */
+function showCsvImport(text, fileName) {
+  csvRows = parseCsv(text);
+  if (csvRows.length === 0) {
+    showNotification('The CSV file contains no rows.', 'info');
+    return;
   }
+  const modalElement = document.getElementById('csvImportModal');
+  if (!modalElement) {
+    console.error("CSV Import Modal element not found in HTML.");
+    return;
+  }
+  if (!csvImportModalInstance) {
+    csvImportModalInstance = new bootstrap.Modal(modalElement);
+  }
+  $('#csvImportFileName').text(fileName);
+  $('#csvHeaderRowInput').prop('checked', true);
+  renderCsvColumnMapping(guessCsvMapping(csvRows[0]));
+  csvImportModalInstance.show();
+}
+
+function confirmCsvImport() {
+  const { lines, skipped } = convertCsvRowsToLines(getCsvDataRows(), readCsvMapping());
+  csvRows = [];
+  // Open the preview once the mapping dialog is gone, as Bootstrap shows one modal at a time
+  $('#csvImportModal').one('hidden.bs.modal', () => previewImportedLines(lines, skipped));
+  csvImportModalInstance.hide();
 }
 
 
@@ -91,8 +372,9 @@ $(document).ready(function () {
     logVerbose(`File selected for import: ${file.name} (Type: ${file.type}, Size: ${file.size} bytes)`);
 
     // Basic validation (optional, but good practice)
-    if (file.type !== 'text/plain') {
-      showNotification(`Error: Invalid file type "${file.type}". Please select a .txt file.`, 'alert');
+    const extension = file.name.toLowerCase().split('.').pop();
+    if (!IMPORT_FILE_EXTENSIONS.includes(extension)) {
+      showNotification(`Error: Invalid file type "${file.type || extension}". Please select a .txt, .ics, .csv or .md file.`, 'alert');
       // Clear the input value so the user can select the same file again if needed after fixing
       $(this).val('');
       return;
@@ -103,7 +385,7 @@ $(document).ready(function () {
     reader.onload = function(e) {
       logVerbose('File read successfully.');
       const fileContent = e.target.result;
-      processImportedText(fileContent); // Use the common processing function
+      processImportedText(fileContent, file.name); // Use the common processing function
       // Clear the input value after successful processing
       importFileDiskInput.val('');
     };
@@ -118,5 +400,30 @@ $(document).ready(function () {
     reader.readAsText(file); // Read the file as text
   });
 
+  // --- CSV Column Mapping ---
+  $('#csvHeaderRowInput').on('change', function() {
+    renderCsvColumnMapping(readCsvMapping()); // Same columns, with or without their names
+  });
+  $('#csvColumnMapping').on('change', 'select', updateCsvPreview);
+  $('#csvImportConfirmButton').on('click', confirmCsvImport);
+
+  // --- Import Preview ---
+  $('#importTargetSelect').on('change', function() {
+    $('#importNewFileGroup').toggle($(this).val() === NEW_FILE_OPTION);
+    renderImportPreview(); // Duplicates depend on the destination
+  });
+  $('#importPreviewList').on('change', 'input', updateImportPreviewSummary);
+  $('#importSelectAllButton').on('click', function() {
+    $('#importPreviewList input').prop('checked', true);
+    updateImportPreviewSummary();
+  });
+  $('#importSelectNewButton').on('click', function() {
+    $('#importPreviewList input').each(function() {
+      $(this).prop('checked', importPreview.entries[$(this).data('index')].duplicate === null);
+    });
+    updateImportPreviewSummary();
+  });
+  $('#importConfirmButton').on('click', importSelectedLines);
+
   logVerbose('Import listeners attached.');
 });
@@ -1,12 +1,24 @@
 /* global jsTodoTxt */
 'use strict';
 
-// Import generateUniqueId if needed, or import saveTodosToStorage which uses it
-import { getTodosFromStorage, saveTodosToStorage } from './todo-storage.js';
+import {
+  getTodosFromStorage,
+  saveTodosToStorage,
+  getActiveFile,
+  getKnownFiles,
+  isAllFilesViewActive,
+  addLocalSnapshot
+} from './todo-storage.js';
+import { reconcileTodoIds } from './todo-ids.js';
 import { toggleTodoCompletion, startEditTodo, deleteTodoItem  } from './todo.js';
 import { addTodoToList } from './todo-ui.js';
 import { updateDropdowns } from './todo-dropdowns.js';
 import { logVerbose } from './todo-logging.js';
+import { updateHistoryButtons } from './todo-history.js';
+import { evaluateQuery } from './todo-query.js';
+import { getSearchFilter } from './todo-search.js';
+import { sortItems, groupItems } from './todo-sort.js';
+import { getSortOrder, getGrouping, renderSavedViews } from './todo-views.js';
 
 // Constants for localStorage keys (mirroring todo-switch.js)
 const SHOW_COMPLETED_KEY = 'todoWebAppShowCompleted';
@@ -22,40 +34,42 @@ function getTodayDateString() {
 }
 
 
-export function loadTodos(todoList) {
-  // getTodosFromStorage now returns array of {id, text} or empty array
-  const todoObjects = getTodosFromStorage();
-
-  // Map to temporary objects containing id, text, and parsed item for sorting
-  const itemsForSorting = todoObjects.map(obj => ({
-    id: obj.id,
-    text: obj.text,
-    item: new jsTodoTxt.Item(obj.text) // Parse the text into an item
-  }));
-
-  // Sort based on the parsed item
-  itemsForSorting.sort((a, b) => {
-    const itemA = a.item;
-    const itemB = b.item;
-
-    if (itemA.complete() && !itemB.complete()) return 1; // Completed items last
-    if (!itemA.complete() && itemB.complete()) return -1; // Incomplete items first
-
-    const priorityA = itemA.priority() || 'Z'; // 'Z' for no priority
-    const priorityB = itemB.priority() || 'Z';
+// Collects the todo objects of the active file, or of all files with each object carrying its owning file
+function getDisplayedTodoObjects(allFiles = isAllFilesViewActive()) {
+  if (!allFiles) {
+    return getTodosFromStorage(); // Array of {id, text} for the active file
+  }
+  return getKnownFiles().flatMap(file => getTodosFromStorage(file.path).map(obj => ({
+    ...obj,
+    filePath: file.path,
+    fileName: file.name
+  })));
+}
 
-    if (priorityA < priorityB) return -1; // Higher priority first (A < B)
-    if (priorityA > priorityB) return 1;
+/**
+ * Collects the todos in list order, filtered like the list by the display switches and the search query.
+ * @param {{allFiles?: boolean, filtered?: boolean}} [options] - Whether to take the tasks of all files
+ *   (defaults to the current view) and whether to apply the filters (default true).
+ * @returns {Array<{id: string, text: string, item: object, filePath?: string, fileName?: string}>} The
+ *   todo objects with their parsed items; filePath and fileName are set for all files.
+ */
+export function getSortedTodoEntries({ allFiles = isAllFilesViewActive(), filtered = true } = {}) {
+  const todoObjects = getDisplayedTodoObjects(allFiles);
 
-    return 0; // Keep original relative order if same priority/completion
-  });
+  // Map to temporary objects containing id, text, owning file and parsed item for sorting
+  const itemsForSorting = sortItems(todoObjects.map(obj => ({
+    ...obj,
+    item: new jsTodoTxt.Item(obj.text) // Parse the text into an item
+  })), getSortOrder(), entry => entry.item); // Sort based on the parsed item
+  if (!filtered) return itemsForSorting;
 
   // --- Filtering based on switches ---
   const showCompleted = localStorage.getItem(SHOW_COMPLETED_KEY) === null ? true : localStorage.getItem(SHOW_COMPLETED_KEY) === 'true';
   const showFutureThreshold = localStorage.getItem(SHOW_FUTURE_THRESHOLD_KEY) === null ? true : localStorage.getItem(SHOW_FUTURE_THRESHOLD_KEY) === 'true';
   const todayDateStr = getTodayDateString();
+  const { tree: searchTree } = getSearchFilter(); // Parsed once, evaluated per item
 
-  const filteredItems = itemsForSorting.filter(sortedItem => {
+  return itemsForSorting.filter(sortedItem => {
     const item = sortedItem.item;
 
     // Filter 1: Hide completed if switch is off
@@ -73,54 +87,68 @@ export function loadTodos(todoList) {
       }
     }
 
+    // Filter 3: Hide items not matching the search query
+    if (!evaluateQuery(searchTree, item, { today: todayDateStr })) {
+      return false;
+    }
+
     return true; // Keep item if no filter condition met
   });
-  // --- End Filtering ---
+}
+
+export function loadTodos(todoList) {
+  const filteredItems = getSortedTodoEntries();
 
   // Clear the current list before adding filtered items
   todoList.empty();
 
   // Add filtered items to the list UI, passing the original object and parsed item
-  filteredItems.forEach(sortedItem => {
-    addTodoToList(sortedItem, sortedItem.item, todoList, toggleTodoCompletion, startEditTodo, deleteTodoItem); // Pass the object containing id/text and the parsed item
+  groupItems(filteredItems, getGrouping(), entry => entry.item).forEach(group => {
+    if (group.label !== null) {
+      todoList.append($('<li class="list-group-item todo-group-header"></li>').text(`${group.label} (${group.entries.length})`));
+    }
+    group.entries.forEach(sortedItem => {
+      addTodoToList(sortedItem, sortedItem.item, todoList, toggleTodoCompletion, startEditTodo, deleteTodoItem); // Pass the object containing id/text and the parsed item
+    });
   });
 
   // Update dropdowns with projects/contexts from FILTERED items
   // Pass only the parsed items from the filtered list to updateDropdowns
   updateDropdowns(filteredItems.map(i => i.item));
+
+  // Reflect the undo/redo state of the (possibly newly) active file
+  updateHistoryButtons();
+  // Highlight the saved view matching the current search, sort and grouping
+  renderSavedViews();
 }
 
 /**
  * Parses raw text content (one todo per line) and saves it to local storage,
- * overwriting existing content. Generates new IDs for each item.
+ * overwriting existing content. Lines matching already stored todos keep their
+ * IDs (see reconcileTodoIds); only new lines get new IDs. The replaced content is
+ * kept as a local snapshot for the version history.
  * @param {string} textContent - The raw text content from the todo file.
+ * @param {string} [filePath] - The file to overwrite. Defaults to the active file.
+ * @param {string} [snapshotReason] - Label of the snapshot of the replaced content.
  */
-export function saveTodosFromText(textContent) {
+export function saveTodosFromText(textContent, filePath = getActiveFile(), snapshotReason = 'Before sync update') {
   if (typeof textContent !== 'string') {
     console.error('saveTodosFromText requires a string input.');
     return;
   }
 
-  const lines = textContent.split('\n');
-  const newTodoObjects = lines
+  const lines = textContent.split('\n')
     .map(line => line.trim()) // Trim whitespace
-    .filter(line => line.length > 0) // Filter out empty lines
-    .map(line => ({
-      // We need a way to generate IDs here. Let's assume generateUniqueId is accessible
-      // or re-import saveTodosToStorage which handles ID generation implicitly if needed.
-      // For simplicity, let's structure it assuming saveTodosToStorage handles it,
-      // but the current saveTodosToStorage expects objects with IDs already.
-      // Let's refine: We need generateUniqueId here.
-      // Re-importing from todo-storage might cause circular dependency issues.
-      // Best approach: todo-storage should export generateUniqueId or saveTodos should handle text array.
-      // Let's modify todo-storage slightly later if needed. For now, assume we can generate IDs.
-      // TEMPORARY ID generation - will refine if needed by modifying todo-storage
-      id: Date.now().toString(36) + Math.random().toString(36).substring(2) + lines.indexOf(line), // Simple unique ID
-      text: line
-    }));
+    .filter(line => line.length > 0); // Filter out empty lines
+  const existingObjects = getTodosFromStorage(filePath);
+  const previousContent = existingObjects.map(todo => todo.text).join('\n');
+  if (previousContent && previousContent !== lines.join('\n')) {
+    addLocalSnapshot(filePath, previousContent, snapshotReason);
+  }
+  const newTodoObjects = reconcileTodoIds(lines, existingObjects);
 
   logVerbose(`Parsed ${newTodoObjects.length} todos from downloaded text.`);
-  saveTodosToStorage(newTodoObjects); // Overwrite local storage
+  saveTodosToStorage(newTodoObjects, filePath); // Overwrite local storage
   logVerbose('Saved downloaded todos to local storage.');
   // The UI reload should happen in the calling function (syncWithDropbox)
 }
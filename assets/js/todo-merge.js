@@ -0,0 +1,220 @@
+'use strict';
+
+/**
+ * Splits raw file content into lines, dropping blank lines the same way
+ * saveTodosFromText does, so that diffs line up with what is stored locally.
+ * @param {string} text - Raw todo.txt content.
+ * @returns {string[]} Array of trimmed, non-empty lines.
+ */
+export function splitTodoLines(text) {
+  if (typeof text !== 'string') return [];
+  return text.split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0);
+}
+
+/**
+ * Computes the changed regions between two line arrays using a longest-common-subsequence table.
+ * Each hunk describes a range in `a` that was replaced by a range in `b`
+ * (either range may be empty for pure insertions or deletions).
+ * @param {string[]} a - The original lines.
+ * @param {string[]} b - The modified lines.
+ * @returns {{aStart: number, aEnd: number, bStart: number, bEnd: number}[]} Hunks in ascending order.
+ */
+export function diffHunks(a, b) {
+  const n = a.length;
+  const m = b.length;
+  // lcs[i * (m + 1) + j] = length of the LCS of a[i..] and b[j..]
+  const lcs = new Uint32Array((n + 1) * (m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * (m + 1) + j] = a[i] === b[j]
+        ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+        : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+    }
+  }
+
+  const hunks = [];
+  let current = null;
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && a[i] === b[j]) {
+      if (current) {
+        hunks.push(current);
+        current = null;
+      }
+      i++;
+      j++;
+      continue;
+    }
+    if (!current) {
+      current = { aStart: i, aEnd: i, bStart: j, bEnd: j };
+    }
+    if (j < m && (i >= n || lcs[i * (m + 1) + j + 1] >= lcs[(i + 1) * (m + 1) + j])) {
+      j++; // Line only present in b
+      current.bEnd = j;
+    } else {
+      i++; // Line only present in a
+      current.aEnd = i;
+    }
+  }
+  if (current) hunks.push(current);
+  return hunks;
+}
+
+/**
+ * Compares two versions of a file without a common base.
+ * Returns chunks in the same shape as mergeThreeWay, where every changed
+ * region is reported as a conflict between the local and remote lines.
+ * @param {string} localText - The local content.
+ * @param {string} remoteText - The remote content.
+ * @returns {Array<{type: 'ok', lines: string[]} | {type: 'conflict', base: string[], local: string[], remote: string[]}>}
+ */
+export function diffChunks(localText, remoteText) {
+  const local = splitTodoLines(localText);
+  const remote = splitTodoLines(remoteText);
+  const chunks = [];
+  let localPos = 0;
+  diffHunks(local, remote).forEach(hunk => {
+    if (hunk.aStart > localPos) {
+      chunks.push({ type: 'ok', lines: local.slice(localPos, hunk.aStart) });
+    }
+    chunks.push({
+      type: 'conflict',
+      base: [],
+      local: local.slice(hunk.aStart, hunk.aEnd),
+      remote: remote.slice(hunk.bStart, hunk.bEnd)
+    });
+    localPos = hunk.aEnd;
+  });
+  if (localPos < local.length) {
+    chunks.push({ type: 'ok', lines: local.slice(localPos) });
+  }
+  return chunks;
+}
+
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, index) => line === b[index]);
+}
+
+/**
+ * Performs a line-level three-way merge of two edited versions against their common base.
+ * Changes made by only one side are applied automatically. When both sides only
+ * inserted lines at the same position (typically both appended new tasks), the
+ * insertions are combined since task order carries no meaning in todo.txt.
+ * Anything else touched by both sides is reported as a conflict.
+ * @param {string} baseText - Content at the last successful sync.
+ * @param {string} localText - Current local content.
+ * @param {string} remoteText - Current remote content.
+ * @returns {{chunks: Array<{type: 'ok', lines: string[]} | {type: 'conflict', base: string[], local: string[], remote: string[]}>, conflictCount: number}}
+ */
+export function mergeThreeWay(baseText, localText, remoteText) {
+  const base = splitTodoLines(baseText);
+  const local = splitTodoLines(localText);
+  const remote = splitTodoLines(remoteText);
+
+  const hunks = [
+    ...diffHunks(base, local).map(h => ({ side: 'local', baseStart: h.aStart, baseEnd: h.aEnd, start: h.bStart, end: h.bEnd })),
+    ...diffHunks(base, remote).map(h => ({ side: 'remote', baseStart: h.aStart, baseEnd: h.aEnd, start: h.bStart, end: h.bEnd }))
+  ].sort((x, y) => x.baseStart - y.baseStart || x.baseEnd - y.baseEnd);
+
+  const chunks = [];
+  let conflictCount = 0;
+  const pushLines = (lines) => {
+    if (lines.length === 0) return;
+    const last = chunks[chunks.length - 1];
+    if (last && last.type === 'ok') {
+      last.lines.push(...lines);
+    } else {
+      chunks.push({ type: 'ok', lines: [...lines] });
+    }
+  };
+
+  // Returns the lines a side holds for the base range [regionStart, regionEnd)
+  const sideLines = (sideHunks, sideArray, regionStart, regionEnd) => {
+    if (sideHunks.length === 0) return base.slice(regionStart, regionEnd);
+    const first = sideHunks[0];
+    const last = sideHunks[sideHunks.length - 1];
+    const start = first.start - (first.baseStart - regionStart);
+    const end = last.end + (regionEnd - last.baseEnd);
+    return sideArray.slice(start, end);
+  };
+
+  let basePos = 0;
+  let index = 0;
+  while (index < hunks.length) {
+    const group = [hunks[index]];
+    let regionStart = hunks[index].baseStart;
+    let regionEnd = hunks[index].baseEnd;
+    index++;
+    while (index < hunks.length) {
+      const next = hunks[index];
+      const overlaps = next.baseStart < regionEnd ||
+        (next.baseStart === next.baseEnd && regionStart === regionEnd && next.baseStart === regionStart);
+      if (!overlaps) break;
+      regionEnd = Math.max(regionEnd, next.baseEnd);
+      group.push(next);
+      index++;
+    }
+
+    pushLines(base.slice(basePos, regionStart));
+    basePos = regionEnd;
+
+    const localHunks = group.filter(h => h.side === 'local');
+    const remoteHunks = group.filter(h => h.side === 'remote');
+    const localLines = sideLines(localHunks, local, regionStart, regionEnd);
+    const remoteLines = sideLines(remoteHunks, remote, regionStart, regionEnd);
+
+    if (remoteHunks.length === 0) {
+      pushLines(localLines);
+    } else if (localHunks.length === 0) {
+      pushLines(remoteLines);
+    } else if (sameLines(localLines, remoteLines)) {
+      pushLines(localLines); // Both sides made the same change
+    } else if (regionStart === regionEnd) {
+      // Both sides inserted at the same spot: keep local additions, then remote ones not already present
+      pushLines([...localLines, ...remoteLines.filter(line => !localLines.includes(line))]);
+    } else {
+      chunks.push({
+        type: 'conflict',
+        base: base.slice(regionStart, regionEnd),
+        local: localLines,
+        remote: remoteLines
+      });
+      conflictCount++;
+    }
+  }
+  pushLines(base.slice(basePos));
+
+  return { chunks, conflictCount };
+}
+
+/**
+ * Builds the final merged content from merge chunks and the user's choices for each conflict.
+ * @param {Array} chunks - Chunks returned by mergeThreeWay or diffChunks.
+ * @param {Array<'local'|'remote'|'both'>} resolutions - One choice per conflict chunk, in order.
+ * @returns {string} The merged file content.
+ * @throws {Error} If a conflict chunk has no choice.
+ */
+export function applyMergeResolutions(chunks, resolutions = []) {
+  const lines = [];
+  let conflictIndex = 0;
+  chunks.forEach(chunk => {
+    if (chunk.type === 'ok') {
+      lines.push(...chunk.lines);
+      return;
+    }
+    const choice = resolutions[conflictIndex++];
+    if (choice === 'local') {
+      lines.push(...chunk.local);
+    } else if (choice === 'remote') {
+      lines.push(...chunk.remote);
+    } else if (choice === 'both') {
+      lines.push(...chunk.local, ...chunk.remote.filter(line => !chunk.local.includes(line)));
+    } else {
+      throw new Error(`No choice made for conflict ${conflictIndex} of the merge.`);
+    }
+  });
+  return lines.join('\n');
+}
@@ -0,0 +1,258 @@
+'use strict';
+
+/*
+ * Search query language for todo.txt items.
+ *
+ *   milk                 free text (case-insensitive, matched against the task body)
+ *   "buy milk"           quoted phrase
+ *   +project  @context   project / context (case-insensitive)
+ *   pri:A  pri:A-C       priority or priority range, pri:none for no priority
+ *   due:<today           date comparison (<, <=, >, >=, =) on due:, t:, created: or completed:
+ *   t:>=2026-10-01       dates: YYYY-MM-DD, today, tomorrow, yesterday or a relative offset (+3d, -1w, today+3)
+ *   due:none             tasks without the date
+ *   is:done  is:open     completion state
+ *   key:value            any other extension (e.g. rec:1w)
+ *   NOT x, -x            negation
+ *   a b, a AND b         both must match
+ *   a OR b               either must match (binds looser than AND)
+ *   ( ... )              grouping
+ *
+ * parseQuery builds a tree once; evaluateQuery runs it against parsed jsTodoTxt items.
+ * The module has no browser dependencies so it can be shared with Node.
+ */
+
+const DATE_FIELDS = ['due', 't', 'created', 'completed'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const RELATIVE_DATE_PATTERN = /^(?:today)?([+-])(\d+)([dw])?$/; // Days without a unit
+
+/**
+ * Error thrown for malformed queries. The message is meant to be shown to the user.
+ */
+export class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryError';
+  }
+}
+
+// Splits a query into words, quoted phrases and parentheses
+function tokenize(queryText) {
+  const tokens = [];
+  let index = 0;
+  while (index < queryText.length) {
+    const char = queryText[index];
+    if (/\s/.test(char)) {
+      index++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char });
+      index++;
+    } else if (char === '-' && index + 1 < queryText.length && !/[\s)]/.test(queryText[index + 1])) {
+      // A leading dash negates the following term or group
+      tokens.push({ type: 'NOT' });
+      index++;
+    } else {
+      let value = '';
+      let quoted = false;
+      if (queryText[index] === '"') {
+        const end = queryText.indexOf('"', index + 1);
+        if (end === -1) throw new QueryError('Missing closing quote.');
+        value = queryText.slice(index + 1, end);
+        quoted = true;
+        index = end + 1;
+      } else {
+        while (index < queryText.length && !/[\s()]/.test(queryText[index])) {
+          value += queryText[index++];
+        }
+      }
+      if (!quoted && ['AND', 'OR', 'NOT'].includes(value)) {
+        tokens.push({ type: value });
+      } else {
+        tokens.push({ type: 'term', value, quoted });
+      }
+    }
+  }
+  return tokens;
+}
+
+function parseDateValue(value) {
+  const lower = value.toLowerCase();
+  if (lower === 'today' || lower === 'tomorrow' || lower === 'yesterday') return { keyword: lower };
+  if (DATE_PATTERN.test(value)) return { date: value };
+  const relative = RELATIVE_DATE_PATTERN.exec(lower);
+  if (relative) {
+    const days = parseInt(relative[2], 10) * (relative[3] === 'w' ? 7 : 1);
+    return { offsetDays: relative[1] === '-' ? -days : days };
+  }
+  throw new QueryError(`Invalid date "${value}". Use YYYY-MM-DD, today, tomorrow, yesterday or an offset like +3d or today+3.`);
+}
+
+// Turns a single term into a predicate node
+function parseTerm(token) {
+  const text = token.value;
+  if (token.quoted || text.length === 0) return { type: 'text', value: text.toLowerCase() };
+  if (text.length > 1 && text[0] === '+') return { type: 'project', value: text.slice(1).toLowerCase() };
+  if (text.length > 1 && text[0] === '@') return { type: 'context', value: text.slice(1).toLowerCase() };
+
+  const separator = text.indexOf(':');
+  if (separator <= 0 || separator === text.length - 1) return { type: 'text', value: text.toLowerCase() };
+  const key = text.slice(0, separator).toLowerCase();
+  const value = text.slice(separator + 1);
+
+  if (key === 'is') {
+    const state = value.toLowerCase();
+    if (state === 'done' || state === 'completed') return { type: 'done', value: true };
+    if (state === 'open' || state === 'active' || state === 'pending') return { type: 'done', value: false };
+    throw new QueryError(`Unknown state "is:${value}". Use is:done or is:open.`);
+  }
+
+  if (key === 'pri') {
+    const range = value.toUpperCase();
+    if (range === 'NONE') return { type: 'priority', from: null, to: null };
+    const match = /^([A-Z])(?:-([A-Z]))?$/.exec(range);
+    if (!match) throw new QueryError(`Invalid priority "${value}". Use pri:A, pri:A-C or pri:none.`);
+    const from = match[1];
+    const to = match[2] || match[1];
+    return { type: 'priority', from: from < to ? from : to, to: from < to ? to : from };
+  }
+
+  if (DATE_FIELDS.includes(key)) {
+    if (value.toLowerCase() === 'none') return { type: 'date', field: key, operator: 'none' };
+    const match = /^(<=|>=|<|>|=)?(.+)$/.exec(value);
+    return { type: 'date', field: key, operator: match[1] || '=', ...parseDateValue(match[2]) };
+  }
+
+  return { type: 'extension', key, value };
+}
+
+/**
+ * Parses a query string into an expression tree.
+ * @param {string} queryText - The query as typed by the user.
+ * @returns {object | null} The expression tree, or null for an empty query.
+ * @throws {QueryError} If the query is malformed.
+ */
+export function parseQuery(queryText) {
+  const tokens = tokenize(queryText || '');
+  if (tokens.length === 0) return null;
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const startsOperand = token => token && (token.type === 'term' || token.type === '(' || token.type === 'NOT');
+
+  function parseOr() {
+    const operands = [parseAnd()];
+    while (peek() && peek().type === 'OR') {
+      position++;
+      operands.push(parseAnd());
+    }
+    return operands.length === 1 ? operands[0] : { type: 'or', operands };
+  }
+
+  function parseAnd() {
+    const operands = [parseUnary()];
+    while (peek() && (peek().type === 'AND' || startsOperand(peek()))) {
+      if (peek().type === 'AND') position++;
+      operands.push(parseUnary());
+    }
+    return operands.length === 1 ? operands[0] : { type: 'and', operands };
+  }
+
+  function parseUnary() {
+    const token = peek();
+    if (!token) throw new QueryError('Unexpected end of query.');
+    if (token.type === 'NOT') {
+      position++;
+      return { type: 'not', operand: parseUnary() };
+    }
+    if (token.type === '(') {
+      position++;
+      const expression = parseOr();
+      if (!peek() || peek().type !== ')') throw new QueryError('Missing closing parenthesis.');
+      position++;
+      return expression;
+    }
+    if (token.type === 'term') {
+      position++;
+      return parseTerm(token);
+    }
+    throw new QueryError(`Unexpected "${token.type}".`);
+  }
+
+  const tree = parseOr();
+  if (position < tokens.length) throw new QueryError(`Unexpected "${tokens[position].type}".`);
+  return tree;
+}
+
+function shiftDate(dateString, days) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return date.toISOString().slice(0, 10);
+}
+
+function resolveDate(node, today) {
+  if (node.date) return node.date;
+  if (node.keyword === 'today') return today;
+  if (node.keyword === 'tomorrow') return shiftDate(today, 1);
+  if (node.keyword === 'yesterday') return shiftDate(today, -1);
+  return shiftDate(today, node.offsetDays);
+}
+
+function getItemDate(item, field) {
+  if (field === 'created' || field === 'completed') {
+    // The *ToString() forms: created()/completed() are local midnight, so their ISO string can be the day before
+    return (field === 'created' ? item.createdToString() : item.completedToString()) || null;
+  }
+  const extension = item.extensions().find(ext => ext.key === field);
+  return extension && DATE_PATTERN.test(extension.value) ? extension.value : null;
+}
+
+function compareDates(actual, operator, expected) {
+  switch (operator) {
+  case '<': return actual < expected;
+  case '<=': return actual <= expected;
+  case '>': return actual > expected;
+  case '>=': return actual >= expected;
+  default: return actual === expected;
+  }
+}
+
+/**
+ * Evaluates an expression tree against a parsed item.
+ * @param {object | null} tree - The tree returned by parseQuery (null matches everything).
+ * @param {object} item - A jsTodoTxt.Item.
+ * @param {{today: string}} context - Evaluation context; `today` is the current date as YYYY-MM-DD.
+ * @returns {boolean} True if the item matches.
+ */
+export function evaluateQuery(tree, item, context) {
+  if (!tree) return true;
+  switch (tree.type) {
+  case 'and':
+    return tree.operands.every(operand => evaluateQuery(operand, item, context));
+  case 'or':
+    return tree.operands.some(operand => evaluateQuery(operand, item, context));
+  case 'not':
+    return !evaluateQuery(tree.operand, item, context);
+  case 'text':
+    return item.body().toLowerCase().includes(tree.value);
+  case 'project':
+    return item.projects().some(project => project.toLowerCase() === tree.value);
+  case 'context':
+    return item.contexts().some(itemContext => itemContext.toLowerCase() === tree.value);
+  case 'done':
+    return item.complete() === tree.value;
+  case 'priority': {
+    const priority = item.priority();
+    if (tree.from === null) return !priority;
+    return Boolean(priority) && priority >= tree.from && priority <= tree.to;
+  }
+  case 'date': {
+    const actual = getItemDate(item, tree.field);
+    if (tree.operator === 'none') return actual === null;
+    return actual !== null && compareDates(actual, tree.operator, resolveDate(tree, context.today));
+  }
+  case 'extension':
+    return item.extensions().some(ext => ext.key.toLowerCase() === tree.key && ext.value === tree.value);
+  default:
+    console.warn(`Unknown query node type "${tree.type}".`);
+    return false;
+  }
+}
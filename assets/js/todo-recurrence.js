@@ -0,0 +1,137 @@
+/* global jsTodoTxt */
+'use strict';
+
+// rec:[+]<amount><unit>, e.g. rec:1w, rec:+1m, rec:5b (the amount defaults to 1)
+const RECURRENCE_PATTERN = /^(\+?)(\d*)([dwmyb])$/i;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses the value of a rec: extension.
+ * A leading "+" makes the recurrence strict: the next due date is computed from the
+ * previous due date instead of from the completion date.
+ * @param {string} value - The extension value (e.g. "1w", "+1m", "5b").
+ * @returns {{strict: boolean, amount: number, unit: 'd'|'w'|'m'|'y'|'b'} | null} The recurrence or null if invalid.
+ */
+export function parseRecurrence(value) {
+  const match = RECURRENCE_PATTERN.exec((value || '').trim());
+  if (!match) return null;
+  const amount = match[2] === '' ? 1 : parseInt(match[2], 10);
+  if (amount <= 0) return null;
+  return { strict: match[1] === '+', amount, unit: match[3].toLowerCase() };
+}
+
+// Dates are handled as UTC midnight so that adding days never crosses a DST boundary
+function parseDate(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Today's date as YYYY-MM-DD in local time
+function getTodayDateString() {
+  const today = new Date();
+  const month = String(today.getMonth() + 1).padStart(2, '0');
+  const day = String(today.getDate()).padStart(2, '0');
+  return `${today.getFullYear()}-${month}-${day}`;
+}
+
+function isValidDate(dateString) {
+  return typeof dateString === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(dateString) && !isNaN(parseDate(dateString));
+}
+
+/**
+ * Adds a recurrence interval to a date.
+ * Months and years keep the day of month where possible (Jan 31 + 1m = Feb 28/29);
+ * business days skip Saturdays and Sundays.
+ * @param {string} dateString - Start date as YYYY-MM-DD.
+ * @param {number} amount - Number of units to add.
+ * @param {'d'|'w'|'m'|'y'|'b'} unit - Interval unit.
+ * @returns {string} The resulting date as YYYY-MM-DD.
+ */
+export function addInterval(dateString, amount, unit) {
+  const date = parseDate(dateString);
+  switch (unit) {
+  case 'd':
+    date.setUTCDate(date.getUTCDate() + amount);
+    break;
+  case 'w':
+    date.setUTCDate(date.getUTCDate() + amount * 7);
+    break;
+  case 'm':
+  case 'y': {
+    const months = unit === 'm' ? amount : amount * 12;
+    const day = date.getUTCDate();
+    date.setUTCDate(1);
+    date.setUTCMonth(date.getUTCMonth() + months);
+    const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+    date.setUTCDate(Math.min(day, daysInMonth));
+    break;
+  }
+  case 'b': {
+    let remaining = amount;
+    while (remaining > 0) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      const weekday = date.getUTCDay();
+      if (weekday !== 0 && weekday !== 6) remaining--;
+    }
+    break;
+  }
+  default:
+    console.warn(`Unknown recurrence unit "${unit}".`);
+  }
+  return formatDate(date);
+}
+
+function shiftDate(dateString, days) {
+  const date = parseDate(dateString);
+  date.setUTCDate(date.getUTCDate() + days);
+  return formatDate(date);
+}
+
+function getExtensionValue(item, key) {
+  const extension = item.extensions().find(ext => ext.key === key);
+  return extension ? extension.value : undefined;
+}
+
+/**
+ * Builds the next occurrence of a recurring task that is being completed.
+ * The due: date moves by the rec: interval (from the completion date, or from the old
+ * due date for strict recurrences) and t: keeps its distance to the due date. Without
+ * a due date the threshold is moved instead; without either a due date is added.
+ * Like the add form, the copy gets a creation date only if the original had one.
+ * @param {string} taskText - The task text before it was completed.
+ * @param {string} [completionDate] - The completion date as YYYY-MM-DD. Defaults to today.
+ * @returns {string | null} The text of the new task, or null if the task does not recur.
+ */
+export function createNextOccurrence(taskText, completionDate = getTodayDateString()) {
+  const item = new jsTodoTxt.Item(taskText);
+  const recurrence = parseRecurrence(getExtensionValue(item, 'rec'));
+  if (!recurrence) return null;
+
+  const { strict, amount, unit } = recurrence;
+  const due = getExtensionValue(item, 'due');
+  const threshold = getExtensionValue(item, 't');
+
+  if (isValidDate(due)) {
+    const newDue = addInterval(strict ? due : completionDate, amount, unit);
+    item.setExtension('due', newDue);
+    if (isValidDate(threshold)) {
+      const offsetDays = Math.round((parseDate(newDue) - parseDate(due)) / MS_PER_DAY);
+      item.setExtension('t', shiftDate(threshold, offsetDays));
+    }
+  } else if (isValidDate(threshold)) {
+    item.setExtension('t', addInterval(strict ? threshold : completionDate, amount, unit));
+  } else {
+    item.setExtension('due', addInterval(completionDate, amount, unit));
+  }
+
+  item.setComplete(false);
+  item.clearCompleted();
+  if (item.created()) {
+    item.setCreated(completionDate);
+  }
+  return item.toString();
+}
@@ -0,0 +1,96 @@
+'use strict';
+
+import { parseQuery } from './todo-query.js';
+import { loadTodos } from './todo-load.js';
+import { todoList } from './todo.js';
+import { logVerbose } from './todo-logging.js';
+
+// localStorage key for the current search (mirrors the switch keys in todo-switch.js)
+const SEARCH_QUERY_KEY = 'todoWebAppSearchQuery';
+const SEARCH_DEBOUNCE_DELAY = 250; // ms to wait after typing before re-rendering
+
+// The query is parsed once per change and reused for every item and re-render
+let compiledQuery = { text: null, tree: null, error: null };
+let searchDebounceTimer = null;
+
+export function getSearchQuery() {
+  return localStorage.getItem(SEARCH_QUERY_KEY) || '';
+}
+
+/**
+ * Stores the search query and updates the search box.
+ * Call loadTodos afterwards to apply it.
+ * @param {string} queryText - The new query.
+ */
+export function setSearchQuery(queryText) {
+  const text = (queryText || '').trim();
+  if (text) {
+    localStorage.setItem(SEARCH_QUERY_KEY, text);
+  } else {
+    localStorage.removeItem(SEARCH_QUERY_KEY);
+  }
+  const searchInput = $('#searchInput');
+  if (searchInput.val() !== text) searchInput.val(text);
+  updateSearchValidity();
+}
+
+/**
+ * Returns the parsed form of the current search query.
+ * @returns {{tree: object | null, error: string | null}} The expression tree (null = no filter)
+ *   and the parse error message if the query is invalid (the query is then ignored).
+ */
+export function getSearchFilter() {
+  const text = getSearchQuery();
+  if (compiledQuery.text !== text) {
+    try {
+      compiledQuery = { text, tree: parseQuery(text), error: null };
+    } catch (error) {
+      if (error.name !== 'QueryError') console.error('Unexpected error parsing search query:', error);
+      compiledQuery = { text, tree: null, error: error.message };
+      logVerbose(`Invalid search query "${text}": ${error.message}`);
+    }
+  }
+  return { tree: compiledQuery.tree, error: compiledQuery.error };
+}
+
+function updateSearchValidity() {
+  const { error } = getSearchFilter();
+  $('#searchInput').toggleClass('is-invalid', Boolean(error));
+  $('#searchError').text(error || '');
+}
+
+/**
+ * Wires the search box: typing re-renders the list after a short pause,
+ * Enter applies immediately and the clear button resets the search.
+ */
+export function setupSearchControls() {
+  const searchInput = $('#searchInput');
+  searchInput.val(getSearchQuery());
+  updateSearchValidity();
+
+  const applySearch = () => {
+    clearTimeout(searchDebounceTimer);
+    setSearchQuery(searchInput.val());
+    loadTodos(todoList);
+  };
+
+  searchInput.on('input', function() {
+    clearTimeout(searchDebounceTimer);
+    searchDebounceTimer = setTimeout(applySearch, SEARCH_DEBOUNCE_DELAY);
+  });
+
+  searchInput.on('keydown', function(e) {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      applySearch();
+    } else if (e.key === 'Escape') {
+      searchInput.val('');
+      applySearch();
+    }
+  });
+
+  $('#clearSearchButton').click(function() {
+    searchInput.val('');
+    applySearch();
+  });
+}
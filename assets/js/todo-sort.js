@@ -0,0 +1,125 @@
+'use strict';
+
+/*
+ * Sorting and grouping rules for todo.txt items.
+ * Functions take jsTodoTxt items and have no browser dependencies, so the same
+ * ordering can be used by the web app, the server and the command line tool.
+ */
+
+export const SORT_OPTIONS = {
+  default: 'Status & Priority',
+  due: 'Due Date',
+  created: 'Creation Date',
+  text: 'Text'
+};
+
+export const GROUP_OPTIONS = {
+  none: 'No Grouping',
+  project: 'Project',
+  context: 'Context',
+  priority: 'Priority',
+  due: 'Due Date'
+};
+
+const NO_GROUP_LABELS = {
+  project: 'No Project',
+  context: 'No Context',
+  priority: 'No Priority',
+  due: 'No Due Date'
+};
+
+function getExtensionValue(item, key) {
+  const extension = item.extensions().find(ext => ext.key === key);
+  return extension ? extension.value : undefined;
+}
+
+// Items missing the value sort after items that have it
+function compareOptional(valueA, valueB) {
+  if (valueA && !valueB) return -1;
+  if (!valueA && valueB) return 1;
+  if (valueA < valueB) return -1;
+  if (valueA > valueB) return 1;
+  return 0;
+}
+
+/**
+ * The app's standard order: open items before completed ones, then by priority (A first,
+ * no priority last). Equal items keep their relative order (Array.prototype.sort is stable).
+ * @param {object} itemA - A jsTodoTxt.Item.
+ * @param {object} itemB - A jsTodoTxt.Item.
+ * @returns {number}
+ */
+export function compareByStatusAndPriority(itemA, itemB) {
+  if (itemA.complete() && !itemB.complete()) return 1; // Completed items last
+  if (!itemA.complete() && itemB.complete()) return -1; // Incomplete items first
+
+  const priorityA = itemA.priority() || 'Z'; // 'Z' for no priority
+  const priorityB = itemB.priority() || 'Z';
+
+  if (priorityA < priorityB) return -1; // Higher priority first (A < B)
+  if (priorityA > priorityB) return 1;
+
+  return 0; // Keep original relative order if same priority/completion
+}
+
+const COMPARATORS = {
+  default: compareByStatusAndPriority,
+  due: (a, b) => compareOptional(getExtensionValue(a, 'due'), getExtensionValue(b, 'due')) || compareByStatusAndPriority(a, b),
+  created: (a, b) => compareOptional(a.createdToString() || undefined, b.createdToString() || undefined) || compareByStatusAndPriority(a, b),
+  text: (a, b) => a.body().localeCompare(b.body(), undefined, { sensitivity: 'base' }) || compareByStatusAndPriority(a, b)
+};
+
+/**
+ * Sorts entries by one of the SORT_OPTIONS keys. Open items always come before completed ones
+ * for the default order; the other orders use it as the tie-breaker.
+ * @template T
+ * @param {T[]} entries - The entries to sort (a new array is returned).
+ * @param {string} [sortKey='default'] - A key of SORT_OPTIONS.
+ * @param {function(T): object} [getItem] - Returns the jsTodoTxt.Item of an entry.
+ * @returns {T[]} The sorted entries.
+ */
+export function sortItems(entries, sortKey = 'default', getItem = entry => entry) {
+  const compare = COMPARATORS[sortKey] || COMPARATORS.default;
+  return [...entries].sort((a, b) => compare(getItem(a), getItem(b)));
+}
+
+function getGroupKeys(item, groupKey) {
+  switch (groupKey) {
+  case 'project':
+    return item.projects().length > 0 ? item.projects().map(project => `+${project}`) : [null];
+  case 'context':
+    return item.contexts().length > 0 ? item.contexts().map(context => `@${context}`) : [null];
+  case 'priority':
+    return [item.priority() ? `(${item.priority()})` : null];
+  case 'due':
+    return [getExtensionValue(item, 'due') || null];
+  default:
+    return [null];
+  }
+}
+
+/**
+ * Splits sorted entries into labelled groups, keeping the order within each group.
+ * Items with several projects or contexts appear in each of their groups.
+ * Groups are ordered by label, with the "no value" group last.
+ * @template T
+ * @param {T[]} entries - The (already sorted) entries.
+ * @param {string} groupKey - A key of GROUP_OPTIONS.
+ * @param {function(T): object} [getItem] - Returns the jsTodoTxt.Item of an entry.
+ * @returns {{label: string | null, entries: T[]}[]} The groups; a single group with a null label when not grouping.
+ */
+export function groupItems(entries, groupKey, getItem = entry => entry) {
+  if (!groupKey || groupKey === 'none' || !GROUP_OPTIONS[groupKey]) {
+    return [{ label: null, entries }];
+  }
+  const groups = new Map();
+  entries.forEach(entry => {
+    getGroupKeys(getItem(entry), groupKey).forEach(key => {
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(entry);
+    });
+  });
+  return [...groups.keys()]
+    .sort((a, b) => compareOptional(a, b))
+    .map(key => ({ label: key === null ? NO_GROUP_LABELS[groupKey] : key, entries: groups.get(key) }));
+}
@@ -0,0 +1,95 @@
+'use strict';
+
+import { logVerbose } from './todo-logging.js';
+
+// --- Constants ---
+const DB_NAME = 'todotxt-webapp';
+const DB_VERSION = 1;
+const STORE_NAME = 'fileData'; // Key-value store: same keys as the former localStorage entries
+
+/**
+ * Checks whether IndexedDB can be used in this browser context.
+ * @returns {boolean}
+ */
+export function isIndexedDbAvailable() {
+  try {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+  } catch (e) {
+    // Some browsers throw when accessing indexedDB in restricted contexts
+    return false;
+  }
+}
+
+/**
+ * Opens (and creates or upgrades if needed) the app database.
+ * @returns {Promise<IDBDatabase>} The open database.
+ */
+export function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.createObjectStore(STORE_NAME);
+        logVerbose(`Created IndexedDB object store "${STORE_NAME}".`);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => console.warn('Opening IndexedDB is blocked by another open tab.');
+  });
+}
+
+/**
+ * Reads every entry of the store.
+ * @param {IDBDatabase} db - The open database.
+ * @returns {Promise<Map<string, string>>} All stored entries keyed by storage key.
+ */
+export function readAllEntries(db) {
+  return new Promise((resolve, reject) => {
+    const entries = new Map();
+    const transaction = db.transaction(STORE_NAME, 'readonly');
+    const request = transaction.objectStore(STORE_NAME).openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor) {
+        entries.set(cursor.key, cursor.value);
+        cursor.continue();
+      }
+    };
+    transaction.oncomplete = () => resolve(entries);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Writes a single entry. Transactions on the same store run in the order they
+ * were created, so consecutive writes for a key land in call order.
+ * @param {IDBDatabase} db - The open database.
+ * @param {string} key - The storage key.
+ * @param {string} value - The value to store.
+ * @returns {Promise<void>}
+ */
+export function writeEntry(db, key, value) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    transaction.objectStore(STORE_NAME).put(value, key);
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Deletes a single entry.
+ * @param {IDBDatabase} db - The open database.
+ * @param {string} key - The storage key.
+ * @returns {Promise<void>}
+ */
+export function deleteEntry(db, key) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    transaction.objectStore(STORE_NAME).delete(key);
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
@@ -1,10 +1,12 @@
 'use strict';
 
 import { logVerbose } from './todo-logging.js';
+import { isIndexedDbAvailable, openDatabase, readAllEntries, writeEntry, deleteEntry } from './todo-storage-idb.js';
 
 // --- Constants ---
 const KNOWN_FILES_KEY = 'todoFiles'; // Stores array of { name: string, path: string }
 const ACTIVE_FILE_KEY = 'activeTodoFile'; // Stores the path (string) of the active file
+const ALL_FILES_VIEW_KEY = 'todoWebAppAllFilesView'; // 'true' while the list shows the tasks of all files
 export const DEFAULT_FILE_PATH = '/todo.txt'; // Default file if none active or found
 
 // --- Helper Functions ---
@@ -23,6 +25,149 @@ function getDynamicStorageKey(baseKey, filePath) {
   return `${baseKey}${safePath}`;
 }
 
+// --- Per-File Data Backend ---
+// Todo lists, timestamps and sync snapshots live in IndexedDB, which is not subject
+// to the small localStorage quota. All entries are loaded into memory once by
+// initializeStorage so that reads stay synchronous; writes update the cache
+// immediately and are persisted in the background. Each tab has its own cache, so
+// writes are also broadcast to the other tabs, which apply them to theirs.
+
+// Base keys of per-file entries kept in IndexedDB (and migrated out of localStorage)
+const FILE_DATA_PREFIXES = ['todos_', 'todosLastModifiedLocal_', 'lastSyncTime_', 'syncBase_', 'syncVersion_', 'history_', 'archiveBatch_', 'snapshots_'];
+const FILE_DATA_CHANNEL = 'todotxt-webapp-file-data'; // BroadcastChannel name for cache updates
+
+let fileDataCache = null; // Map of storage key -> string, null until IndexedDB is ready
+let fileDataDb = null;
+let fileDataChannel = null;
+let pendingFileDataMessages = []; // Writes of other tabs received while the cache is loading
+let storageInitPromise = null;
+
+function isFileDataKey(key) {
+  return FILE_DATA_PREFIXES.some(prefix => key.startsWith(prefix));
+}
+
+/**
+ * Moves per-file entries left in localStorage (by older versions or while
+ * IndexedDB was unavailable) into IndexedDB. Those entries were written after
+ * anything already in IndexedDB, so they take precedence. localStorage is only
+ * cleared once the copy succeeded.
+ */
+async function migrateLocalStorageData() {
+  const keysToMigrate = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key && isFileDataKey(key)) keysToMigrate.push(key);
+  }
+  for (const key of keysToMigrate) {
+    const value = localStorage.getItem(key);
+    try {
+      await writeEntry(fileDataDb, key, value);
+      fileDataCache.set(key, value);
+      localStorage.removeItem(key);
+    } catch (error) {
+      console.error(`Error migrating "${key}" from localStorage to IndexedDB:`, error);
+    }
+  }
+  if (keysToMigrate.length > 0) {
+    logVerbose(`Migrated ${keysToMigrate.length} entries from localStorage to IndexedDB.`);
+  }
+}
+
+/**
+ * Opens the IndexedDB storage, loads its contents into memory and migrates
+ * any data still held in localStorage. Must complete before todos are read.
+ * Falls back to localStorage when IndexedDB cannot be used.
+ * Safe to call multiple times; initialization only runs once.
+ * @returns {Promise<void>}
+ */
+export function initializeStorage() {
+  if (!storageInitPromise) {
+    storageInitPromise = (async () => {
+      if (!isIndexedDbAvailable()) {
+        console.warn("IndexedDB is not available. Falling back to localStorage for todo data.");
+        return;
+      }
+      try {
+        const db = await openDatabase();
+        openFileDataChannel(); // Before reading, so no write of another tab is missed
+        fileDataCache = await readAllEntries(db);
+        fileDataDb = db;
+        pendingFileDataMessages.forEach(handleFileDataMessage); // Newer than what was read
+        pendingFileDataMessages = [];
+        logVerbose(`Loaded ${fileDataCache.size} entries from IndexedDB.`);
+        await migrateLocalStorageData();
+      } catch (error) {
+        console.error("Error initializing IndexedDB storage. Falling back to localStorage:", error);
+        fileDataCache = null;
+        fileDataDb = null;
+        if (fileDataChannel) fileDataChannel.close();
+        fileDataChannel = null;
+        pendingFileDataMessages = [];
+      }
+    })();
+  }
+  return storageInitPromise;
+}
+
+// Applies a write made by another tab to the cache and announces it with a
+// fileDataChangedElsewhere event on document (detail: { key })
+function handleFileDataMessage(event) {
+  if (!fileDataCache) {
+    pendingFileDataMessages.push(event);
+    return;
+  }
+  const { key, value } = event.data || {};
+  if (typeof key !== 'string' || !isFileDataKey(key)) return;
+  if (value === null) {
+    fileDataCache.delete(key);
+  } else {
+    fileDataCache.set(key, value);
+  }
+  document.dispatchEvent(new CustomEvent('fileDataChangedElsewhere', { detail: { key } }));
+}
+
+function openFileDataChannel() {
+  if (typeof BroadcastChannel === 'undefined') {
+    console.warn("BroadcastChannel is not available. Changes made in other tabs are only seen after a reload.");
+    return;
+  }
+  fileDataChannel = new BroadcastChannel(FILE_DATA_CHANNEL);
+  fileDataChannel.onmessage = handleFileDataMessage;
+}
+
+function broadcastFileData(key, value) {
+  if (fileDataChannel) fileDataChannel.postMessage({ key, value });
+}
+
+function readFileData(key) {
+  if (!fileDataCache) return localStorage.getItem(key);
+  return fileDataCache.has(key) ? fileDataCache.get(key) : null;
+}
+
+function writeFileData(key, value) {
+  if (!fileDataCache) {
+    localStorage.setItem(key, value);
+    return;
+  }
+  fileDataCache.set(key, value);
+  broadcastFileData(key, value);
+  writeEntry(fileDataDb, key, value).catch(error => {
+    console.error(`Error writing "${key}" to IndexedDB:`, error);
+  });
+}
+
+function removeFileData(key) {
+  if (!fileDataCache) {
+    localStorage.removeItem(key);
+    return;
+  }
+  fileDataCache.delete(key);
+  broadcastFileData(key, null);
+  deleteEntry(fileDataDb, key).catch(error => {
+    console.error(`Error deleting "${key}" from IndexedDB:`, error);
+  });
+}
+
 // --- Active File Management ---
 
 export function getActiveFile() {
@@ -40,6 +185,25 @@ export function setActiveFile(filePath) {
   // Potentially trigger UI update or data reload here
 }
 
+/**
+ * Whether the list shows the tasks of all known files instead of only the active one.
+ * The active file stays selected underneath and still receives newly added tasks.
+ * With a single known file the view has nothing to aggregate and is treated as off.
+ * @returns {boolean}
+ */
+export function isAllFilesViewActive() {
+  return localStorage.getItem(ALL_FILES_VIEW_KEY) === 'true' && getKnownFiles().length > 1;
+}
+
+export function setAllFilesViewActive(active) {
+  if (active) {
+    localStorage.setItem(ALL_FILES_VIEW_KEY, 'true');
+  } else {
+    localStorage.removeItem(ALL_FILES_VIEW_KEY);
+  }
+  logVerbose(`All files view ${active ? 'enabled' : 'disabled'}.`);
+}
+
 // --- Known Files Management ---
 
 export function getKnownFiles() {
@@ -113,39 +277,84 @@ export function renameKnownFile(oldPath, newName, newPath) {
     console.warn(`File with new path "${newPath}" already exists.`);
     return false; // Prevent renaming to an existing path
   }
-  // --- Move associated data in localStorage ---
+  // --- Move associated per-file data ---
   const oldTodoKey = getDynamicStorageKey('todos_', oldPath);
   const newTodoKey = getDynamicStorageKey('todos_', newPath);
   const oldLocalModKey = getDynamicStorageKey('todosLastModifiedLocal_', oldPath);
   const newLocalModKey = getDynamicStorageKey('todosLastModifiedLocal_', newPath);
   const oldSyncTimeKey = getDynamicStorageKey('lastSyncTime_', oldPath);
   const newSyncTimeKey = getDynamicStorageKey('lastSyncTime_', newPath);
+  const oldSyncBaseKey = getDynamicStorageKey('syncBase_', oldPath);
+  const newSyncBaseKey = getDynamicStorageKey('syncBase_', newPath);
+  const oldSyncVersionKey = getDynamicStorageKey('syncVersion_', oldPath);
+  const newSyncVersionKey = getDynamicStorageKey('syncVersion_', newPath);
+  const oldHistoryKey = getDynamicStorageKey('history_', oldPath);
+  const newHistoryKey = getDynamicStorageKey('history_', newPath);
+  const oldArchiveBatchKey = getDynamicStorageKey('archiveBatch_', oldPath);
+  const newArchiveBatchKey = getDynamicStorageKey('archiveBatch_', newPath);
+  const oldSnapshotsKey = getDynamicStorageKey('snapshots_', oldPath);
+  const newSnapshotsKey = getDynamicStorageKey('snapshots_', newPath);
 
   if (oldTodoKey && newTodoKey) {
-    const todosData = localStorage.getItem(oldTodoKey);
+    const todosData = readFileData(oldTodoKey);
     if (todosData) {
-      localStorage.setItem(newTodoKey, todosData);
-      localStorage.removeItem(oldTodoKey);
+      writeFileData(newTodoKey, todosData);
+      removeFileData(oldTodoKey);
       logVerbose(`Moved todo data from ${oldTodoKey} to ${newTodoKey}`);
 
       // Move timestamps only if main data was moved successfully
-      const localModTimestamp = localStorage.getItem(oldLocalModKey);
+      const localModTimestamp = readFileData(oldLocalModKey);
       if (localModTimestamp && newLocalModKey) {
-        localStorage.setItem(newLocalModKey, localModTimestamp);
-        localStorage.removeItem(oldLocalModKey);
+        writeFileData(newLocalModKey, localModTimestamp);
+        removeFileData(oldLocalModKey);
         logVerbose(`Moved local modified timestamp for ${oldPath} to ${newPath}`);
       }
-      const syncTimestamp = localStorage.getItem(oldSyncTimeKey);
+      const syncTimestamp = readFileData(oldSyncTimeKey);
       if (syncTimestamp && newSyncTimeKey) {
-        localStorage.setItem(newSyncTimeKey, syncTimestamp);
-        localStorage.removeItem(oldSyncTimeKey);
+        writeFileData(newSyncTimeKey, syncTimestamp);
+        removeFileData(oldSyncTimeKey);
         logVerbose(`Moved last sync timestamp for ${oldPath} to ${newPath}`);
       }
+      const syncBase = readFileData(oldSyncBaseKey);
+      if (syncBase !== null && newSyncBaseKey) {
+        writeFileData(newSyncBaseKey, syncBase);
+        removeFileData(oldSyncBaseKey);
+        logVerbose(`Moved sync base snapshot for ${oldPath} to ${newPath}`);
+      }
+      const syncVersion = readFileData(oldSyncVersionKey);
+      if (syncVersion !== null && newSyncVersionKey) {
+        writeFileData(newSyncVersionKey, syncVersion);
+        removeFileData(oldSyncVersionKey);
+        logVerbose(`Moved synced version for ${oldPath} to ${newPath}`);
+      }
+      const history = readFileData(oldHistoryKey);
+      if (history !== null && newHistoryKey) {
+        writeFileData(newHistoryKey, history);
+        removeFileData(oldHistoryKey);
+        logVerbose(`Moved undo history for ${oldPath} to ${newPath}`);
+      }
+      const archiveBatch = readFileData(oldArchiveBatchKey);
+      if (archiveBatch !== null && newArchiveBatchKey) {
+        writeFileData(newArchiveBatchKey, archiveBatch);
+        removeFileData(oldArchiveBatchKey);
+        logVerbose(`Moved last archive batch for ${oldPath} to ${newPath}`);
+      }
+      const snapshots = readFileData(oldSnapshotsKey);
+      if (snapshots !== null && newSnapshotsKey) {
+        writeFileData(newSnapshotsKey, snapshots);
+        removeFileData(oldSnapshotsKey);
+        logVerbose(`Moved local snapshots for ${oldPath} to ${newPath}`);
+      }
     } else {
       console.warn(`No todo data found for ${oldPath} to move during rename.`);
       // Ensure old keys are removed even if no data existed
-      if (oldLocalModKey) localStorage.removeItem(oldLocalModKey);
-      if (oldSyncTimeKey) localStorage.removeItem(oldSyncTimeKey);
+      if (oldLocalModKey) removeFileData(oldLocalModKey);
+      if (oldSyncTimeKey) removeFileData(oldSyncTimeKey);
+      if (oldSyncBaseKey) removeFileData(oldSyncBaseKey);
+      if (oldSyncVersionKey) removeFileData(oldSyncVersionKey);
+      if (oldHistoryKey) removeFileData(oldHistoryKey);
+      if (oldArchiveBatchKey) removeFileData(oldArchiveBatchKey);
+      if (oldSnapshotsKey) removeFileData(oldSnapshotsKey);
     }
   } else {
     console.error(`Failed to generate storage keys during rename from ${oldPath} to ${newPath}. Data not moved.`);
@@ -188,11 +397,21 @@ export function removeKnownFile(pathToRemove) {
       logVerbose(`Removed active file "${pathToRemove}", switched to default.`);
       // Consider triggering a reload of the UI/data for the new active file
     }
-    // Also remove associated data from localStorage
+    // Also remove associated per-file data
     const todoKey = getDynamicStorageKey('todos_', pathToRemove);
     const timestampKey = getDynamicStorageKey('todosLastModifiedLocal_', pathToRemove);
-    if (todoKey) localStorage.removeItem(todoKey);
-    if (timestampKey) localStorage.removeItem(timestampKey);
+    const syncBaseKey = getDynamicStorageKey('syncBase_', pathToRemove);
+    const syncVersionKey = getDynamicStorageKey('syncVersion_', pathToRemove);
+    const historyKey = getDynamicStorageKey('history_', pathToRemove);
+    const archiveBatchKey = getDynamicStorageKey('archiveBatch_', pathToRemove);
+    const snapshotsKey = getDynamicStorageKey('snapshots_', pathToRemove);
+    if (todoKey) removeFileData(todoKey);
+    if (timestampKey) removeFileData(timestampKey);
+    if (syncBaseKey) removeFileData(syncBaseKey);
+    if (syncVersionKey) removeFileData(syncVersionKey);
+    if (historyKey) removeFileData(historyKey);
+    if (archiveBatchKey) removeFileData(archiveBatchKey);
+    if (snapshotsKey) removeFileData(snapshotsKey);
     logVerbose(`Removed stored data for file: ${pathToRemove}`);
     return true;
   } else {
@@ -204,12 +423,16 @@ export function removeKnownFile(pathToRemove) {
 
 // --- Todo Item Storage (Per-File) ---
 
-export function getTodosFromStorage() {
-  const activeFilePath = getActiveFile();
-  const storageKey = getDynamicStorageKey('todos_', activeFilePath);
+/**
+ * Retrieves the todo objects stored for a file.
+ * @param {string} [filePath] - The file to read. Defaults to the active file.
+ * @returns {Array<{id: string, text: string}>} The stored todo objects.
+ */
+export function getTodosFromStorage(filePath = getActiveFile()) {
+  const storageKey = getDynamicStorageKey('todos_', filePath);
   if (!storageKey) return []; // Handle case where key generation failed
 
-  const todosJSON = localStorage.getItem(storageKey);
+  const todosJSON = readFileData(storageKey);
   let todos = [];
   if (todosJSON) {
     try {
@@ -226,12 +449,12 @@ export function getTodosFromStorage() {
       } else if (Array.isArray(parsedData) && (parsedData.length === 0 || (typeof parsedData[0] === 'object' && Object.prototype.hasOwnProperty.call(parsedData[0], 'id') && Object.prototype.hasOwnProperty.call(parsedData[0], 'text')))) {
         todos = parsedData; // Correct format
       } else {
-        console.warn(`Invalid data format in localStorage for key "${storageKey}". Resetting todos for this file.`);
+        console.warn(`Invalid data format in storage for key "${storageKey}". Resetting todos for this file.`);
         todos = [];
         // saveTodosToStorage(todos); // Avoid recursive call during get
       }
     } catch (e) {
-      console.error(`Error parsing todos from localStorage for key "${storageKey}":`, e);
+      console.error(`Error parsing todos from storage for key "${storageKey}":`, e);
       todos = [];
       // saveTodosToStorage(todos); // Avoid recursive call during get
       logVerbose(`Error parsing todos for key "${storageKey}", returning empty array.`);
@@ -241,46 +464,51 @@ export function getTodosFromStorage() {
   return Array.isArray(todos) ? todos : [];
 }
 
-export function saveTodosToStorage(todoObjects) {
-  const activeFilePath = getActiveFile();
-  const storageKey = getDynamicStorageKey('todos_', activeFilePath);
-  const timestampKey = getDynamicStorageKey('todosLastModifiedLocal_', activeFilePath);
+/**
+ * Stores the todo objects of a file, updates its local modification time
+ * and dispatches a localDataChanged event so the file gets synced.
+ * @param {Array<{id: string, text: string}>} todoObjects - The todo objects to store.
+ * @param {string} [filePath] - The file to write. Defaults to the active file.
+ */
+export function saveTodosToStorage(todoObjects, filePath = getActiveFile()) {
+  const storageKey = getDynamicStorageKey('todos_', filePath);
+  const timestampKey = getDynamicStorageKey('todosLastModifiedLocal_', filePath);
 
   if (!storageKey || !timestampKey) {
-    console.error("Cannot save todos, failed to generate storage keys for path:", activeFilePath);
+    console.error("Cannot save todos, failed to generate storage keys for path:", filePath);
     return;
   }
 
   if (!Array.isArray(todoObjects)) {
-    console.error(`Attempted to save non-array to localStorage for key "${storageKey}":`, todoObjects);
+    console.error(`Attempted to save non-array to storage for key "${storageKey}":`, todoObjects);
     return;
   }
 
-  localStorage.setItem(storageKey, JSON.stringify(todoObjects));
+  writeFileData(storageKey, JSON.stringify(todoObjects));
   const saveTimestamp = new Date().toISOString();
   // Store the current timestamp for the specific file
-  localStorage.setItem(timestampKey, saveTimestamp);
-  // console.log(`Saved todos and timestamp for ${activeFilePath}`);
+  writeFileData(timestampKey, saveTimestamp);
+  // console.log(`Saved todos and timestamp for ${filePath}`);
 
-  // Dispatch an event indicating data has changed for the active file
+  // Dispatch an event indicating data has changed for the file
   document.dispatchEvent(new CustomEvent('localDataChanged', {
     detail: {
-      filePath: activeFilePath,
+      filePath,
       timestamp: saveTimestamp // Include timestamp for potential use by listener
     }
   }));
-  logVerbose(`Dispatched localDataChanged event for ${activeFilePath}`);
+  logVerbose(`Dispatched localDataChanged event for ${filePath}`);
 }
 
 /**
- * Retrieves the timestamp of the last local save operation for the active file.
+ * Retrieves the timestamp of the last local save operation for a file.
+ * @param {string} [filePath] - The file to check. Defaults to the active file.
  * @returns {string | null} ISO 8601 timestamp string or null if not set.
  */
-export function getLocalLastModified() {
-  const activeFilePath = getActiveFile();
-  const timestampKey = getDynamicStorageKey('todosLastModifiedLocal_', activeFilePath);
+export function getLocalLastModified(filePath = getActiveFile()) {
+  const timestampKey = getDynamicStorageKey('todosLastModifiedLocal_', filePath);
   if (!timestampKey) return null;
-  return localStorage.getItem(timestampKey);
+  return readFileData(timestampKey);
 }
 
 // --- Last Sync Time Storage (Per-File) ---
@@ -296,7 +524,7 @@ export function setLastSyncTime(filePath) {
     return;
   }
   const now = new Date().toISOString();
-  localStorage.setItem(timestampKey, now);
+  writeFileData(timestampKey, now);
   logVerbose(`Last sync time set for ${filePath}: ${now}`);
 }
 
@@ -308,43 +536,250 @@ export function setLastSyncTime(filePath) {
 export function getLastSyncTime(filePath) {
   const timestampKey = getDynamicStorageKey('lastSyncTime_', filePath);
   if (!timestampKey) return null;
-  return localStorage.getItem(timestampKey);
+  return readFileData(timestampKey);
 }
 
+// --- Sync Base Snapshot (Per-File) ---
 
-// --- Todo Modification Functions (Operating on Active File) ---
+/**
+ * Stores the file content as it was at the last successful sync.
+ * Used as the common ancestor when merging concurrent local and remote edits.
+ * @param {string} filePath - The path of the file that was synced.
+ * @param {string} content - The content both sides agreed on.
+ */
+export function setSyncBaseContent(filePath, content) {
+  const baseKey = getDynamicStorageKey('syncBase_', filePath);
+  if (!baseKey) {
+    console.error("Cannot store sync base, failed to generate storage key for path:", filePath);
+    return;
+  }
+  writeFileData(baseKey, content);
+  logVerbose(`Sync base snapshot stored for ${filePath} (${content.length} chars).`);
+}
+
+/**
+ * Retrieves the content recorded at the last successful sync of a file.
+ * @param {string} filePath - The path of the file to check.
+ * @returns {string | null} The base content or null if the file was never synced.
+ */
+export function getSyncBaseContent(filePath) {
+  const baseKey = getDynamicStorageKey('syncBase_', filePath);
+  if (!baseKey) return null;
+  return readFileData(baseKey);
+}
 
-export function addTodoToStorage(item) {
-  // getTodosFromStorage and saveTodosToStorage now implicitly use the active file
-  const todos = getTodosFromStorage(); // Gets todos for the active file
+// --- Synced Version (Per-File) ---
+
+/**
+ * Stores which version of a file was last synced, used to detect changes on either side
+ * without relying on clocks.
+ * @param {string} filePath - The path of the file that was synced.
+ * @param {{rev: string, contentHash: string, localHash: string} | null} version - The Dropbox `rev` and
+ *   `content_hash` of the synced file and the content hash of the local text at that moment, or null to clear it.
+ */
+export function setSyncedVersion(filePath, version) {
+  const versionKey = getDynamicStorageKey('syncVersion_', filePath);
+  if (!versionKey) {
+    console.error("Cannot store synced version, failed to generate storage key for path:", filePath);
+    return;
+  }
+  if (version) {
+    writeFileData(versionKey, JSON.stringify(version));
+    logVerbose(`Synced version stored for ${filePath} (rev ${version.rev}).`);
+  } else {
+    removeFileData(versionKey);
+  }
+}
+
+/**
+ * Retrieves the version of a file recorded at its last successful sync.
+ * @param {string} filePath - The path of the file to check.
+ * @returns {{rev: string, contentHash: string, localHash: string} | null} The version or null if unknown.
+ */
+export function getSyncedVersion(filePath) {
+  const versionKey = getDynamicStorageKey('syncVersion_', filePath);
+  if (!versionKey) return null;
+  const versionJSON = readFileData(versionKey);
+  if (!versionJSON) return null;
+  try {
+    return JSON.parse(versionJSON);
+  } catch (e) {
+    console.error(`Error parsing synced version for ${filePath}:`, e);
+    return null;
+  }
+}
+
+// --- Last Archive Batch (Per-File) ---
+
+/**
+ * Stores the tasks most recently moved from a file to its done file, so the archive can be restored.
+ * @param {string} filePath - The file the tasks were archived from.
+ * @param {{doneFilePath: string, lines: string[], timestamp: string} | null} batch - The batch, or null to clear it.
+ */
+export function setLastArchiveBatch(filePath, batch) {
+  const batchKey = getDynamicStorageKey('archiveBatch_', filePath);
+  if (!batchKey) {
+    console.error("Cannot store archive batch, failed to generate storage key for path:", filePath);
+    return;
+  }
+  if (batch) {
+    writeFileData(batchKey, JSON.stringify(batch));
+  } else {
+    removeFileData(batchKey);
+  }
+}
+
+/**
+ * Retrieves the tasks most recently archived from a file.
+ * @param {string} filePath - The file the tasks were archived from.
+ * @returns {{doneFilePath: string, lines: string[], timestamp: string} | null} The batch or null if none.
+ */
+export function getLastArchiveBatch(filePath) {
+  const batchKey = getDynamicStorageKey('archiveBatch_', filePath);
+  if (!batchKey) return null;
+  const batchJSON = readFileData(batchKey);
+  if (!batchJSON) return null;
+  try {
+    return JSON.parse(batchJSON);
+  } catch (e) {
+    console.error(`Error parsing archive batch for ${filePath}:`, e);
+    return null;
+  }
+}
+
+// --- Local Snapshots (Per-File) ---
+
+const SNAPSHOT_LIMIT = 20; // Maximum number of snapshots kept per file
+
+/**
+ * Retrieves the local snapshots of a file, newest first.
+ * @param {string} filePath - The path of the file.
+ * @returns {Array<{timestamp: string, reason: string, content: string}>} The snapshots.
+ */
+export function getLocalSnapshots(filePath) {
+  const snapshotsKey = getDynamicStorageKey('snapshots_', filePath);
+  if (!snapshotsKey) return [];
+  const snapshotsJSON = readFileData(snapshotsKey);
+  if (!snapshotsJSON) return [];
+  try {
+    const snapshots = JSON.parse(snapshotsJSON);
+    return Array.isArray(snapshots) ? snapshots : [];
+  } catch (e) {
+    console.error(`Error parsing local snapshots for ${filePath}:`, e);
+    return [];
+  }
+}
+
+/**
+ * Keeps a copy of a file's content before it is replaced as a whole (e.g. by a sync
+ * download or a restore), dropping the oldest snapshots beyond the limit.
+ * @param {string} filePath - The path of the file.
+ * @param {string} content - The content to keep.
+ * @param {string} reason - Why the snapshot was taken, shown in the history panel.
+ */
+export function addLocalSnapshot(filePath, content, reason) {
+  const snapshotsKey = getDynamicStorageKey('snapshots_', filePath);
+  if (!snapshotsKey) {
+    console.error("Cannot store snapshot, failed to generate storage key for path:", filePath);
+    return;
+  }
+  const snapshots = getLocalSnapshots(filePath);
+  snapshots.unshift({ timestamp: new Date().toISOString(), reason, content });
+  writeFileData(snapshotsKey, JSON.stringify(snapshots.slice(0, SNAPSHOT_LIMIT)));
+  logVerbose(`Local snapshot stored for ${filePath} (${reason}).`);
+}
+
+// --- Undo/Redo Journal (Per-File) ---
+
+const HISTORY_LIMIT = 100; // Maximum number of undoable operations kept per file
+
+/**
+ * Retrieves the undo/redo journal of a file.
+ * Each entry records one task mutation: { type: 'add'|'update'|'remove', id, before, after, index, timestamp },
+ * where `before`/`after` are the task text around the change (null when the task did not exist).
+ * @param {string} filePath - The path of the file.
+ * @returns {{undo: Array<object>, redo: Array<object>}} The journal, oldest entries first.
+ */
+export function getHistoryJournal(filePath) {
+  const historyKey = getDynamicStorageKey('history_', filePath);
+  const emptyJournal = { undo: [], redo: [] };
+  if (!historyKey) return emptyJournal;
+  const journalJSON = readFileData(historyKey);
+  if (!journalJSON) return emptyJournal;
+  try {
+    const journal = JSON.parse(journalJSON);
+    if (Array.isArray(journal.undo) && Array.isArray(journal.redo)) return journal;
+    console.warn(`Invalid undo history format for ${filePath}. Resetting history.`);
+  } catch (e) {
+    console.error(`Error parsing undo history for ${filePath}:`, e);
+  }
+  return emptyJournal;
+}
+
+/**
+ * Stores the undo/redo journal of a file, dropping the oldest entries beyond the limit.
+ * @param {string} filePath - The path of the file.
+ * @param {{undo: Array<object>, redo: Array<object>}} journal - The journal to store.
+ */
+export function saveHistoryJournal(filePath, journal) {
+  const historyKey = getDynamicStorageKey('history_', filePath);
+  if (!historyKey) {
+    console.error("Cannot save undo history, failed to generate storage key for path:", filePath);
+    return;
+  }
+  writeFileData(historyKey, JSON.stringify({
+    undo: journal.undo.slice(-HISTORY_LIMIT),
+    redo: journal.redo.slice(-HISTORY_LIMIT)
+  }));
+}
+
+// Records a new mutation of a file; a new change invalidates the redo stack
+function recordHistoryEntry(filePath, entry) {
+  const journal = getHistoryJournal(filePath);
+  journal.undo.push({ ...entry, timestamp: new Date().toISOString() });
+  journal.redo = [];
+  saveHistoryJournal(filePath, journal);
+}
+
+
+// --- Todo Modification Functions (Operating on Active File by Default) ---
+// The "All Tasks" view passes the owning file of a task, so the change is saved
+// (and synced) in that file.
+
+export function addTodoToStorage(item, filePath = getActiveFile()) {
+  const todos = getTodosFromStorage(filePath);
   const newTodoObject = {
     id: generateUniqueId(),
     text: item.toString() // Assuming item is a TodoTxtItem object or similar
   };
   todos.push(newTodoObject);
-  saveTodosToStorage(todos); // Saves todos for the active file and dispatches event
+  recordHistoryEntry(filePath, { type: 'add', id: newTodoObject.id, before: null, after: newTodoObject.text, index: todos.length - 1 });
+  saveTodosToStorage(todos, filePath); // Saves todos for the file and dispatches event
 }
 
-export function updateTodoInStorage(idToUpdate, newItem) {
-  // getTodosFromStorage and saveTodosToStorage now implicitly use the active file
-  let todos = getTodosFromStorage(); // Gets todos for the active file
+export function updateTodoInStorage(idToUpdate, newItem, filePath = getActiveFile()) {
+  let todos = getTodosFromStorage(filePath);
   const index = todos.findIndex(todo => todo.id === idToUpdate);
   if (index > -1) {
+    const previousText = todos[index].text;
     todos[index].text = newItem.toString(); // Assuming newItem is a TodoTxtItem object or similar
-    saveTodosToStorage(todos); // Saves todos for the active file and dispatches event
+    if (todos[index].text !== previousText) {
+      recordHistoryEntry(filePath, { type: 'update', id: idToUpdate, before: previousText, after: todos[index].text, index });
+    }
+    saveTodosToStorage(todos, filePath); // Saves todos for the file and dispatches event
   } else {
-    console.warn(`Could not find todo with ID "${idToUpdate}" in active file "${getActiveFile()}" to update.`);
+    console.warn(`Could not find todo with ID "${idToUpdate}" in file "${filePath}" to update.`);
   }
 }
 
-export function removeTodoFromStorage(idToDelete) {
-  // getTodosFromStorage and saveTodosToStorage now implicitly use the active file
-  let todos = getTodosFromStorage(); // Gets todos for the active file
-  const initialLength = todos.length;
-  todos = todos.filter(todo => todo.id !== idToDelete);
-  if (todos.length < initialLength) {
-    saveTodosToStorage(todos); // Saves todos for the active file and dispatches event
+export function removeTodoFromStorage(idToDelete, filePath = getActiveFile()) {
+  const todos = getTodosFromStorage(filePath);
+  const index = todos.findIndex(todo => todo.id === idToDelete);
+  if (index > -1) {
+    const [removedTodo] = todos.splice(index, 1);
+    recordHistoryEntry(filePath, { type: 'remove', id: idToDelete, before: removedTodo.text, after: null, index });
+    saveTodosToStorage(todos, filePath); // Saves todos for the file and dispatches event
   } else {
-    console.warn(`Could not find todo with ID "${idToDelete}" in active file "${getActiveFile()}" to delete.`);
+    console.warn(`Could not find todo with ID "${idToDelete}" in file "${filePath}" to delete.`);
   }
 }
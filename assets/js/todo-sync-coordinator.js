@@ -1,35 +1,341 @@
 'use strict';
 
-import { getActiveFile, getLocalLastModified, getTodosFromStorage, setLastSyncTime } from './todo-storage.js';
-import { getDbxInstance, getDropboxFileMetadata, downloadTodosFromDropbox, uploadTodosToDropbox } from './dropbox/api.js';
+import {
+  getActiveFile,
+  isAllFilesViewActive,
+  getLocalLastModified,
+  getTodosFromStorage,
+  setLastSyncTime,
+  getSyncBaseContent,
+  setSyncBaseContent,
+  getSyncedVersion,
+  setSyncedVersion
+} from './todo-storage.js';
+import { getSyncProvider } from './sync-provider.js';
 import { saveTodosFromText, loadTodos } from './todo-load.js';
-import { updateSyncIndicator, showConflictModal, SyncStatus } from './dropbox/ui.js';
-import { clearUploadPending, isUploadPending, setUploadPending } from './dropbox/offline.js';
+import { updateSyncIndicator, setFileSyncStatus, showConflictModal, showMergeConflictModal, SyncStatus } from './dropbox/ui.js';
+import { clearUploadPending, setUploadPending } from './dropbox/offline.js';
+import { computeContentHash } from './dropbox/content-hash.js';
+import { mergeThreeWay, applyMergeResolutions, splitTodoLines } from './todo-merge.js';
 import { logVerbose } from './todo-logging.js';
 
-let syncDebounceTimer = null;
+const syncDebounceTimers = new Map(); // File path -> pending debounce timer
+const runningSyncs = new Map(); // File path -> promise of the sync in progress
+const queuedResyncs = new Map(); // File path -> promise of the sync queued behind the running one
+let resolutionQueue = Promise.resolve(); // Conflict dialogs are shown one at a time
+const MAX_UPLOAD_CONFLICT_RETRIES = 3; // Re-merges when the remote file keeps changing during a resolution
 const SYNC_DEBOUNCE_DELAY = 3000; // 3 seconds delay before syncing after local change
 
 /**
- * Performs the core sync logic for the currently active file:
- * compares local and remote timestamps and handles conflicts.
+ * Records the sync status of a file (shown next to it in the sidebar) and updates
+ * the header indicator, which always describes the active file.
+ * @param {string} status - One of SyncStatus.
+ * @param {string} message - Optional error message.
+ * @param {string} filePath - The file the status belongs to.
+ */
+function updateFileSyncIndicator(status, message, filePath) {
+  setFileSyncStatus(filePath, status, message);
+  if (filePath !== getActiveFile()) {
+    logVerbose(`Sync status for non-active file ${filePath}: ${status}`, message || '');
+    return;
+  }
+  updateSyncIndicator(status, message, filePath);
+}
+
+// Re-renders the todo list when the given file is on screen (always the case in the "All Tasks" view)
+function refreshListIfActive(filePath) {
+  if (filePath === getActiveFile() || isAllFilesViewActive()) {
+    loadTodos($('#todo-list'));
+  }
+}
+
+// Serializes the stored todos of a file the way they are uploaded
+function getLocalContent(filePath) {
+  return getTodosFromStorage(filePath).map(todo => todo.text).join('\n');
+}
+
+/**
+ * Records a successful sync: the agreed content becomes the merge base, and the remote
+ * version together with the hash of the local text is stored to detect later changes.
+ * @param {string} filePath - The path of the synced file.
+ * @param {string} content - The content both sides now hold.
+ * @param {import('./sync-provider.js').RemoteFileMetadata} metadata - Remote metadata of that content.
+ */
+async function recordSyncedVersion(filePath, content, metadata) {
+  setSyncedVersion(filePath, {
+    rev: metadata.rev,
+    contentHash: metadata.contentHash,
+    // The local text may differ byte-wise from the remote file (e.g. a trailing newline), so it is hashed separately
+    localHash: await computeContentHash(getLocalContent(filePath))
+  });
+  setLastSyncTime(filePath);
+  setSyncBaseContent(filePath, content);
+  clearUploadPending(filePath);
+}
+
+/**
+ * Uploads the given content on top of a known remote revision and records it as the
+ * new synced version on success. Never overwrites a version it has not seen.
+ * @param {string} filePath - The path of the file to upload.
+ * @param {string} content - The content to upload.
+ * @param {string | null} rev - The remote revision the content is based on (null if the file should not exist).
+ * @returns {Promise<{success: boolean, conflict: boolean}>} Whether the upload succeeded, or was rejected
+ *   because the remote file holds a newer version.
+ */
+async function uploadAndRecordBase(filePath, content, rev) {
+  const { success, conflict, metadata } = await getSyncProvider().upload(filePath, content, rev);
+  if (success) {
+    await recordSyncedVersion(filePath, content, metadata);
+  }
+  return { success, conflict };
+}
+
+/**
+ * Uploads local changes; if another device wrote the file since it was checked,
+ * the upload is rejected and the concurrent change is resolved instead.
+ * @param {string} filePath - The path of the file to upload.
+ * @param {string} content - The local content.
+ * @param {string | null} rev - The remote revision checked before uploading.
+ * @param {Date | null} localDate - Local modification time (for the conflict dialog).
+ * @param {Date | null} remoteDate - Remote modification time (for the conflict dialog).
+ * @returns {Promise<{status: string, message: string}>} The resulting sync status and error message.
+ */
+async function uploadOrResolve(filePath, content, rev, localDate, remoteDate) {
+  const upload = await uploadAndRecordBase(filePath, content, rev);
+  if (upload.success) {
+    return { status: SyncStatus.IDLE, message: '' };
+  }
+  if (upload.conflict) {
+    logVerbose(`Remote version of ${filePath} changed during sync. Resolving concurrent changes.`);
+    return resolveConcurrentChanges(filePath, localDate, remoteDate);
+  }
+  return { status: SyncStatus.ERROR, message: `Failed upload of local changes for ${filePath}` };
+}
+
+/**
+ * Handles an upload rejected during a resolution: the remote file changed again, so the
+ * resolution starts over with the new version, a limited number of times.
+ * @param {string} filePath - The path of the file in conflict.
+ * @param {Date} localDate - Local modification time.
+ * @param {Date} remoteDate - Remote modification time.
+ * @param {number} attempt - The attempt that was rejected.
+ * @returns {Promise<{status: string, message: string}>} The resulting sync status and error message.
+ */
+function retryAfterUploadConflict(filePath, localDate, remoteDate, attempt) {
+  if (attempt >= MAX_UPLOAD_CONFLICT_RETRIES) {
+    setUploadPending(filePath); // Retried on the next sync
+    return { status: SyncStatus.ERROR, message: `${filePath} keeps changing on ${getSyncProvider().name}. Will retry later.` };
+  }
+  logVerbose(`Remote version of ${filePath} changed during resolution. Resolving again (attempt ${attempt + 1}).`);
+  return mergeConcurrentChanges(filePath, localDate, remoteDate, attempt + 1);
+}
+
+/**
+ * Downloads a file, replaces the local tasks with it and records it as the synced version.
+ * @param {string} filePath - The path of the file to download.
+ * @returns {Promise<boolean>} True if the download succeeded.
+ */
+async function downloadAndRecordBase(filePath) {
+  const downloadResult = await getSyncProvider().download(filePath);
+  if (!downloadResult || downloadResult.content === null) return false;
+  saveTodosFromText(downloadResult.content, filePath);
+  await recordSyncedVersion(filePath, downloadResult.content, downloadResult.metadata);
+  refreshListIfActive(filePath);
+  return true;
+}
+
+/**
+ * Reconciles local and remote content when both changed since the last sync.
+ * Files are synced in parallel, so resolutions are queued to never show two dialogs at once.
+ * @param {string} filePath - The path of the file in conflict.
+ * @param {Date} localDate - Local modification time.
+ * @param {Date} remoteDate - Remote modification time.
+ * @returns {Promise<{status: string, message: string}>} The resulting sync status and error message.
+ */
+function resolveConcurrentChanges(filePath, localDate, remoteDate) {
+  const resolution = resolutionQueue.then(() => mergeConcurrentChanges(filePath, localDate, remoteDate));
+  resolutionQueue = resolution.catch(() => {}); // A failed resolution must not block the next one
+  return resolution;
+}
+
+// Whether two file contents hold the same task lines (line endings and blank lines aside)
+function hasSameTasks(contentA, contentB) {
+  const linesA = splitTodoLines(contentA);
+  const linesB = splitTodoLines(contentB);
+  return linesA.length === linesB.length && linesA.every((line, index) => line === linesB[index]);
+}
+
+/**
+ * Merges local and remote content of a file that changed on both sides.
+ * Uses a line-level three-way merge against the last synced snapshot and only asks
+ * the user about lines both sides edited. Falls back to the "keep local / keep remote"
+ * choice when no snapshot is available (e.g. the file was never synced on this device).
+ * @param {string} filePath - The path of the file in conflict.
+ * @param {Date} localDate - Local modification time.
+ * @param {Date} remoteDate - Remote modification time.
+ * @param {number} [attempt=0] - Number of earlier attempts rejected by a newer remote version.
+ * @returns {Promise<{status: string, message: string}>} The resulting sync status and error message.
+ */
+async function mergeConcurrentChanges(filePath, localDate, remoteDate, attempt = 0) {
+  const baseContent = getSyncBaseContent(filePath);
+  const localContent = getLocalContent(filePath);
+
+  try {
+    if (baseContent === null) {
+      return await resolveWithoutBase(filePath, localDate, remoteDate, localContent, attempt);
+    }
+
+    updateFileSyncIndicator(SyncStatus.SYNCING, '', filePath); // Show syncing for download
+    const downloadResult = await getSyncProvider().download(filePath);
+    if (!downloadResult || downloadResult.content === null) {
+      console.error(`Failed to download remote content for ${filePath} to merge.`);
+      return { status: SyncStatus.ERROR, message: `Failed download ${filePath} for merge` };
+    }
+    if (hasSameTasks(downloadResult.content, localContent)) {
+      // Both sides made the same change (or a backend without content hashes could not tell)
+      await recordSyncedVersion(filePath, localContent, downloadResult.metadata); // Also clears the pending flag
+      return { status: SyncStatus.IDLE, message: '' };
+    }
+
+    const { chunks, conflictCount } = mergeThreeWay(baseContent, localContent, downloadResult.content);
+    logVerbose(`Three-way merge for ${filePath} finished with ${conflictCount} conflicting region(s).`);
+
+    let resolutions = [];
+    if (conflictCount > 0) {
+      resolutions = await showMergeConflictModal(chunks.filter(chunk => chunk.type === 'conflict'), filePath);
+      if (!resolutions) {
+        // Keep the pending flag so the merge is offered again on the next sync
+        logVerbose(`Merge cancelled for ${filePath}. Local changes remain pending.`);
+        setUploadPending(filePath);
+        return { status: SyncStatus.PENDING, message: '' };
+      }
+    }
+
+    const mergedContent = applyMergeResolutions(chunks, resolutions);
+    saveTodosFromText(mergedContent, filePath);
+    refreshListIfActive(filePath);
+    logVerbose(`Merged content saved locally for ${filePath}. Uploading merge result...`);
+
+    const upload = await uploadAndRecordBase(filePath, mergedContent, downloadResult.metadata.rev);
+    if (upload.success) {
+      if (conflictCount === 0) {
+        showNotification(`Merged changes from ${getSyncProvider().name} into ${filePath.substring(filePath.lastIndexOf('/') + 1)}.`, 'info');
+      }
+      return { status: SyncStatus.IDLE, message: '' };
+    }
+    if (upload.conflict) {
+      return await retryAfterUploadConflict(filePath, localDate, remoteDate, attempt);
+    }
+    return { status: SyncStatus.ERROR, message: `Failed upload of merged version for ${filePath}` };
+  } catch (error) {
+    console.error(`Error during conflict resolution for ${filePath}:`, error);
+    alert(`An error occurred during sync conflict resolution for ${filePath}.`);
+    return { status: SyncStatus.ERROR, message: `Conflict resolution error for ${filePath}` };
+  }
+}
+
+/**
+ * Lets the user compare both versions side by side when no common base is known,
+ * and keep either one or a per-region selection. The result is saved locally
+ * (if it differs from local) and uploaded (if it differs from the remote file).
+ * @param {string} filePath - The path of the file in conflict.
+ * @param {Date} localDate - Local modification time.
+ * @param {Date} remoteDate - Remote modification time.
+ * @param {string} localContent - The serialized local content.
+ * @param {number} attempt - Number of earlier attempts rejected by a newer remote version.
+ * @returns {Promise<{status: string, message: string}>} The resulting sync status and error message.
+ */
+async function resolveWithoutBase(filePath, localDate, remoteDate, localContent, attempt) {
+  updateFileSyncIndicator(SyncStatus.SYNCING, '', filePath); // Show syncing for download
+  const downloadResult = await getSyncProvider().download(filePath);
+  if (!downloadResult || downloadResult.content === null) {
+    console.error(`Failed to download remote content for ${filePath} to compare.`);
+    return { status: SyncStatus.ERROR, message: `Failed download ${filePath} for conflict` };
+  }
+  const remoteContent = downloadResult.content;
+  if (hasSameTasks(remoteContent, localContent)) {
+    // Nothing to choose (e.g. the first sync with a backend without content hashes)
+    await recordSyncedVersion(filePath, localContent, downloadResult.metadata); // Also clears the pending flag
+    return { status: SyncStatus.IDLE, message: '' };
+  }
+
+  const result = await showConflictModal(localDate, remoteDate, filePath, localContent, remoteContent);
+  if (!result) {
+    // Keep the pending flag so the comparison is offered again on the next sync
+    logVerbose(`Conflict resolution cancelled for ${filePath}. Local changes remain pending.`);
+    setUploadPending(filePath);
+    return { status: SyncStatus.PENDING, message: '' };
+  }
+  logVerbose(`Conflict resolved by user for ${filePath}: Keep '${result.choice}'`);
+
+  if (result.content !== localContent) {
+    saveTodosFromText(result.content, filePath);
+    refreshListIfActive(filePath);
+    logVerbose(`Local storage updated with resolved content for ${filePath}.`);
+  }
+
+  if (result.content === remoteContent) {
+    // The remote file already holds the chosen content, nothing to upload
+    await recordSyncedVersion(filePath, remoteContent, downloadResult.metadata); // Also clears the pending flag
+    return { status: SyncStatus.IDLE, message: '' };
+  }
+
+  const upload = await uploadAndRecordBase(filePath, result.content, downloadResult.metadata.rev);
+  if (upload.success) {
+    return { status: SyncStatus.IDLE, message: '' };
+  }
+  if (upload.conflict) {
+    return retryAfterUploadConflict(filePath, localDate, remoteDate, attempt);
+  }
+  return { status: SyncStatus.ERROR, message: `Failed upload after conflict (${result.choice} chosen) for ${filePath}` };
+}
+
+/**
+ * Syncs a file with the selected sync provider (see sync-provider.js). Only one sync per file runs at a time: a request made
+ * while the file is syncing runs once more after it finished, so later changes are not missed.
  * This function replaces the old syncWithDropbox in api.js.
+ * @param {string} [filePath] - The file to sync. Defaults to the active file.
+ * @returns {Promise<void>} Resolves when the file has been synced.
  */
-export async function coordinateSync() {
+export function coordinateSync(filePath = getActiveFile()) {
   // Clear any pending debounce timer, as we are syncing now.
-  clearTimeout(syncDebounceTimer);
+  clearTimeout(syncDebounceTimers.get(filePath));
+  syncDebounceTimers.delete(filePath);
+
+  const runningSync = runningSyncs.get(filePath);
+  if (runningSync) {
+    if (!queuedResyncs.has(filePath)) {
+      logVerbose(`Sync already running for ${filePath}. Queuing another pass.`);
+      queuedResyncs.set(filePath, runningSync.then(() => {
+        queuedResyncs.delete(filePath);
+        return coordinateSync(filePath);
+      }));
+    }
+    return queuedResyncs.get(filePath);
+  }
+
+  const sync = syncFile(filePath).finally(() => runningSyncs.delete(filePath));
+  runningSyncs.set(filePath, sync);
+  return sync;
+}
 
-  const activeFilePath = getActiveFile();
-  if (!activeFilePath) {
+/**
+ * Performs the core sync logic for a file: compares the content hashes of the local
+ * text and the remote file with the last synced version to decide whether to do
+ * nothing, upload, download or resolve concurrent changes.
+ * @param {string} filePath - The file to sync.
+ */
+async function syncFile(filePath) {
+  if (!filePath) {
     console.error("Sync failed: Could not determine active file path.");
     updateSyncIndicator(SyncStatus.ERROR, 'Sync failed: No active file', null);
     return;
   }
-  logVerbose(`Starting coordinated sync for active file: ${activeFilePath}`);
+  logVerbose(`Starting coordinated sync for file: ${filePath}`);
 
-  const dbx = getDbxInstance(); // Check if API is initialized
-  if (!dbx) {
-    console.warn('Dropbox API not initialized. Cannot sync.');
+  const provider = getSyncProvider();
+  if (!provider.isConnected()) {
+    console.warn(`${provider.name} not connected. Cannot sync.`);
     // Status should reflect NOT_CONNECTED if logged out, or initial state.
     // Don't force an error indicator here unless appropriate.
     return;
@@ -37,174 +343,109 @@ export async function coordinateSync() {
 
   if (!navigator.onLine) {
     console.warn('Cannot sync, application is offline.');
-    updateSyncIndicator(SyncStatus.OFFLINE, '', activeFilePath);
+    updateFileSyncIndicator(SyncStatus.OFFLINE, '', filePath);
     // Ensure upload pending flag is set if there were recent changes
     // Note: The 'localDataChanged' event won't fire if offline changes occur *before* load.
     // Need to handle pending check on becoming online (in offline.js).
     return;
   }
 
-  updateSyncIndicator(SyncStatus.SYNCING, '', activeFilePath);
+  updateFileSyncIndicator(SyncStatus.SYNCING, '', filePath);
   let finalStatus = SyncStatus.IDLE;
   let errorMessage = '';
 
   try {
-    const localTimestampStr = getLocalLastModified(); // Gets timestamp for the active file
-    const dropboxMeta = await getDropboxFileMetadata(activeFilePath); // Get metadata for the active file
+    const localTimestampStr = getLocalLastModified(filePath);
+    const remoteFile = await provider.getMetadata(filePath);
 
+    // Modification times are only shown in conflict dialogs; decisions are based on content hashes
     const localDate = localTimestampStr ? new Date(localTimestampStr) : null;
-    const dropboxDate = (dropboxMeta && dropboxMeta['.tag'] === 'file' && dropboxMeta.server_modified)
-      ? new Date(dropboxMeta.server_modified)
-      : null;
-
-    logVerbose(`Sync Check for ${activeFilePath} - Local Last Modified: ${localDate?.toISOString() || 'N/A'}`);
-    logVerbose(`Sync Check for ${activeFilePath} - Dropbox Last Modified: ${dropboxDate?.toISOString() || 'N/A'}`);
+    const remoteDate = remoteFile?.modified ? new Date(remoteFile.modified) : null;
 
-    if (!dropboxMeta || !dropboxDate) {
-      // No file/metadata on Dropbox for the active file
+    if (!remoteFile) {
+      // No remote file for this file
       if (localDate) {
-        logVerbose(`Sync Status for ${activeFilePath}: No file/metadata on Dropbox. Uploading local version.`);
-        const todos = getTodosFromStorage(); // Get current local todos
-        const todoFileContent = todos.map(todo => todo.text).join('\n');
-        // Call the refactored upload function (needs content)
-        const uploadSuccess = await uploadTodosToDropbox(activeFilePath, todoFileContent);
-        if (uploadSuccess) {
-          setLastSyncTime(activeFilePath);
-          clearUploadPending(activeFilePath);
-          finalStatus = SyncStatus.IDLE;
-        } else {
-          finalStatus = SyncStatus.ERROR; // uploadTodosToDropbox should handle specific error UI
-          errorMessage = `Failed initial upload for ${activeFilePath}`;
-        }
+        logVerbose(`Sync Status for ${filePath}: No remote file. Uploading local version.`);
+        // Without a rev the upload only creates the file, so one created meanwhile elsewhere is not replaced
+        const result = await uploadOrResolve(filePath, getLocalContent(filePath), null, localDate, remoteDate);
+        finalStatus = result.status;
+        errorMessage = result.message;
       } else {
-        logVerbose(`Sync Status for ${activeFilePath}: No file/metadata on Dropbox and no local data. Nothing to sync.`);
+        logVerbose(`Sync Status for ${filePath}: No remote file and no local data. Nothing to sync.`);
         finalStatus = SyncStatus.IDLE;
-        clearUploadPending(activeFilePath); // Ensure flag is clear
+        clearUploadPending(filePath); // Ensure flag is clear
       }
     } else if (!localDate) {
-      // No local timestamp for active file, but Dropbox file exists
-      logVerbose(`Sync Status for ${activeFilePath}: No local timestamp found. Downloading from Dropbox.`);
-      // Call the refactored download function
-      const downloadResult = await downloadTodosFromDropbox(activeFilePath);
-      if (downloadResult && downloadResult.content !== null) {
-        saveTodosFromText(downloadResult.content); // Save the downloaded content
-        setLastSyncTime(activeFilePath); // Update sync time after successful download
-        loadTodos($('#todo-list')); // Reload UI
-        logVerbose(`Local storage (active file) overwritten with Dropbox content for ${activeFilePath}.`);
+      // No local data for this file, but the remote file exists
+      logVerbose(`Sync Status for ${filePath}: No local data found. Downloading remote file.`);
+      if (await downloadAndRecordBase(filePath)) {
+        logVerbose(`Local storage overwritten with remote content for ${filePath}.`);
         finalStatus = SyncStatus.IDLE;
-        clearUploadPending(activeFilePath);
       } else {
-        console.error(`Failed to download Dropbox content for ${activeFilePath} for initial sync.`);
-        finalStatus = SyncStatus.ERROR; // downloadTodosFromDropbox should handle specific error UI
-        errorMessage = `Failed initial download for ${activeFilePath}`;
+        console.error(`Failed to download remote content for ${filePath} for initial sync.`);
+        finalStatus = SyncStatus.ERROR; // The provider logs the specific error
+        errorMessage = `Failed initial download for ${filePath}`;
       }
     } else {
-      // Both local and Dropbox timestamps exist
-      const timeDiff = Math.abs(localDate.getTime() - dropboxDate.getTime());
-      const buffer = 2000; // 2 seconds tolerance
+      // Both sides hold content: compare hashes against the last synced version
+      const localContent = getLocalContent(filePath);
+      const localHash = await computeContentHash(localContent);
+      const syncedVersion = getSyncedVersion(filePath);
+      logVerbose(`Sync Check for ${filePath} - Local hash: ${localHash}, remote hash: ${remoteFile.contentHash || 'N/A'} (rev ${remoteFile.rev}), synced rev: ${syncedVersion?.rev || 'N/A'}`);
 
-      if (timeDiff <= buffer) {
-        logVerbose(`Sync Status for ${activeFilePath}: Local and Dropbox timestamps are close. Assuming synced.`);
-        finalStatus = SyncStatus.IDLE;
-        // If an upload was pending (e.g., due to offline edit), but timestamps match now,
-        // it implies another client synced our change or resolved a conflict. Clear the flag.
-        clearUploadPending(activeFilePath);
-      } else if (dropboxDate > localDate) {
-        logVerbose(`Sync Status for ${activeFilePath}: Dropbox file is newer than local. Conflict or simple update needed.`);
-        // Check if local changes are pending upload (meaning we edited offline/recently)
-        if (isUploadPending(activeFilePath)) {
-          logVerbose(`Conflict detected for ${activeFilePath}: Dropbox is newer, but local changes are pending.`);
-          // CONFLICT RESOLUTION
-          try {
-            const userChoice = await showConflictModal(localDate, dropboxDate, activeFilePath);
-            logVerbose(`Conflict resolved by user for ${activeFilePath}: Keep '${userChoice}'`);
-
-            if (userChoice === 'local') {
-              // User chose local: Upload local version
-              logVerbose(`User chose local for ${activeFilePath}. Uploading local version...`);
-              const todos = getTodosFromStorage();
-              const todoFileContent = todos.map(todo => todo.text).join('\n');
-              const uploadSuccess = await uploadTodosToDropbox(activeFilePath, todoFileContent);
-              if (uploadSuccess) {
-                setLastSyncTime(activeFilePath);
-                clearUploadPending(activeFilePath);
-                finalStatus = SyncStatus.IDLE;
-              } else {
-                finalStatus = SyncStatus.ERROR;
-                errorMessage = `Failed upload after conflict (local chosen) for ${activeFilePath}`;
-              }
-            } else if (userChoice === 'dropbox') {
-              // User chose Dropbox: Download Dropbox version
-              logVerbose(`User chose Dropbox for ${activeFilePath}. Downloading Dropbox version...`);
-              updateSyncIndicator(SyncStatus.SYNCING); // Show syncing for download
-              const downloadResult = await downloadTodosFromDropbox(activeFilePath);
-              if (downloadResult && downloadResult.content !== null) {
-                saveTodosFromText(downloadResult.content);
-                setLastSyncTime(activeFilePath);
-                loadTodos($('#todo-list'));
-                logVerbose(`Local storage overwritten with Dropbox content for ${activeFilePath}.`);
-                finalStatus = SyncStatus.IDLE;
-                clearUploadPending(activeFilePath); // Important: clear flag after resolving with Dropbox version
-              } else {
-                console.error(`Failed to download Dropbox content for ${activeFilePath} after conflict resolution.`);
-                alert(`Error: Could not download the selected Dropbox version for ${activeFilePath}.`);
-                finalStatus = SyncStatus.ERROR;
-                errorMessage = `Failed download ${activeFilePath} after conflict`;
-              }
-            } else {
-              logVerbose(`Conflict resolution cancelled for ${activeFilePath}. No sync action taken.`);
-              finalStatus = SyncStatus.IDLE; // Revert to idle, but leave pending flag? Or clear? Let's clear.
-              clearUploadPending(activeFilePath);
-            }
-          } catch (error) {
-            console.error(`Error during conflict resolution for ${activeFilePath}:`, error);
-            alert(`An error occurred during sync conflict resolution for ${activeFilePath}.`);
-            finalStatus = SyncStatus.ERROR;
-            errorMessage = `Conflict resolution error for ${activeFilePath}`;
-          }
+      const localChanged = !syncedVersion || localHash !== syncedVersion.localHash;
+      // Backends without content hashes (WebDAV) report every write as a new revision
+      const remoteChanged = !syncedVersion || (remoteFile.contentHash
+        ? remoteFile.contentHash !== syncedVersion.contentHash
+        : remoteFile.rev !== syncedVersion.rev);
+
+      if (remoteFile.contentHash && localHash === remoteFile.contentHash) {
+        logVerbose(`Sync Status for ${filePath}: Local and remote content are identical.`);
+        if (syncedVersion?.rev !== remoteFile.rev || syncedVersion?.localHash !== localHash) {
+          await recordSyncedVersion(filePath, localContent, remoteFile); // Also clears the pending flag
         } else {
-          // Dropbox is newer, and no local changes pending -> Safe to just download
-          logVerbose(`Sync Status for ${activeFilePath}: Dropbox is newer, no pending local changes. Downloading.`);
-          updateSyncIndicator(SyncStatus.SYNCING); // Show syncing for download
-          const downloadResult = await downloadTodosFromDropbox(activeFilePath);
-          if (downloadResult && downloadResult.content !== null) {
-            saveTodosFromText(downloadResult.content);
-            setLastSyncTime(activeFilePath);
-            loadTodos($('#todo-list'));
-            logVerbose(`Local storage updated with newer Dropbox content for ${activeFilePath}.`);
-            finalStatus = SyncStatus.IDLE;
-          } else {
-            console.error(`Failed to download newer Dropbox content for ${activeFilePath}.`);
-            finalStatus = SyncStatus.ERROR;
-            errorMessage = `Failed download of newer version for ${activeFilePath}`;
-          }
+          clearUploadPending(filePath);
         }
-      } else { // localDate > dropboxDate
-        logVerbose(`Sync Status for ${activeFilePath}: Local changes are newer than Dropbox. Uploading.`);
-        const todos = getTodosFromStorage();
-        const todoFileContent = todos.map(todo => todo.text).join('\n');
-        const uploadSuccess = await uploadTodosToDropbox(activeFilePath, todoFileContent);
-        if (uploadSuccess) {
-          setLastSyncTime(activeFilePath);
-          clearUploadPending(activeFilePath);
+        finalStatus = SyncStatus.IDLE;
+      } else if (localChanged && remoteChanged) {
+        // Both sides changed (or the file was never synced on this device, so it is unknown which did)
+        logVerbose(`Sync Status for ${filePath}: Local and remote file changed since the last sync. Resolving.`);
+        const result = await resolveConcurrentChanges(filePath, localDate, remoteDate);
+        finalStatus = result.status;
+        errorMessage = result.message;
+      } else if (remoteChanged) {
+        logVerbose(`Sync Status for ${filePath}: Remote file changed, no local changes. Downloading.`);
+        if (await downloadAndRecordBase(filePath)) {
+          logVerbose(`Local storage updated with newer remote content for ${filePath}.`);
           finalStatus = SyncStatus.IDLE;
         } else {
+          console.error(`Failed to download newer remote content for ${filePath}.`);
           finalStatus = SyncStatus.ERROR;
-          errorMessage = `Failed upload of newer local version for ${activeFilePath}`;
+          errorMessage = `Failed download of newer version for ${filePath}`;
         }
+      } else if (localChanged) {
+        logVerbose(`Sync Status for ${filePath}: Local changes since the last sync. Uploading.`);
+        const result = await uploadOrResolve(filePath, localContent, remoteFile.rev, localDate, remoteDate);
+        finalStatus = result.status;
+        errorMessage = result.message;
+      } else {
+        // Neither side changed; the content only differs in formatting (e.g. a trailing newline in the remote file)
+        logVerbose(`Sync Status for ${filePath}: No changes since the last sync.`);
+        finalStatus = SyncStatus.IDLE;
+        clearUploadPending(filePath);
       }
     }
   } catch (error) {
-    console.error(`Error during coordinateSync for ${activeFilePath}:`, error);
+    console.error(`Error during coordinateSync for ${filePath}:`, error);
     finalStatus = SyncStatus.ERROR;
     errorMessage = error.message || error?.error?.error_summary || 'Sync check failed';
     // Check for auth errors specifically? api.js functions should handle logout.
   } finally {
     // Update indicator based on the final status, unless it's already NOT_CONNECTED
-    const currentDbx = getDbxInstance();
-    if (currentDbx) { // Only update if we think we are connected
-      updateSyncIndicator(finalStatus, errorMessage, activeFilePath);
+    if (provider.isConnected()) { // Only update if we think we are connected
+      updateFileSyncIndicator(finalStatus, errorMessage, filePath);
     } else {
+      setFileSyncStatus(filePath, SyncStatus.NOT_CONNECTED);
       updateSyncIndicator(SyncStatus.NOT_CONNECTED, '', null); // Ensure it shows disconnected
     }
   }
@@ -212,32 +453,27 @@ export async function coordinateSync() {
 
 /**
  * Handles the custom event dispatched when local data is saved.
- * Triggers a debounced sync operation.
+ * Triggers a debounced sync operation for the changed file.
  * @param {CustomEvent} event - The event object.
  */
 function handleLocalDataChange(event) {
   const { filePath } = event.detail;
-  const activeFilePath = getActiveFile();
-
-  // Only trigger sync if the change was for the currently active file
-  if (filePath === activeFilePath) {
-    logVerbose(`Local data changed for active file (${filePath}). Debouncing sync (${SYNC_DEBOUNCE_DELAY}ms)...`);
+  if (!filePath) return;
 
-    // Set pending flag immediately if offline
-    if (!navigator.onLine) {
-      console.warn(`Offline: Setting upload pending flag for ${activeFilePath} due to local change.`);
-      setUploadPending(activeFilePath);
-    }
+  logVerbose(`Local data changed for ${filePath}. Debouncing sync (${SYNC_DEBOUNCE_DELAY}ms)...`);
 
-    // Clear previous debounce timer and start a new one
-    clearTimeout(syncDebounceTimer);
-    syncDebounceTimer = setTimeout(() => {
-      logVerbose(`Debounce timer finished for ${activeFilePath}. Triggering coordinateSync.`);
-      coordinateSync(); // Call the main sync logic after delay
-    }, SYNC_DEBOUNCE_DELAY);
-  } else {
-    logVerbose(`Local data changed event ignored for non-active file: ${filePath}`);
+  // Set pending flag immediately if offline
+  if (!navigator.onLine) {
+    console.warn(`Offline: Setting upload pending flag for ${filePath} due to local change.`);
+    setUploadPending(filePath);
   }
+
+  // Clear previous debounce timer for this file and start a new one
+  clearTimeout(syncDebounceTimers.get(filePath));
+  syncDebounceTimers.set(filePath, setTimeout(() => {
+    logVerbose(`Debounce timer finished for ${filePath}. Triggering coordinateSync.`);
+    coordinateSync(filePath); // Call the main sync logic after delay
+  }, SYNC_DEBOUNCE_DELAY));
 }
 
 /**
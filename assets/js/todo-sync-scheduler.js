@@ -0,0 +1,117 @@
+'use strict';
+
+import { getKnownFiles, getActiveFile } from './todo-storage.js';
+import { coordinateSync } from './todo-sync-coordinator.js';
+import { getSyncProvider } from './sync-provider.js';
+import { isUploadPending } from './dropbox/offline.js';
+import { logVerbose } from './todo-logging.js';
+
+const MAX_CONCURRENT_SYNCS = 2; // Files synced in parallel (keeps API usage moderate)
+const BACKGROUND_SYNC_INTERVAL = 5 * 60 * 1000; // 5 minutes between background passes
+const MIN_SYNC_ALL_GAP = 60 * 1000; // Returning to the tab re-syncs at most once a minute
+
+const syncQueue = []; // Files waiting for a free sync slot ({ filePath, resolve })
+let activeSyncCount = 0;
+let runningSyncAll = null; // Promise of the pass in progress
+let syncAllRequested = false; // Another pass was requested while one was running
+let lastSyncAllTime = 0;
+let backgroundSyncTimer = null;
+
+/**
+ * Orders the known files for a sync pass: the active file first, then files with
+ * local changes waiting for upload, then the rest in sidebar order.
+ * @returns {string[]} The file paths to sync.
+ */
+function getSyncQueue() {
+  const activeFilePath = getActiveFile();
+  const rank = filePath => {
+    if (filePath === activeFilePath) return 0;
+    return isUploadPending(filePath) ? 1 : 2;
+  };
+  return getKnownFiles()
+    .map(file => file.path)
+    .sort((pathA, pathB) => rank(pathA) - rank(pathB)); // Stable, keeps sidebar order within a rank
+}
+
+// Starts queued syncs while fewer than MAX_CONCURRENT_SYNCS are running
+function startQueuedSyncs() {
+  while (activeSyncCount < MAX_CONCURRENT_SYNCS && syncQueue.length > 0) {
+    const { filePath, resolve } = syncQueue.shift();
+    activeSyncCount++;
+    coordinateSync(filePath) // Reports its own status per file
+      .catch(error => console.error(`Background sync failed for ${filePath}:`, error))
+      .finally(() => {
+        activeSyncCount--;
+        resolve();
+        startQueuedSyncs();
+      });
+  }
+}
+
+/**
+ * Syncs the given files in order, sharing the MAX_CONCURRENT_SYNCS slots with the
+ * passes of syncAllFiles, so other callers (e.g. the change listener) cannot exceed the limit.
+ * @param {string[]} filePaths - The paths of the files to sync.
+ * @returns {Promise<void>} Resolves when all of them have been synced.
+ */
+export function syncFiles(filePaths) {
+  return Promise.all(filePaths.map(filePath => new Promise(resolve => {
+    syncQueue.push({ filePath, resolve });
+    startQueuedSyncs();
+  }))).then(() => undefined);
+}
+
+/**
+ * Syncs every known file with the sync provider, downloading remote changes and uploading
+ * local ones (including edits made offline). Requests made during a pass start
+ * one more pass when it finishes.
+ * @returns {Promise<void>} Resolves when all files have been synced.
+ */
+export function syncAllFiles() {
+  if (runningSyncAll) {
+    syncAllRequested = true;
+    return runningSyncAll;
+  }
+  if (!getSyncProvider().isConnected()) {
+    logVerbose(`Sync of all files skipped: ${getSyncProvider().name} not connected.`);
+    return Promise.resolve();
+  }
+  if (!navigator.onLine) {
+    logVerbose('Sync of all files skipped: application is offline.');
+    return Promise.resolve();
+  }
+
+  runningSyncAll = (async () => {
+    do {
+      syncAllRequested = false;
+      lastSyncAllTime = Date.now();
+      const queue = getSyncQueue();
+      logVerbose(`Syncing ${queue.length} file(s), up to ${MAX_CONCURRENT_SYNCS} at a time...`);
+      await syncFiles(queue);
+      logVerbose('Sync of all files finished.');
+    } while (syncAllRequested);
+  })().finally(() => {
+    runningSyncAll = null;
+  });
+  return runningSyncAll;
+}
+
+function handleVisibilityChange() {
+  if (document.visibilityState === 'visible' && Date.now() - lastSyncAllTime > MIN_SYNC_ALL_GAP) {
+    logVerbose('Tab became visible. Syncing all files...');
+    syncAllFiles();
+  }
+}
+
+/**
+ * Starts the periodic background sync of all known files.
+ * Passes are skipped while the tab is hidden and resume when it becomes visible.
+ */
+export function initializeSyncScheduler() {
+  if (backgroundSyncTimer) return;
+  logVerbose('Initializing background sync scheduler...');
+  backgroundSyncTimer = setInterval(() => {
+    if (document.visibilityState === 'visible') syncAllFiles();
+  }, BACKGROUND_SYNC_INTERVAL);
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+}
@@ -0,0 +1,141 @@
+'use strict';
+
+import { getSyncProvider, getSyncProviderId, setSyncProvider, discoverRemoteFiles, SYNC_PROVIDERS } from './sync-provider.js';
+import { getWebdavSettings, setWebdavSettings, listWebdavFiles } from './webdav/api.js';
+import { initializeServerAuth, refreshServerSession, showServerLogin, getServerLoginState, logoutServerUser } from './server/auth.js';
+import { syncAllFiles } from './todo-sync-scheduler.js';
+import { startChangeListener } from './todo-change-listener.js';
+import { updateFileSelectionUI } from './todo-files.js';
+import { updateSyncIndicator, SyncStatus } from './dropbox/ui.js';
+import { getActiveFile } from './todo-storage.js';
+import { logVerbose } from './todo-logging.js';
+
+let syncSettingsModalInstance = null;
+
+// The Dropbox connect button only applies while Dropbox is the sync provider
+function updateProviderControls() {
+  $('#dropboxAuthButton').toggleClass('d-none', getSyncProviderId() !== 'dropbox');
+}
+
+// Shows the settings of the selected provider: WebDAV credentials, or the server login
+function updateProviderFieldsVisibility() {
+  const providerId = $('#syncProviderSelect').val();
+  const { authRequired, user } = getServerLoginState();
+  $('#webdavSettingsFields').toggleClass('d-none', providerId !== 'webdav');
+  $('#serverAccountFields').toggleClass('d-none', providerId !== 'server' || getSyncProviderId() !== 'server' || !authRequired || !user);
+  $('#serverAccountName').text(user || '');
+}
+
+function populateSyncSettingsModal() {
+  const select = $('#syncProviderSelect').empty();
+  Object.values(SYNC_PROVIDERS).forEach(provider => {
+    select.append($('<option></option>').val(provider.id).text(provider.name));
+  });
+  select.val(getSyncProviderId());
+  const settings = getWebdavSettings();
+  $('#webdavUrlInput').val(settings?.url || '');
+  $('#webdavUsernameInput').val(settings?.username || '');
+  $('#webdavPasswordInput').val(settings?.password || '');
+  updateProviderFieldsVisibility();
+}
+
+/**
+ * Syncs all files with the selected provider after it was set up, adding the files
+ * found on it to the sidebar first.
+ */
+async function syncWithSelectedProvider() {
+  if (getSyncProviderId() === 'server') {
+    await refreshServerSession(); // Whether the server requires a login
+  }
+  const provider = getSyncProvider();
+  if (!provider.isConnected()) {
+    updateSyncIndicator(SyncStatus.NOT_CONNECTED, '', null);
+    if (provider.id === 'server') showServerLogin();
+    return;
+  }
+  if (!navigator.onLine) {
+    updateSyncIndicator(SyncStatus.OFFLINE, '', getActiveFile());
+    return;
+  }
+  const added = await discoverRemoteFiles();
+  if (added > 0) updateFileSelectionUI();
+  await syncAllFiles();
+  startChangeListener(); // Dropbox and the bundled server report changes as they happen
+}
+
+async function saveSyncSettings() {
+  const providerId = $('#syncProviderSelect').val();
+
+  if (providerId === 'webdav') {
+    const url = $('#webdavUrlInput').val().trim();
+    if (!/^https?:\/\//i.test(url)) {
+      showNotification('Error: Enter the full URL of the WebDAV folder (https://...).', 'alert');
+      return;
+    }
+    const previousSettings = getWebdavSettings();
+    setWebdavSettings({
+      url,
+      username: $('#webdavUsernameInput').val().trim(),
+      password: $('#webdavPasswordInput').val()
+    });
+    if (await listWebdavFiles() === null) {
+      setWebdavSettings(previousSettings); // Keep the last working settings
+      showNotification('Error: Could not connect to the WebDAV folder. Check the URL, the credentials and that the server allows requests from this app (CORS).', 'alert');
+      return;
+    }
+  } else if (providerId === 'server' && await refreshServerSession() === null) {
+    showNotification('Error: This server does not store todo files. Start node-server.js with --data-dir=&lt;dir&gt; to enable it.', 'alert');
+    return;
+  }
+
+  setSyncProvider(providerId);
+  updateProviderControls();
+  syncSettingsModalInstance.hide();
+  const provider = getSyncProvider();
+  logVerbose(`Sync settings saved. Provider: ${provider.name}.`);
+  if (provider.isConnected()) {
+    showNotification(`Syncing with ${provider.name}.`, 'success');
+  } else {
+    showNotification(`${provider.name} selected. ${provider.id === 'server' ? 'Log in' : 'Connect'} to start syncing.`, 'info');
+  }
+  await syncWithSelectedProvider();
+}
+
+/**
+ * Wires the sync settings dialog and starts syncing when a provider other than Dropbox
+ * is selected (Dropbox syncs once its authentication has been initialized).
+ */
+export function initializeSyncSettings() {
+  updateProviderControls();
+
+  $('#syncSettingsButton').click(function() {
+    const modalElement = document.getElementById('syncSettingsModal');
+    if (!modalElement) {
+      console.error("Sync Settings Modal element not found in HTML.");
+      return;
+    }
+    if (!syncSettingsModalInstance) {
+      syncSettingsModalInstance = new bootstrap.Modal(modalElement);
+    }
+    populateSyncSettingsModal();
+    syncSettingsModalInstance.show();
+  });
+
+  $('#syncProviderSelect').change(updateProviderFieldsVisibility);
+
+  $('#serverLogoutButton').click(async function() {
+    await logoutServerUser();
+    updateProviderFieldsVisibility();
+  });
+
+  initializeServerAuth(syncWithSelectedProvider);
+
+  $('#syncSettingsForm').on('submit', function(e) {
+    e.preventDefault();
+    saveSyncSettings();
+  });
+
+  if (getSyncProviderId() !== 'dropbox') {
+    syncWithSelectedProvider();
+  }
+}
@@ -42,6 +42,9 @@ export function addTodoToList(sortedItemData, item, todoList, toggleTodoCompleti
     .addClass('list-group-item')
     .css('background-color', '#2C2C2C') // Base background
     .data('id', sortedItemData.id); // Store the unique ID on the list item
+  if (sortedItemData.filePath) {
+    listItem.data('filePath', sortedItemData.filePath); // Owning file in the "All Tasks" view
+  }
 
   // Pass the parsed item to createTodoSpan and applyItemStyles
   const todoSpan = createTodoSpan(item);
@@ -51,6 +54,11 @@ export function addTodoToList(sortedItemData, item, todoList, toggleTodoCompleti
   const buttonGroup = $('<div>').css({'display': 'flex', 'flex-shrink': '0'}); // Use display:flex for button children
   const buttonColor = '#F8F8F2'; // Common color for icons
 
+  // File badge in the "All Tasks" view (not a <span>, the task text is read from the span)
+  if (sortedItemData.fileName) {
+    buttonGroup.append($('<small class="badge todo-file-badge"></small>').text(sortedItemData.fileName).attr('title', sortedItemData.filePath));
+  }
+
   // Add Check button (restore mr-1)
   const checkButton = $('<button></button>')
     .addClass('btn btn-sm mr-1') // Restored mr-1
@@ -0,0 +1,194 @@
+/* global jsTodoTxt */
+'use strict';
+
+import { getActiveFile, getKnownFiles, getTodosFromStorage, getLocalSnapshots } from './todo-storage.js';
+import { getSyncProvider } from './sync-provider.js';
+import { renderVersionDiff } from './dropbox/ui.js';
+import { diffChunks } from './todo-merge.js';
+import { saveTodosFromText, loadTodos } from './todo-load.js';
+import { todoList } from './todo.js';
+import { logVerbose } from './todo-logging.js';
+
+let versionHistoryModalInstance = null;
+let historyFilePath = null; // The file shown in the dialog
+let versions = []; // Entries of the version list, newest first
+let selectedVersion = null;
+const revisionContents = new Map(); // Downloaded remote revisions by rev (revisions never change)
+
+function getFileName(filePath) {
+  const file = getKnownFiles().find(f => f.path === filePath);
+  return file ? file.name : filePath;
+}
+
+// Serializes the stored todos of a file the way they are uploaded
+function getCurrentContent(filePath) {
+  return getTodosFromStorage(filePath).map(todo => todo.text).join('\n');
+}
+
+function splitTasks(content) {
+  return content.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+}
+
+/**
+ * Collects the remote revisions and local snapshots of a file, newest first.
+ * Remote revisions are only listed when connected, online and the sync provider keeps them.
+ * @param {string} filePath - The file path.
+ * @returns {Promise<{entries: Array<object>, remoteError: boolean}>} The version entries
+ *   ({id, source, timestamp, label, rev?, content?}) and whether listing the revisions failed.
+ */
+async function collectVersions(filePath) {
+  const entries = getLocalSnapshots(filePath).map((snapshot, index) => ({
+    id: `local-${index}`,
+    source: 'local',
+    timestamp: snapshot.timestamp,
+    label: snapshot.reason,
+    content: snapshot.content
+  }));
+
+  const provider = getSyncProvider();
+  let remoteError = false;
+  if (provider.listRevisions && provider.isConnected() && navigator.onLine) {
+    const revisions = await provider.listRevisions(filePath);
+    if (revisions === null) {
+      remoteError = true;
+    } else {
+      revisions.forEach(revision => entries.push({
+        id: `remote-${revision.rev}`,
+        source: 'remote',
+        timestamp: revision.modified,
+        label: `${provider.name} revision (${revision.size} bytes)`,
+        rev: revision.rev
+      }));
+    }
+  }
+
+  entries.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  return { entries, remoteError };
+}
+
+// Returns the content of a version, downloading remote revisions on first use
+async function getVersionContent(version) {
+  if (version.source === 'local') return version.content;
+  if (revisionContents.has(version.rev)) return revisionContents.get(version.rev);
+  const result = await getSyncProvider().download(historyFilePath, version.rev);
+  if (!result.success || result.content === null) return null;
+  revisionContents.set(version.rev, result.content);
+  return result.content;
+}
+
+function renderVersionList() {
+  const list = $('#versionHistoryList').empty();
+  if (versions.length === 0) {
+    list.append($('<div class="list-group-item small text-muted"></div>').text('No versions available for this file yet.'));
+    return;
+  }
+  versions.forEach(version => {
+    const icon = version.source === 'remote' ? 'fa-solid fa-cloud' : 'fa-solid fa-laptop';
+    const item = $('<button type="button" class="list-group-item list-group-item-action"></button>')
+      .toggleClass('active', selectedVersion?.id === version.id)
+      .append(
+        $('<div class="small fw-bold"></div>').text(new Date(version.timestamp).toLocaleString()).prepend(`<i class="${icon} me-2"></i>`),
+        $('<div class="small"></div>').text(version.label)
+      )
+      .click(function() {
+        selectVersion(version);
+      });
+    list.append(item);
+  });
+}
+
+function renderPreview(content) {
+  const preview = $('#versionPreviewList').empty();
+  const tasks = splitTasks(content);
+  if (tasks.length === 0) {
+    preview.append($('<li class="list-group-item small text-muted"></li>').text('This version has no tasks.'));
+    return;
+  }
+  tasks.forEach(line => {
+    const item = new jsTodoTxt.Item(line);
+    preview.append($('<li class="list-group-item small"></li>')
+      .text(line)
+      .toggleClass('text-decoration-line-through text-muted', item.complete()));
+  });
+}
+
+async function selectVersion(version) {
+  selectedVersion = version;
+  renderVersionList();
+  $('#restoreVersionButton').prop('disabled', true);
+  $('#versionPreviewList').empty();
+  $('#versionDiff').empty();
+  $('#versionDetailsInfo').text('Loading version...');
+
+  const content = await getVersionContent(version);
+  if (selectedVersion !== version) return; // Another version was selected meanwhile
+  if (content === null) {
+    $('#versionDetailsInfo').text(`Could not download this revision from ${getSyncProvider().name}.`);
+    return;
+  }
+
+  const taskCount = splitTasks(content).length;
+  $('#versionDetailsInfo').text(`${taskCount} task(s) in this version.`);
+  renderPreview(content);
+  renderVersionDiff(document.getElementById('versionDiff'), diffChunks(getCurrentContent(historyFilePath), content));
+  $('#restoreVersionButton').prop('disabled', false);
+}
+
+async function populateVersionHistoryModal() {
+  historyFilePath = getActiveFile();
+  versions = [];
+  selectedVersion = null;
+  revisionContents.clear();
+  $('#versionHistoryFileName').text(getFileName(historyFilePath));
+  $('#versionHistoryList').empty().append($('<div class="list-group-item small text-muted"></div>').text('Loading versions...'));
+  $('#versionPreviewList').empty();
+  $('#versionDiff').empty();
+  $('#versionDetailsInfo').text('Select a version to preview it.');
+  $('#restoreVersionButton').prop('disabled', true);
+
+  const filePath = historyFilePath;
+  const result = await collectVersions(filePath);
+  if (historyFilePath !== filePath) return; // Dialog reopened for another file
+  versions = result.entries;
+  renderVersionList();
+  if (result.remoteError) {
+    showNotification(`Could not list the ${getSyncProvider().name} revisions of this file. Showing local snapshots only.`, 'warning');
+  }
+}
+
+/**
+ * Replaces the file content with the selected version. The replaced content is kept as
+ * a local snapshot, and the change is uploaded like any other local edit.
+ */
+function restoreSelectedVersion() {
+  if (!selectedVersion || !historyFilePath) return;
+  const content = selectedVersion.source === 'local' ? selectedVersion.content : revisionContents.get(selectedVersion.rev);
+  if (typeof content !== 'string') return;
+
+  const restoredDate = new Date(selectedVersion.timestamp).toLocaleString();
+  saveTodosFromText(content, historyFilePath, `Before restoring the version of ${restoredDate}`);
+  logVerbose(`Restored ${historyFilePath} to the ${selectedVersion.source} version of ${selectedVersion.timestamp}.`);
+  loadTodos(todoList);
+  versionHistoryModalInstance.hide();
+  showNotification(`Restored the version of ${restoredDate}.`, 'success');
+}
+
+/**
+ * Wires the version history dialog of the active file.
+ */
+export function setupVersionHistoryControls() {
+  $('#versionHistoryButton').click(function() {
+    const modalElement = document.getElementById('versionHistoryModal');
+    if (!modalElement) {
+      console.error("Version History Modal element not found in HTML.");
+      return;
+    }
+    if (!versionHistoryModalInstance) {
+      versionHistoryModalInstance = new bootstrap.Modal(modalElement);
+    }
+    versionHistoryModalInstance.show();
+    populateVersionHistoryModal();
+  });
+
+  $('#restoreVersionButton').click(restoreSelectedVersion);
+}
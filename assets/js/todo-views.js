@@ -0,0 +1,234 @@
+'use strict';
+
+import { generateUniqueId } from './todo-storage.js';
+import { getSearchQuery, setSearchQuery } from './todo-search.js';
+import { SORT_OPTIONS, GROUP_OPTIONS } from './todo-sort.js';
+import { loadTodos } from './todo-load.js';
+import { todoList } from './todo.js';
+import { logVerbose } from './todo-logging.js';
+
+// localStorage keys (display state is global, like the switches in todo-switch.js)
+const SAVED_VIEWS_KEY = 'todoWebAppSavedViews'; // Array of { id, name, query, sort, grouping, pinned }
+const SORT_ORDER_KEY = 'todoWebAppSortOrder';
+const GROUPING_KEY = 'todoWebAppGrouping';
+
+let saveViewModalInstance = null;
+
+// --- Current Display State ---
+
+export function getSortOrder() {
+  const sort = localStorage.getItem(SORT_ORDER_KEY);
+  return SORT_OPTIONS[sort] ? sort : 'default';
+}
+
+export function setSortOrder(sort) {
+  localStorage.setItem(SORT_ORDER_KEY, SORT_OPTIONS[sort] ? sort : 'default');
+  $('#sortSelect').val(getSortOrder());
+}
+
+export function getGrouping() {
+  const grouping = localStorage.getItem(GROUPING_KEY);
+  return GROUP_OPTIONS[grouping] ? grouping : 'none';
+}
+
+export function setGrouping(grouping) {
+  localStorage.setItem(GROUPING_KEY, GROUP_OPTIONS[grouping] ? grouping : 'none');
+  $('#groupSelect').val(getGrouping());
+}
+
+// --- Saved Views Storage ---
+
+export function getSavedViews() {
+  const viewsJSON = localStorage.getItem(SAVED_VIEWS_KEY);
+  try {
+    const views = viewsJSON ? JSON.parse(viewsJSON) : [];
+    return Array.isArray(views) ? views : [];
+  } catch (e) {
+    console.error("Error parsing saved views from localStorage:", e);
+    return [];
+  }
+}
+
+function saveSavedViews(views) {
+  localStorage.setItem(SAVED_VIEWS_KEY, JSON.stringify(views));
+}
+
+/**
+ * Saves the current search, sort order and grouping as a named view.
+ * @param {string} name - The view name.
+ * @param {boolean} [pinned=false] - Whether the view is pinned to the top of the list.
+ * @returns {object} The new view.
+ */
+export function addSavedView(name, pinned = false) {
+  const view = {
+    id: generateUniqueId(),
+    name,
+    query: getSearchQuery(),
+    sort: getSortOrder(),
+    grouping: getGrouping(),
+    pinned
+  };
+  const views = getSavedViews();
+  views.push(view);
+  saveSavedViews(views);
+  logVerbose(`Saved view "${name}" (${view.query || 'no query'}, sort: ${view.sort}, grouping: ${view.grouping}).`);
+  return view;
+}
+
+function removeSavedView(viewId) {
+  saveSavedViews(getSavedViews().filter(view => view.id !== viewId));
+}
+
+function toggleViewPinned(viewId) {
+  const views = getSavedViews();
+  const view = views.find(v => v.id === viewId);
+  if (view) {
+    view.pinned = !view.pinned;
+    saveSavedViews(views);
+  }
+}
+
+// Pinned views are listed first; both sections keep the stored order
+function getOrderedViews() {
+  const views = getSavedViews();
+  return [...views.filter(view => view.pinned), ...views.filter(view => !view.pinned)];
+}
+
+/**
+ * Moves a view one position up or down within its section (pinned or unpinned).
+ * @param {string} viewId - The view to move.
+ * @param {number} direction - -1 to move up, 1 to move down.
+ */
+function moveSavedView(viewId, direction) {
+  const ordered = getOrderedViews();
+  const index = ordered.findIndex(view => view.id === viewId);
+  const target = index + direction;
+  if (index === -1 || target < 0 || target >= ordered.length) return;
+  if (Boolean(ordered[target].pinned) !== Boolean(ordered[index].pinned)) return;
+  [ordered[index], ordered[target]] = [ordered[target], ordered[index]];
+  saveSavedViews(ordered);
+}
+
+/**
+ * Applies a saved view. The settings are persisted, so the view stays in effect
+ * when the list is re-rendered after adding, editing or completing tasks.
+ * @param {string} viewId - The view to apply.
+ */
+export function applySavedView(viewId) {
+  const view = getSavedViews().find(v => v.id === viewId);
+  if (!view) {
+    console.warn(`Saved view "${viewId}" not found.`);
+    return;
+  }
+  setSearchQuery(view.query);
+  setSortOrder(view.sort);
+  setGrouping(view.grouping);
+  logVerbose(`Applied saved view "${view.name}".`);
+  loadTodos(todoList); // Also re-renders the views to highlight the applied one
+}
+
+function isViewApplied(view) {
+  return view.query === getSearchQuery() && view.sort === getSortOrder() && view.grouping === getGrouping();
+}
+
+function createViewActionButton(iconClass, title, onClick) {
+  return $('<button type="button" class="btn btn-light btn-offcanvas btn-sm px-1 py-0"></button>')
+    .attr('title', title)
+    .html(`<i class="${iconClass}"></i>`)
+    .click(function(e) {
+      e.preventDefault();
+      e.stopPropagation();
+      onClick();
+      renderSavedViews();
+    });
+}
+
+/**
+ * Renders the saved views below the files in the sidebar, highlighting the one
+ * matching the current display. Called from updateFileSelectionUI, which rebuilds
+ * the whole sidebar list, and from loadTodos after the display changed.
+ */
+export function renderSavedViews() {
+  const sidebar = $('#fileListSidebar');
+  sidebar.find('.saved-view-item').remove();
+  const views = getOrderedViews();
+  if (views.length === 0) return;
+
+  sidebar.append($('<li class="nav-item saved-view-item saved-views-header"></li>').text('Saved Views'));
+  views.forEach(view => {
+    const listItem = $('<li class="nav-item saved-view-item d-flex align-items-center"></li>');
+    const link = $('<a class="nav-link flex-grow-1" href="#"></a>')
+      .text(view.name)
+      .attr('title', view.query || 'All tasks')
+      .click(function(e) {
+        e.preventDefault();
+        applySavedView(view.id);
+      });
+    if (view.pinned) link.prepend('<i class="fa-solid fa-thumbtack me-2"></i>');
+    if (isViewApplied(view)) link.addClass('active');
+
+    listItem.append(
+      link,
+      createViewActionButton('fa-solid fa-thumbtack', view.pinned ? 'Unpin' : 'Pin', () => toggleViewPinned(view.id)),
+      createViewActionButton('fa-solid fa-arrow-up', 'Move Up', () => moveSavedView(view.id, -1)),
+      createViewActionButton('fa-solid fa-arrow-down', 'Move Down', () => moveSavedView(view.id, 1)),
+      createViewActionButton('fa-solid fa-times', 'Delete View', () => removeSavedView(view.id))
+    );
+    sidebar.append(listItem);
+  });
+}
+
+function populateSelect(select, options, value) {
+  select.empty();
+  Object.entries(options).forEach(([key, label]) => {
+    select.append($('<option></option>').val(key).text(label));
+  });
+  select.val(value);
+}
+
+/**
+ * Wires the sort and grouping selects and the "Save View" dialog.
+ */
+export function setupViewControls() {
+  const sortSelect = $('#sortSelect');
+  const groupSelect = $('#groupSelect');
+  populateSelect(sortSelect, SORT_OPTIONS, getSortOrder());
+  populateSelect(groupSelect, GROUP_OPTIONS, getGrouping());
+
+  sortSelect.change(function() {
+    setSortOrder($(this).val());
+    loadTodos(todoList);
+  });
+  groupSelect.change(function() {
+    setGrouping($(this).val());
+    loadTodos(todoList);
+  });
+
+  $('#saveViewButton').click(function() {
+    const modalElement = document.getElementById('saveViewModal');
+    if (!modalElement) {
+      console.error("Save View Modal element not found in HTML.");
+      return;
+    }
+    if (!saveViewModalInstance) {
+      saveViewModalInstance = new bootstrap.Modal(modalElement);
+    }
+    $('#saveViewNameInput').val('');
+    $('#saveViewPinnedInput').prop('checked', false);
+    $('#saveViewSummary').text(`${getSearchQuery() || 'All tasks'} · ${SORT_OPTIONS[getSortOrder()]} · ${GROUP_OPTIONS[getGrouping()]}`);
+    saveViewModalInstance.show();
+  });
+
+  $('#saveViewForm').on('submit', function(e) {
+    e.preventDefault();
+    const name = $('#saveViewNameInput').val().trim();
+    if (!name) {
+      showNotification("Error: View name cannot be empty.", 'alert');
+      return;
+    }
+    addSavedView(name, $('#saveViewPinnedInput').is(':checked'));
+    saveViewModalInstance.hide();
+    renderSavedViews();
+    showNotification(`View "${name}" saved.`, 'success');
+  });
+}
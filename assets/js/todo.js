@@ -4,11 +4,17 @@
 
 import { loadTodos } from './todo-load.js';
 import './todo-event-handlers.js';
-import { getKnownFiles, getActiveFile, DEFAULT_FILE_PATH } from './todo-storage.js';
+import { getKnownFiles, getActiveFile, DEFAULT_FILE_PATH, initializeStorage } from './todo-storage.js';
 import './todo-import.js';
 import { setupDropdownHandlers } from './todo-dropdowns.js';
 import { initializeDropboxSync } from './dropbox-sync.js';
 import { logVerbose } from './todo-logging.js';
+import { setupHistoryControls } from './todo-history.js';
+import { setupArchiveControls, runAutomaticArchive } from './todo-archive.js';
+import { setupSearchControls } from './todo-search.js';
+import { setupViewControls } from './todo-views.js';
+import { setupVersionHistoryControls } from './todo-versions.js';
+import { setupExportControls } from './todo-export.js';
 import { setupAddFileModalListeners, setupRenameFileModalListeners, toggleTodoCompletion, startEditTodo, deleteTodoItem, updateFileSelectionUI, setupDeleteFileConfirmListener } from './todo-files.js';
 
 // DOM Elements remain accessible globally via $
@@ -41,9 +47,23 @@ $(document).ready(function () {
 
   logVerbose("Document ready: Initializing UI and listeners.");
   setupDropdownHandlers();
-  updateFileSelectionUI(); // Populate file dropdown initially
-  loadTodos(todoList); // Load todos for the initially active file
-  initializeDropboxSync(); // Initialize Dropbox sync system (will sync active file)
+  setupHistoryControls(); // Undo/redo buttons and keyboard shortcuts
+  setupArchiveControls(); // Archive dialog and automatic archiving on page visibility
+  setupSearchControls(); // Search box (restores the last query)
+  setupViewControls(); // Sort/grouping selects and saved views
+  setupVersionHistoryControls(); // Version history dialog (Dropbox revisions and local snapshots)
+  setupExportControls(); // Export dialog (todo.txt, JSON, CSV, Markdown, HTML, iCalendar)
+  // Todo data is read from IndexedDB, so wait for it to be loaded before rendering
+  initializeStorage().then(() => {
+    updateFileSelectionUI(); // Populate file dropdown initially
+    loadTodos(todoList); // Load todos for the initially active file
+    initializeDropboxSync(); // Initialize Dropbox sync system (will sync active file)
+    runAutomaticArchive(); // Move old completed tasks to done files if enabled
+  });
+  // Show the changes made to the todos in another tab
+  document.addEventListener('fileDataChangedElsewhere', function(event) {
+    if (event.detail.key.startsWith('todos_')) loadTodos(todoList);
+  });
   setupDeleteFileConfirmListener(); // Setup the listener for the delete confirmation modal's button ONCE
 
   // --- File Management Button Click Handlers (Modal Openers) ---
@@ -0,0 +1,293 @@
+'use strict';
+
+import { logVerbose } from '../todo-logging.js';
+
+// localStorage key of the server settings ({ url, username, password }), like the Dropbox tokens
+const WEBDAV_SETTINGS_KEY = 'webdavSettings';
+const DAV_NAMESPACE = 'DAV:';
+const PROPFIND_BODY = '<?xml version="1.0" encoding="utf-8"?>'
+  + '<d:propfind xmlns:d="DAV:"><d:prop><d:getetag/><d:getlastmodified/><d:getcontentlength/><d:resourcetype/></d:prop></d:propfind>';
+
+/**
+ * Returns the stored WebDAV server settings.
+ * @returns {{url: string, username: string, password: string} | null} The settings, or null if not configured.
+ */
+export function getWebdavSettings() {
+  try {
+    const settings = JSON.parse(localStorage.getItem(WEBDAV_SETTINGS_KEY));
+    return settings?.url ? settings : null;
+  } catch (e) {
+    console.error('Error parsing WebDAV settings from localStorage:', e);
+    return null;
+  }
+}
+
+/**
+ * Stores the WebDAV server settings.
+ * @param {{url: string, username: string, password: string} | null} settings - The settings, or null to remove them.
+ */
+export function setWebdavSettings(settings) {
+  if (settings) {
+    localStorage.setItem(WEBDAV_SETTINGS_KEY, JSON.stringify(settings));
+  } else {
+    localStorage.removeItem(WEBDAV_SETTINGS_KEY);
+  }
+}
+
+function getBaseUrl(settings) {
+  return settings.url.replace(/\/+$/, '');
+}
+
+// File paths are absolute within the configured folder ('/todo.txt')
+function getFileUrl(settings, filePath) {
+  const encodedPath = filePath.split('/').filter(Boolean).map(encodeURIComponent).join('/');
+  return `${getBaseUrl(settings)}/${encodedPath}`;
+}
+
+function getAuthHeaders(settings) {
+  if (!settings.username) return {};
+  // btoa only accepts Latin-1, so encode the credentials as UTF-8 first
+  const credentials = new TextEncoder().encode(`${settings.username}:${settings.password || ''}`);
+  return { Authorization: `Basic ${btoa(String.fromCharCode(...credentials))}` };
+}
+
+function webdavFetch(settings, url, method, headers = {}, body = undefined) {
+  return fetch(url, {
+    method,
+    headers: { ...getAuthHeaders(settings), ...headers },
+    body,
+    cache: 'no-store'
+  });
+}
+
+function getDavProperty(element, name) {
+  return element.getElementsByTagNameNS(DAV_NAMESPACE, name)[0]?.textContent || null;
+}
+
+/**
+ * Converts a PROPFIND response entry to file metadata.
+ * @param {Element} response - A DAV:response element.
+ * @returns {{href: string, isCollection: boolean, rev: string | null, contentHash: null, modified: string | null}}
+ */
+function parsePropfindResponse(response) {
+  const lastModified = getDavProperty(response, 'getlastmodified');
+  return {
+    href: getDavProperty(response, 'href') || '',
+    isCollection: response.getElementsByTagNameNS(DAV_NAMESPACE, 'collection').length > 0,
+    rev: getDavProperty(response, 'getetag'),
+    contentHash: null, // WebDAV has no content hash; changes are detected through the ETag
+    modified: lastModified ? new Date(lastModified).toISOString() : null
+  };
+}
+
+async function propfind(settings, url, depth) {
+  const response = await webdavFetch(settings, url, 'PROPFIND', {
+    Depth: String(depth),
+    'Content-Type': 'application/xml; charset=utf-8'
+  }, PROPFIND_BODY);
+  if (response.status === 404) return null;
+  if (response.status !== 207) {
+    throw new Error(`PROPFIND ${url} failed with status ${response.status}`);
+  }
+  const xml = new DOMParser().parseFromString(await response.text(), 'application/xml');
+  return Array.from(xml.getElementsByTagNameNS(DAV_NAMESPACE, 'response'), parsePropfindResponse);
+}
+
+function toFileMetadata(entry) {
+  return { rev: entry.rev, contentHash: entry.contentHash, modified: entry.modified };
+}
+
+/**
+ * Fetches the metadata of a file on the WebDAV server.
+ * @param {string} filePath - The path of the file within the configured folder.
+ * @returns {Promise<{rev: string, contentHash: null, modified: string | null} | null>} The metadata,
+ *   or null if the file does not exist or the request failed.
+ */
+export async function getWebdavFileMetadata(filePath) {
+  const settings = getWebdavSettings();
+  if (!settings) {
+    console.warn('WebDAV server not configured. Cannot get metadata.');
+    return null;
+  }
+  try {
+    const entries = await propfind(settings, getFileUrl(settings, filePath), 0);
+    const entry = entries?.[0];
+    if (!entry || entry.isCollection) {
+      logVerbose(`File ${filePath} not found on the WebDAV server.`);
+      return null;
+    }
+    return toFileMetadata(entry);
+  } catch (error) {
+    console.error(`Error fetching metadata for ${filePath} from the WebDAV server:`, error);
+    return null;
+  }
+}
+
+// The ETag header is only readable if the server exposes it (CORS). Without it the version is
+// unknown (null): looking it up separately could return the ETag of a later write, so the next
+// sync downloads the file and merges instead.
+function getResponseMetadata(response) {
+  const lastModified = response.headers.get('Last-Modified');
+  return { rev: response.headers.get('ETag'), contentHash: null, modified: lastModified ? new Date(lastModified).toISOString() : null };
+}
+
+// Without a readable ETag header the ETag is looked up first, and the download only
+// succeeds if the file is still at that version, so content and ETag always match
+async function downloadWithKnownEtag(settings, filePath) {
+  const metadata = await getWebdavFileMetadata(filePath);
+  if (!metadata) return { success: false, content: null };
+  const response = await webdavFetch(settings, getFileUrl(settings, filePath), 'GET', { 'If-Match': metadata.rev });
+  if (!response.ok) {
+    console.error(`Error downloading ${filePath} from the WebDAV server: status ${response.status}`);
+    return { success: false, content: null };
+  }
+  return { success: true, content: await response.text(), metadata };
+}
+
+/**
+ * Downloads a file from the WebDAV server.
+ * @param {string} filePath - The path of the file within the configured folder.
+ * @returns {Promise<{success: boolean, content: string | null, metadata?: object}>} The content and metadata;
+ *   success with null content if the file does not exist.
+ */
+export async function downloadWebdavFile(filePath) {
+  const settings = getWebdavSettings();
+  if (!settings) {
+    console.warn('WebDAV server not configured. Cannot download.');
+    return { success: false, content: null };
+  }
+  try {
+    logVerbose(`Downloading ${filePath} from the WebDAV server...`);
+    const response = await webdavFetch(settings, getFileUrl(settings, filePath), 'GET');
+    if (response.status === 404) {
+      logVerbose(`File ${filePath} not found on the WebDAV server.`);
+      return { success: true, content: null };
+    }
+    if (!response.ok) {
+      console.error(`Error downloading ${filePath} from the WebDAV server: status ${response.status}`);
+      return { success: false, content: null };
+    }
+    const metadata = getResponseMetadata(response);
+    if (!metadata.rev) return downloadWithKnownEtag(settings, filePath);
+    return { success: true, content: await response.text(), metadata };
+  } catch (error) {
+    console.error(`Error downloading ${filePath} from the WebDAV server:`, error);
+    return { success: false, content: null };
+  }
+}
+
+/**
+ * Uploads a file to the WebDAV server. With an ETag the upload only succeeds if the file
+ * is still at that version (If-Match); without one it only creates the file (If-None-Match).
+ * @param {string} filePath - The path of the file within the configured folder.
+ * @param {string} content - The content to upload.
+ * @param {string | null} [rev=null] - The ETag the content is based on.
+ * @returns {Promise<{success: boolean, conflict: boolean, metadata?: object}>} The result; `conflict`
+ *   if the server holds a different version.
+ */
+export async function uploadWebdavFile(filePath, content, rev = null) {
+  const settings = getWebdavSettings();
+  if (!settings) {
+    console.warn('WebDAV server not configured. Cannot upload.');
+    return { success: false, conflict: false };
+  }
+  try {
+    logVerbose(`Uploading ${filePath} to the WebDAV server (${rev ? `if at ${rev}` : 'new file'})...`);
+    const response = await webdavFetch(settings, getFileUrl(settings, filePath), 'PUT', {
+      'Content-Type': 'text/plain; charset=utf-8',
+      ...(rev ? { 'If-Match': rev } : { 'If-None-Match': '*' })
+    }, content);
+    if (response.status === 412) {
+      logVerbose(`Upload of ${filePath} rejected: the file changed on the WebDAV server.`);
+      return { success: false, conflict: true };
+    }
+    if (!response.ok) {
+      console.error(`Error uploading ${filePath} to the WebDAV server: status ${response.status}`);
+      return { success: false, conflict: false };
+    }
+    return { success: true, conflict: false, metadata: getResponseMetadata(response) };
+  } catch (error) {
+    console.error(`Error uploading ${filePath} to the WebDAV server:`, error);
+    return { success: false, conflict: false };
+  }
+}
+
+/**
+ * Renames (moves) a file on the WebDAV server without overwriting an existing file.
+ * @param {string} oldPath - The current path.
+ * @param {string} newPath - The new path.
+ * @returns {Promise<boolean>} True if successful.
+ */
+export async function moveWebdavFile(oldPath, newPath) {
+  const settings = getWebdavSettings();
+  if (!settings) {
+    console.warn('WebDAV server not configured. Cannot rename file.');
+    return false;
+  }
+  try {
+    const destination = new URL(getFileUrl(settings, newPath), window.location.href).href;
+    const response = await webdavFetch(settings, getFileUrl(settings, oldPath), 'MOVE', {
+      Destination: destination,
+      Overwrite: 'F'
+    });
+    if (!response.ok) {
+      console.error(`Error renaming "${oldPath}" to "${newPath}" on the WebDAV server: status ${response.status}`);
+      return false;
+    }
+    return true;
+  } catch (error) {
+    console.error(`Error renaming "${oldPath}" to "${newPath}" on the WebDAV server:`, error);
+    return false;
+  }
+}
+
+/**
+ * Deletes a file on the WebDAV server.
+ * @param {string} filePath - The path of the file within the configured folder.
+ * @returns {Promise<boolean>} True if successful.
+ */
+export async function deleteWebdavFile(filePath) {
+  const settings = getWebdavSettings();
+  if (!settings) {
+    console.warn('WebDAV server not configured. Cannot delete file.');
+    return false;
+  }
+  try {
+    const response = await webdavFetch(settings, getFileUrl(settings, filePath), 'DELETE');
+    if (!response.ok) {
+      console.error(`Error deleting "${filePath}" on the WebDAV server: status ${response.status}`);
+      return false;
+    }
+    return true;
+  } catch (error) {
+    console.error(`Error deleting "${filePath}" on the WebDAV server:`, error);
+    return false;
+  }
+}
+
+/**
+ * Lists the .txt files in the configured folder. Also used to test the connection.
+ * @returns {Promise<Array<{name: string, path: string}> | null>} The files, or null on failure.
+ */
+export async function listWebdavFiles() {
+  const settings = getWebdavSettings();
+  if (!settings) {
+    console.warn('WebDAV server not configured. Cannot list files.');
+    return null;
+  }
+  try {
+    const entries = await propfind(settings, `${getBaseUrl(settings)}/`, 1);
+    if (!entries) {
+      console.error('The configured WebDAV folder does not exist.');
+      return null;
+    }
+    return entries
+      .filter(entry => !entry.isCollection)
+      .map(entry => decodeURIComponent(entry.href.replace(/\/+$/, '').split('/').pop()))
+      .filter(name => name.toLowerCase().endsWith('.txt'))
+      .map(name => ({ name, path: `/${name}` }));
+  } catch (error) {
+    console.error('Error listing files on the WebDAV server:', error);
+    return null;
+  }
+}
@@ -0,0 +1,57 @@
+'use strict';
+
+import {
+  getWebdavSettings,
+  getWebdavFileMetadata,
+  downloadWebdavFile,
+  uploadWebdavFile,
+  moveWebdavFile,
+  deleteWebdavFile,
+  listWebdavFiles
+} from './api.js';
+
+/**
+ * Sync provider for WebDAV servers (e.g. Nextcloud). Revisions are ETags, so uploads
+ * are conditional like Dropbox updates. Earlier versions are not available.
+ * @type {import('../sync-provider.js').SyncProvider}
+ */
+export const webdavProvider = {
+  id: 'webdav',
+  name: 'WebDAV',
+
+  isConnected() {
+    return Boolean(getWebdavSettings());
+  },
+
+  hasCredentials() {
+    return Boolean(getWebdavSettings());
+  },
+
+  getMetadata(filePath) {
+    return getWebdavFileMetadata(filePath);
+  },
+
+  download(filePath, rev = null) {
+    if (rev) {
+      console.warn('WebDAV provider cannot download earlier revisions.');
+      return Promise.resolve({ success: false, content: null });
+    }
+    return downloadWebdavFile(filePath);
+  },
+
+  upload(filePath, content, rev = null) {
+    return uploadWebdavFile(filePath, content, rev);
+  },
+
+  rename(oldPath, newPath) {
+    return moveWebdavFile(oldPath, newPath);
+  },
+
+  delete(filePath) {
+    return deleteWebdavFile(filePath);
+  },
+
+  list() {
+    return listWebdavFiles();
+  }
+};
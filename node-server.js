@@ -4,6 +4,11 @@ const express = require('express');
 const fs = require('fs');
 const https = require('https');
 const path = require('path');
+const { createFileStore } = require('./server/file-store');
+const { createFilesRouter } = require('./server/files-router');
+const { createChangeNotifier } = require('./server/change-notifier');
+const { createAuth } = require('./server/auth');
+const { createUserDirectory } = require('./server/users');
 
 const app = express();
 const httpPort = 5001;
@@ -15,6 +20,12 @@ app.use(express.json());
 // Check for command line arguments
 const verbose = process.argv.includes('--verbose');
 const secure = process.argv.includes('--secure');
+// Optional file-backed todo store: --data-dir=<dir> (or the TODO_DATA_DIR environment variable)
+const dataDirArg = process.argv.find(arg => arg.startsWith('--data-dir='));
+const dataDir = dataDirArg ? dataDirArg.substring('--data-dir='.length) : process.env.TODO_DATA_DIR;
+// Optional users file enabling logins: --users=<file> (or the TODO_USERS_FILE environment variable)
+const usersFileArg = process.argv.find(arg => arg.startsWith('--users='));
+const usersFileSetting = usersFileArg ? usersFileArg.substring('--users='.length) : process.env.TODO_USERS_FILE;
 
 // --- Certificate Configuration ---
 // Assumes mkcert generated files named 'localhost+N.pem' and 'localhost+N-key.pem'
@@ -63,8 +74,94 @@ app.use((req, res, next) => {
   next();
 });
 
-// Serve static files from the current directory
-app.use(express.static('.'));
+// --- Todo File Store API ---
+const dataRoot = dataDir ? path.resolve(dataDir) : null;
+// With a users file (the setting, or users.json in the data directory) the API requires
+// a login and every user gets a data directory of their own (<data-dir>/<user>)
+const defaultUsersFile = dataRoot ? path.join(dataRoot, 'users.json') : null;
+const usersFile = usersFileSetting ? path.resolve(usersFileSetting)
+  : (defaultUsersFile && fs.existsSync(defaultUsersFile) ? defaultUsersFile : null);
+const auth = dataRoot && usersFile ? createAuth(createUserDirectory(usersFile)) : null;
+
+// One store, API router and change notifier per data directory, created on first use
+const workspaces = new Map();
+function getWorkspace(user) {
+  const key = user || '';
+  if (!workspaces.has(key)) {
+    const store = createFileStore(user ? path.join(dataRoot, user) : dataRoot);
+    workspaces.set(key, {
+      store,
+      router: createFilesRouter(store),
+      notifier: createChangeNotifier(store, { verbose })
+    });
+  }
+  return workspaces.get(key);
+}
+
+// The app is served as static files from its own directory
+const staticRoot = __dirname;
+
+// Resolves the symbolic links of a path, as far as it exists
+function resolveRealPath(filePath) {
+  if (fs.existsSync(filePath)) return fs.realpathSync(filePath);
+  return path.join(resolveRealPath(path.dirname(filePath)), path.basename(filePath));
+}
+
+// Whether a path is the same as a directory or inside it
+function isWithin(directory, filePath) {
+  const relativePath = path.relative(directory, filePath);
+  return relativePath === '' || (!relativePath.startsWith('..') && !path.isAbsolute(relativePath));
+}
+
+// The todo files and the users file are only served through the API: refuse to start
+// if they would be reachable as static files
+function checkPrivatePath(description, privatePath) {
+  const realStaticRoot = fs.realpathSync(staticRoot);
+  const realPrivatePath = resolveRealPath(privatePath);
+  if (isWithin(realStaticRoot, realPrivatePath) || isWithin(realPrivatePath, realStaticRoot)) {
+    console.error(`The ${description} (${privatePath}) must be outside the app directory (${staticRoot}), which is served as static files without a login.`);
+    process.exit(1);
+  }
+}
+
+if (dataRoot) {
+  checkPrivatePath('data directory', dataRoot);
+  if (auth) {
+    checkPrivatePath('users file', usersFile);
+    app.use('/api', auth.router);
+    app.use('/api/files', auth.requireUser, (req, res, next) => getWorkspace(req.user).router(req, res, next));
+    console.log(`Todo file store enabled for the users in ${usersFile}, data directory: ${dataRoot}`);
+  } else {
+    app.get('/api/session', (req, res) => res.json({ authRequired: false, user: null }));
+    app.use('/api/files', getWorkspace(null).router);
+    console.log(`Todo file store enabled, data directory: ${dataRoot}`);
+  }
+} else {
+  app.use('/api/files', (req, res) => {
+    res.status(404).json({ error: 'The todo file store is not enabled on this server (start it with --data-dir=<dir>).' });
+  });
+}
+
+// Serve static files from the app directory
+app.use(express.static(staticRoot));
+
+// Pushes file changes to the open app tabs over a WebSocket at /api/changes, for the
+// data directory of the authenticated user
+function startChangeNotifications(server) {
+  if (!dataRoot) return;
+  server.on('upgrade', (req, socket, head) => {
+    if (new URL(req.url, 'http://localhost').pathname !== '/api/changes') {
+      socket.destroy();
+      return;
+    }
+    const user = auth ? auth.authenticate(req) : null;
+    if (auth && !user) {
+      socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      return;
+    }
+    getWorkspace(user).notifier.handleUpgrade(req, socket, head);
+  });
+}
 
 // --- Server Startup ---
 if (secure) {
@@ -74,6 +171,7 @@ if (secure) {
       cert: fs.readFileSync(certPath)
     };
     const server = https.createServer(httpsOptions, app);
+    startChangeNotifications(server);
     server.listen(httpsPort, () => {
       console.log(`Secure server running at https://localhost:${httpsPort}`);
       console.log(`Using cert: ${certPath}`);
@@ -83,13 +181,13 @@ if (secure) {
     console.error(`Error starting HTTPS server. Did you generate certificates? (${keyPath}, ${certPath})`, err);
     console.log('Falling back to HTTP.');
     // Fallback to HTTP if HTTPS setup fails
-    app.listen(httpPort, () => {
+    startChangeNotifications(app.listen(httpPort, () => {
       console.log(`Server running at http://localhost:${httpPort}`);
-    });
+    }));
   }
 } else {
   // Start standard HTTP server
-  app.listen(httpPort, () => {
+  startChangeNotifications(app.listen(httpPort, () => {
     console.log(`Server running at http://localhost:${httpPort}`);
-  });
+  }));
 }
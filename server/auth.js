@@ -0,0 +1,112 @@
+'use strict';
+
+const crypto = require('crypto');
+const express = require('express');
+
+/*
+ * Authentication of the API routes. The web app logs in with a user name and password
+ * and gets a session cookie; scripts send an API token as "Authorization: Bearer <token>"
+ * (calendar feeds also take it as ?token=<token>).
+ * Sessions are kept in memory, so restarting the server logs the app out.
+ *   GET  /api/session   { "authRequired": true, "user": "alice" | null }
+ *   POST /api/login     Log in ({ "username": "...", "password": "..." }), sets the session cookie
+ *   POST /api/logout    End the session
+ */
+
+const SESSION_COOKIE = 'todoSession';
+const SESSION_LIFETIME = 30 * 24 * 60 * 60 * 1000; // Sessions expire after 30 days without use
+const FAILED_LOGIN_DELAY = 1000; // Slows down password guessing
+
+function parseCookies(header) {
+  const cookies = {};
+  (header || '').split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index > 0) cookies[part.slice(0, index).trim()] = part.slice(index + 1).trim();
+  });
+  return cookies;
+}
+
+/**
+ * Creates the authentication of a server with configured users.
+ * @param {object} users - A user directory created by createUserDirectory.
+ * @returns {{router: express.Router, authenticate: Function, requireUser: Function}}
+ */
+function createAuth(users) {
+  const sessions = new Map(); // Session ID -> { user, expires }
+
+  function setSessionCookie(req, res, sessionId, maxAge) {
+    const attributes = [`${SESSION_COOKIE}=${sessionId}`, 'Path=/', 'HttpOnly', 'SameSite=Strict', `Max-Age=${Math.floor(maxAge / 1000)}`];
+    if (req.secure) attributes.push('Secure');
+    res.set('Set-Cookie', attributes.join('; '));
+  }
+
+  function getSessionId(req) {
+    return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+  }
+
+  /**
+   * Finds the user of a request from its bearer token or session cookie.
+   * @param {import('http').IncomingMessage} req - The request (also WebSocket upgrades).
+   * @returns {string | null} The user name, or null if the request is not authenticated.
+   */
+  function authenticate(req) {
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+      return users.authenticateToken(authorization.slice('Bearer '.length).trim());
+    }
+    // Calendar apps subscribe to a URL and cannot send headers
+    if (req.path?.endsWith('.ics') && typeof req.query?.token === 'string') {
+      return users.authenticateToken(req.query.token);
+    }
+    const sessionId = getSessionId(req);
+    const session = sessionId ? sessions.get(sessionId) : null;
+    if (!session) return null;
+    if (session.expires < Date.now()) {
+      sessions.delete(sessionId);
+      return null;
+    }
+    session.expires = Date.now() + SESSION_LIFETIME;
+    return session.user;
+  }
+
+  // Middleware answering 401 to unauthenticated requests; sets req.user otherwise
+  function requireUser(req, res, next) {
+    const user = authenticate(req);
+    if (!user) {
+      res.set('WWW-Authenticate', 'Bearer');
+      res.status(401).json({ error: 'Log in or send an API token to use the file store.' });
+      return;
+    }
+    req.user = user;
+    next();
+  }
+
+  const router = express.Router();
+
+  router.get('/session', (req, res) => {
+    res.json({ authRequired: true, user: authenticate(req) });
+  });
+
+  router.post('/login', express.json(), (req, res) => {
+    const user = users.authenticatePassword(req.body?.username, req.body?.password);
+    if (!user) {
+      setTimeout(() => res.status(401).json({ error: 'Wrong user name or password.' }), FAILED_LOGIN_DELAY);
+      return;
+    }
+    const sessionId = crypto.randomBytes(32).toString('base64url');
+    sessions.set(sessionId, { user, expires: Date.now() + SESSION_LIFETIME });
+    setSessionCookie(req, res, sessionId, SESSION_LIFETIME);
+    res.json({ user });
+  });
+
+  router.post('/logout', (req, res) => {
+    const sessionId = getSessionId(req);
+    if (sessionId) sessions.delete(sessionId);
+    setSessionCookie(req, res, '', 0);
+    res.status(204).end();
+  });
+
+  return { router, authenticate, requireUser };
+}
+
+module.exports = { createAuth };
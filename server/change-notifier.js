@@ -0,0 +1,88 @@
+'use strict';
+
+const fs = require('fs');
+const { WebSocketServer } = require('ws');
+
+/*
+ * Pushes changes of the todo files to the open web app tabs over a WebSocket (served at
+ * /api/changes by node-server.js). The data directory is watched, so changes made through
+ * the API, by other clients or by editing the files on disk are all reported. Messages:
+ *   { "type": "fileChanged", "name": "todo.txt", "path": "/todo.txt", "etag": "\"...\"" | null }
+ * (a null etag means the file was deleted or renamed away).
+ */
+
+const CHANGE_SETTLE_DELAY = 200; // Editors write in several steps; report once they are done
+const HEARTBEAT_INTERVAL = 30 * 1000; // Drops connections that stopped answering pings
+
+/**
+ * Watches the store and sends its changes to the WebSocket connections handed over to it.
+ * @param {object} store - A store created by createFileStore.
+ * @param {{verbose?: boolean}} [options] - Log each notification when verbose.
+ * @returns {{handleUpgrade: Function}} Takes over an HTTP upgrade request (req, socket, head).
+ */
+function createChangeNotifier(store, options = {}) {
+  const wss = new WebSocketServer({ noServer: true });
+  const knownEtags = new Map(store.listFiles().map(file => [file.name, file.etag]));
+  const pendingChanges = new Map(); // File name -> settle timer
+
+  wss.on('connection', ws => {
+    ws.isAlive = true;
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+  });
+
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(ws => {
+      if (!ws.isAlive) {
+        ws.terminate();
+        return;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, HEARTBEAT_INTERVAL);
+  heartbeat.unref();
+
+  function broadcast(message) {
+    const data = JSON.stringify(message);
+    wss.clients.forEach(ws => {
+      if (ws.readyState === ws.OPEN) ws.send(data);
+    });
+  }
+
+  // Reports a file if its content differs from the last reported version
+  function reportChange(name) {
+    pendingChanges.delete(name);
+    let etag = null;
+    try {
+      etag = store.readFile(name)?.etag ?? null;
+    } catch (error) {
+      console.error(`Could not read ${name} after a change:`, error);
+      return;
+    }
+    if ((knownEtags.get(name) ?? null) === etag) return;
+    if (etag) {
+      knownEtags.set(name, etag);
+    } else {
+      knownEtags.delete(name);
+    }
+    if (options.verbose) console.log(`Todo file changed: ${name}`);
+    broadcast({ type: 'fileChanged', name, path: `/${name}`, etag });
+  }
+
+  fs.watch(store.rootDir, (eventType, name) => {
+    // Skip temporary and lock files, which are hidden; renames report both names
+    if (!name || name.startsWith('.') || !name.toLowerCase().endsWith('.txt')) return;
+    clearTimeout(pendingChanges.get(name));
+    pendingChanges.set(name, setTimeout(() => reportChange(name), CHANGE_SETTLE_DELAY));
+  });
+
+  function handleUpgrade(req, socket, head) {
+    wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, req));
+  }
+
+  return { handleUpgrade };
+}
+
+module.exports = { createChangeNotifier };
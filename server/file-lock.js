@@ -0,0 +1,93 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+/*
+ * Advisory lock files guarding the read-modify-write of a todo file. Every writer
+ * (the server and the command line tool) takes the lock next to the file, so edits
+ * made by different processes cannot overwrite each other.
+ */
+
+const LOCK_RETRY_DELAY = 50; // Milliseconds between attempts to take a held lock
+const LOCK_TIMEOUT = 5000; // Give up waiting for a lock after this long
+const STALE_LOCK_AGE = 30 * 1000; // Locks older than this were left by a crashed writer
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// The stats of the lock file if it is stale, 'released' if it is gone, otherwise null
+function findStaleLock(lockPath) {
+  try {
+    const stats = fs.statSync(lockPath);
+    return Date.now() - stats.mtimeMs > STALE_LOCK_AGE ? stats : null;
+  } catch (error) {
+    if (error.code === 'ENOENT') return 'released';
+    throw error;
+  }
+}
+
+/*
+ * Removes a stale lock. It is renamed away first, so of several writers that found it stale
+ * only one removes it. A writer that was too slow may have renamed a fresh lock taken after
+ * the stale one was removed instead; that lock is put back.
+ */
+function removeStaleLock(lockPath, staleStats) {
+  const movedPath = `${lockPath}.${process.pid}-${crypto.randomBytes(4).toString('hex')}.stale`;
+  try {
+    fs.renameSync(lockPath, movedPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return; // Removed by another writer
+    throw error;
+  }
+  const movedStats = fs.statSync(movedPath);
+  if (movedStats.ino !== staleStats.ino || movedStats.mtimeMs !== staleStats.mtimeMs) {
+    try {
+      fs.linkSync(movedPath, lockPath);
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+  }
+  fs.rmSync(movedPath, { force: true });
+}
+
+/**
+ * Runs an operation while holding a lock file. The lock is created exclusively,
+ * waited for while another writer holds it and removed when the operation ends.
+ * @param {string} lockPath - The path of the lock file.
+ * @param {Function} operation - The (possibly async) operation to run.
+ * @returns {Promise<*>} The result of the operation.
+ * @throws {Error} With code 'ELOCKED' if the lock could not be taken in time.
+ */
+async function withFileLock(lockPath, operation) {
+  const startTime = Date.now();
+  for (;;) {
+    try {
+      fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      const staleLock = findStaleLock(lockPath);
+      if (staleLock) {
+        // Released meanwhile: try again right away
+        if (staleLock !== 'released') removeStaleLock(lockPath, staleLock);
+        continue;
+      }
+      if (Date.now() - startTime > LOCK_TIMEOUT) {
+        const lockError = new Error(`Timed out waiting for the lock ${lockPath}.`);
+        lockError.code = 'ELOCKED';
+        throw lockError;
+      }
+      await delay(LOCK_RETRY_DELAY);
+    }
+  }
+
+  try {
+    return await operation();
+  } finally {
+    fs.rmSync(lockPath, { force: true });
+  }
+}
+
+module.exports = { withFileLock };
@@ -0,0 +1,161 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { withFileLock } = require('./file-lock');
+
+/*
+ * File-backed todo store: the .txt files directly inside a data directory.
+ * Operations are synchronous, so the version check and the write of a request
+ * cannot interleave with other requests of this process. Writers that read a file
+ * before changing it, or run in other processes, take the file's lock with withLock.
+ */
+
+// Plain file names only: no paths, no hidden files, .txt extension
+const FILE_NAME_PATTERN = /^[^/\\]+\.txt$/i;
+
+class StoreError extends Error {
+  /**
+   * @param {number} status - HTTP status to answer with.
+   * @param {string} message - Description of the problem.
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = 'StoreError';
+    this.status = status;
+  }
+}
+
+function isValidFileName(name) {
+  return typeof name === 'string' && FILE_NAME_PATTERN.test(name) && !name.startsWith('.');
+}
+
+/**
+ * Computes the ETag of a file content (a strong, quoted hash).
+ * @param {string | Buffer} content - The file content.
+ * @returns {string} The ETag.
+ */
+function computeEtag(content) {
+  return `"${crypto.createHash('sha256').update(content).digest('hex')}"`;
+}
+
+/**
+ * Creates a store for the given data directory (created if missing).
+ * @param {string} dataDir - The directory holding the todo files.
+ * @returns {object} The store operations.
+ */
+function createFileStore(dataDir) {
+  const rootDir = path.resolve(dataDir);
+  fs.mkdirSync(rootDir, { recursive: true });
+
+  function resolveFile(name) {
+    if (!isValidFileName(name)) {
+      throw new StoreError(400, `Invalid file name "${name}". Use a plain name ending in .txt.`);
+    }
+    return path.join(rootDir, name);
+  }
+
+  function describeFile(name, content, stats) {
+    return { name, path: `/${name}`, etag: computeEtag(content), modified: stats.mtime.toISOString(), size: stats.size };
+  }
+
+  /**
+   * Reads a file.
+   * @param {string} name - The file name.
+   * @returns {{content: string, etag: string, modified: string, size: number} | null} The file, or null if it does not exist.
+   */
+  function readFile(name) {
+    const filePath = resolveFile(name);
+    if (!fs.existsSync(filePath)) return null;
+    const content = fs.readFileSync(filePath, 'utf8');
+    return { content, ...describeFile(name, content, fs.statSync(filePath)) };
+  }
+
+  /**
+   * Writes a file if it is still at the expected version. The content is written to a
+   * temporary file first and renamed over the old one, so readers never see a partial file.
+   * @param {string} name - The file name.
+   * @param {string} content - The new content.
+   * @param {{ifMatch?: string, ifNoneMatch?: string}} [conditions] - Expected ETag, or '*' in
+   *   ifNoneMatch to only create the file.
+   * @returns {{created: boolean, etag: string, modified: string, size: number}} The written version.
+   */
+  function writeFile(name, content, conditions = {}) {
+    const filePath = resolveFile(name);
+    const exists = fs.existsSync(filePath);
+    if (conditions.ifNoneMatch === '*' && exists) {
+      throw new StoreError(412, `File "${name}" already exists.`);
+    }
+    if (conditions.ifMatch && conditions.ifMatch !== '*') {
+      const currentEtag = exists ? computeEtag(fs.readFileSync(filePath)) : null;
+      if (currentEtag !== conditions.ifMatch) {
+        throw new StoreError(412, `File "${name}" has changed since version ${conditions.ifMatch}.`);
+      }
+    }
+    const tempPath = path.join(rootDir, `.${name}.${process.pid}.tmp`);
+    fs.writeFileSync(tempPath, content, 'utf8');
+    fs.renameSync(tempPath, filePath);
+    return { created: !exists, ...describeFile(name, content, fs.statSync(filePath)) };
+  }
+
+  /**
+   * Runs an operation while holding the lock of a file (a hidden .<name>.lock file).
+   * @param {string} name - The file name.
+   * @param {Function} operation - The (possibly async) operation to run.
+   * @returns {Promise<*>} The result of the operation.
+   */
+  async function withLock(name, operation) {
+    resolveFile(name); // Validates the name
+    const lockPath = path.join(rootDir, `.${name}.lock`);
+    try {
+      return await withFileLock(lockPath, operation);
+    } catch (error) {
+      if (error.code === 'ELOCKED') {
+        throw new StoreError(423, `File "${name}" is being changed by another writer. Try again later.`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Lists the todo files.
+   * @returns {Array<{name: string, path: string, etag: string, modified: string, size: number}>}
+   */
+  function listFiles() {
+    return fs.readdirSync(rootDir, { withFileTypes: true })
+      .filter(entry => entry.isFile() && isValidFileName(entry.name))
+      .map(entry => {
+        const filePath = path.join(rootDir, entry.name);
+        return describeFile(entry.name, fs.readFileSync(filePath), fs.statSync(filePath));
+      })
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Renames a file without replacing an existing one.
+   * @param {string} name - The current file name.
+   * @param {string} newName - The new file name.
+   */
+  function renameFile(name, newName) {
+    const filePath = resolveFile(name);
+    const newFilePath = resolveFile(newName);
+    if (!fs.existsSync(filePath)) throw new StoreError(404, `File "${name}" not found.`);
+    if (fs.existsSync(newFilePath)) throw new StoreError(409, `File "${newName}" already exists.`);
+    fs.renameSync(filePath, newFilePath);
+  }
+
+  /**
+   * Deletes a file.
+   * @param {string} name - The file name.
+   */
+  function deleteFile(name) {
+    const filePath = resolveFile(name);
+    if (!fs.existsSync(filePath)) throw new StoreError(404, `File "${name}" not found.`);
+    fs.unlinkSync(filePath);
+  }
+
+  return { rootDir, readFile, writeFile, withLock, listFiles, renameFile, deleteFile };
+}
+
+module.exports = { createFileStore, computeEtag, StoreError };
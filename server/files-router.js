@@ -0,0 +1,130 @@
+'use strict';
+
+const express = require('express');
+const { StoreError } = require('./file-store');
+const { createTasksRouter } = require('./tasks-router');
+const { jsTodoTxt, loadAppModules, parseTaskLines } = require('./todo-txt');
+const { getDoneFileName } = require('./task-operations');
+
+/*
+ * REST API of the file store, mounted at /api/files:
+ *   GET    /                 List the todo files
+ *   GET    /:file            Download a file (ETag and Last-Modified headers; HEAD for metadata only)
+ *   PUT    /:file            Upload a file (text/plain); If-Match / If-None-Match: * make it conditional
+ *   POST   /:file/rename     Rename a file ({ "newName": "other.txt" })
+ *   DELETE /:file            Delete a file
+ *   /:file/tasks             Task-level operations (see tasks-router.js)
+ *   GET    /calendar.ics     iCalendar feed of the dated tasks of all files except done files
+ *   GET    /:file/calendar.ics  iCalendar feed of a file (?events=1 for all-day events instead of tasks)
+ * Writes take the file lock, so they cannot interleave with task changes of other writers.
+ */
+
+// Answers store errors with their status, anything else with 500
+function sendError(res, error) {
+  if (error instanceof StoreError) {
+    res.status(error.status).json({ error: error.message });
+  } else {
+    console.error('File store error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// Answers an iCalendar feed of the dated tasks of the given files
+async function sendCalendar(req, res, store, names, calendarName) {
+  const { buildCalendar } = await loadAppModules();
+  const entries = names.flatMap(name => {
+    const file = store.readFile(name);
+    if (!file) throw new StoreError(404, `File "${name}" not found.`);
+    return parseTaskLines(file.content).map(text => ({ item: new jsTodoTxt.Item(text), file: name }));
+  });
+  const events = req.query.events === '1' || req.query.events === 'true';
+  res.type('text/calendar; charset=utf-8').send(buildCalendar(entries, { name: calendarName, events }));
+}
+
+/**
+ * Creates the router of the file store API.
+ * @param {object} store - A store created by createFileStore.
+ * @returns {express.Router}
+ */
+function createFilesRouter(store) {
+  const router = express.Router();
+  router.use(express.text({ type: 'text/plain', limit: '5mb' }));
+
+  router.get('/', (req, res) => {
+    try {
+      res.json(store.listFiles());
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.use('/:file/tasks', createTasksRouter(store));
+
+  router.get('/calendar.ics', async (req, res) => {
+    try {
+      const names = store.listFiles().map(file => file.name).filter(name => getDoneFileName(name) !== null);
+      await sendCalendar(req, res, store, names, 'Todo.txt');
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.get('/:file/calendar.ics', async (req, res) => {
+    try {
+      await sendCalendar(req, res, store, [req.params.file], req.params.file.replace(/\.txt$/i, ''));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.get('/:file', (req, res) => {
+    try {
+      const file = store.readFile(req.params.file);
+      if (!file) throw new StoreError(404, `File "${req.params.file}" not found.`);
+      res.set('ETag', file.etag);
+      res.set('Last-Modified', new Date(file.modified).toUTCString());
+      res.type('text/plain').send(file.content);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.put('/:file', async (req, res) => {
+    try {
+      if (typeof req.body !== 'string') {
+        throw new StoreError(415, 'Send the file content as text/plain.');
+      }
+      const result = await store.withLock(req.params.file, () => store.writeFile(req.params.file, req.body, {
+        ifMatch: req.get('If-Match'),
+        ifNoneMatch: req.get('If-None-Match')
+      }));
+      res.set('ETag', result.etag);
+      res.set('Last-Modified', new Date(result.modified).toUTCString());
+      res.status(result.created ? 201 : 204).end();
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.post('/:file/rename', express.json(), async (req, res) => {
+    try {
+      await store.withLock(req.params.file, () => store.renameFile(req.params.file, req.body?.newName));
+      res.status(204).end();
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.delete('/:file', async (req, res) => {
+    try {
+      await store.withLock(req.params.file, () => store.deleteFile(req.params.file));
+      res.status(204).end();
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createFilesRouter };
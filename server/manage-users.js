@@ -0,0 +1,135 @@
+'use strict';
+
+const path = require('path');
+const readline = require('readline');
+const {
+  readUsersConfig,
+  writeUsersConfig,
+  hashPassword,
+  generateToken,
+  hashToken,
+  isValidUserName
+} = require('./users');
+
+/*
+ * Manages the users file of node-server.js:
+ *   node server/manage-users.js --users=<file> add <user>            Add a user (asks for the password)
+ *   node server/manage-users.js --users=<file> passwd <user>         Change a password
+ *   node server/manage-users.js --users=<file> token <user> [name]   Create an API token (printed once)
+ *   node server/manage-users.js --users=<file> revoke <user> <name>  Delete the API tokens with that name
+ *   node server/manage-users.js --users=<file> remove <user>         Remove a user (the files are kept)
+ *   node server/manage-users.js --users=<file> list                  List the users and their tokens
+ * --data-dir=<dir> can be given instead of --users to use <dir>/users.json. Passwords are
+ * read from the terminal without echo, or as the first line of the standard input.
+ */
+
+const USAGE = 'Usage: node server/manage-users.js (--users=<file> | --data-dir=<dir>) add|passwd|token|revoke|remove|list [user] [token name]';
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+function getUsersFile(args) {
+  const usersArg = args.find(arg => arg.startsWith('--users='));
+  if (usersArg) return path.resolve(usersArg.substring('--users='.length));
+  const dataDirArg = args.find(arg => arg.startsWith('--data-dir='));
+  if (dataDirArg) return path.resolve(dataDirArg.substring('--data-dir='.length), 'users.json');
+  if (process.env.TODO_USERS_FILE) return path.resolve(process.env.TODO_USERS_FILE);
+  if (process.env.TODO_DATA_DIR) return path.resolve(process.env.TODO_DATA_DIR, 'users.json');
+  return fail(USAGE);
+}
+
+// Reads a line without echoing it on a terminal
+function readPassword(prompt) {
+  return new Promise(resolve => {
+    const interactive = Boolean(process.stdin.isTTY);
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: interactive });
+    if (interactive) {
+      process.stdout.write(prompt);
+      rl._writeToOutput = () => {}; // Hide the typed characters
+    }
+    let answer = '';
+    rl.once('line', line => {
+      answer = line;
+      rl.close();
+    });
+    rl.once('close', () => {
+      if (interactive) process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+async function askNewPassword() {
+  const password = await readPassword('Password: ');
+  if (password.length < 8) fail('The password must have at least 8 characters.');
+  if (process.stdin.isTTY && await readPassword('Repeat the password: ') !== password) {
+    fail('The passwords do not match.');
+  }
+  return password;
+}
+
+function getExistingUser(config, name) {
+  if (!config.users[name]) fail(`No user "${name}".`);
+  return config.users[name];
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const usersFile = getUsersFile(args);
+  const [command, name, tokenName] = args.filter(arg => !arg.startsWith('--'));
+  if (!command) fail(USAGE);
+  if (command !== 'list' && !isValidUserName(name)) {
+    fail('Give a user name of letters, digits, "-" and "_" (it is also the name of the data directory).');
+  }
+
+  const config = readUsersConfig(usersFile);
+  switch (command) {
+  case 'add':
+    if (config.users[name]) fail(`User "${name}" already exists.`);
+    config.users[name] = { password: hashPassword(await askNewPassword()), tokens: [] };
+    writeUsersConfig(usersFile, config);
+    console.log(`Added user "${name}" to ${usersFile}.`);
+    break;
+  case 'passwd':
+    getExistingUser(config, name).password = hashPassword(await askNewPassword());
+    writeUsersConfig(usersFile, config);
+    console.log(`Changed the password of "${name}".`);
+    break;
+  case 'token': {
+    const user = getExistingUser(config, name);
+    const token = generateToken();
+    user.tokens = [...(user.tokens || []), { name: tokenName || 'token', hash: hashToken(token), created: new Date().toISOString() }];
+    writeUsersConfig(usersFile, config);
+    console.log(`API token for "${name}" (shown only now, send it as "Authorization: Bearer <token>"):`);
+    console.log(token);
+    break;
+  }
+  case 'revoke': {
+    const user = getExistingUser(config, name);
+    const remaining = (user.tokens || []).filter(token => token.name !== tokenName);
+    if (remaining.length === (user.tokens || []).length) fail(`User "${name}" has no token named "${tokenName}".`);
+    user.tokens = remaining;
+    writeUsersConfig(usersFile, config);
+    console.log(`Revoked the "${tokenName}" token(s) of "${name}".`);
+    break;
+  }
+  case 'remove':
+    getExistingUser(config, name);
+    delete config.users[name];
+    writeUsersConfig(usersFile, config);
+    console.log(`Removed user "${name}". Their files were kept.`);
+    break;
+  case 'list':
+    Object.entries(config.users).forEach(([userName, user]) => {
+      const tokens = (user.tokens || []).map(token => token.name);
+      console.log(`${userName}${tokens.length ? ` (tokens: ${tokens.join(', ')})` : ''}`);
+    });
+    break;
+  default:
+    fail(USAGE);
+  }
+}
+
+main().catch(error => fail(`Error: ${error.message}`));
@@ -0,0 +1,192 @@
+'use strict';
+
+const { StoreError } = require('./file-store');
+const {
+  parseTaskLines,
+  serializeTaskLines,
+  describeTask,
+  createTaskLine,
+  setTaskCompletion,
+  setTaskPriority,
+  jsTodoTxt
+} = require('./todo-txt');
+
+/*
+ * Task-level changes of the files in a store, shared by the task API and the command
+ * line tool working on a local directory. Task IDs are the 1-based line numbers of the
+ * file; changes take the file lock and are written atomically.
+ */
+
+const DONE_FILE_SUFFIX = 'done.txt';
+
+// Reads the task lines of a file that must exist
+function readTaskLines(store, name) {
+  const file = store.readFile(name);
+  if (!file) throw new StoreError(404, `File "${name}" not found.`);
+  return { file, lines: parseTaskLines(file.content) };
+}
+
+// Returns the line index of a task ID, or throws 404 if there is no such task
+function getTaskIndex(lines, idParam) {
+  const id = Number(idParam);
+  if (!Number.isInteger(id) || id < 1 || id > lines.length) {
+    throw new StoreError(404, `Task ${idParam} not found.`);
+  }
+  return id - 1;
+}
+
+/**
+ * Changes the tasks of a file under its lock and writes the result atomically.
+ * @param {object} store - The file store.
+ * @param {string} name - The file name.
+ * @param {{ifMatch?: string, create?: boolean}} options - The expected ETag of the file, and
+ *   whether a missing file is created (otherwise 404).
+ * @param {Function} change - Changes the lines array in place; its (possibly async) result is returned.
+ * @returns {Promise<{result: *, file: object}>} The change result and the written version.
+ */
+function updateTaskLines(store, name, options, change) {
+  return store.withLock(name, async () => {
+    const existing = store.readFile(name);
+    if (!existing && !options.create) throw new StoreError(404, `File "${name}" not found.`);
+    const lines = existing ? parseTaskLines(existing.content) : [];
+    const result = await change(lines);
+    const file = store.writeFile(name, serializeTaskLines(lines), { ifMatch: options.ifMatch });
+    return { result, file };
+  });
+}
+
+/**
+ * Lists the tasks of a file.
+ * @param {object} store - The file store.
+ * @param {string} name - The file name.
+ * @returns {{tasks: Array<{id: number, text: string}>, file: object}} The tasks in file order and the file version.
+ */
+function listTasks(store, name) {
+  const { file, lines } = readTaskLines(store, name);
+  return { tasks: lines.map((text, index) => ({ id: index + 1, text })), file };
+}
+
+/**
+ * Adds a task at the end of a file (created if missing), with today's creation date if the
+ * text has none.
+ * @param {object} store - The file store.
+ * @param {string} name - The file name.
+ * @param {string} text - The task text (a single line).
+ * @param {{ifMatch?: string}} [options] - The expected ETag of the file.
+ * @returns {Promise<{task: object, file: object}>} The added task (see describeTask) and the file version.
+ */
+async function addTask(store, name, text, options = {}) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new StoreError(400, 'Send the task as { "text": "..." } or as text/plain.');
+  }
+  if (/[\r\n]/.test(text.trim())) {
+    throw new StoreError(400, 'Add one task per request.');
+  }
+  const { result: task, file } = await updateTaskLines(store, name, { ...options, create: true }, lines => {
+    lines.push(createTaskLine(text));
+    return describeTask(lines.length, lines[lines.length - 1]);
+  });
+  return { task, file };
+}
+
+/**
+ * Completes or reopens a task and/or changes its priority.
+ * @param {object} store - The file store.
+ * @param {string} name - The file name.
+ * @param {number | string} id - The task ID.
+ * @param {{complete?: boolean, priority?: string | null}} changes - The new state (priority null clears it).
+ * @param {{ifMatch?: string}} [options] - The expected ETag of the file.
+ * @returns {Promise<{task: object, nextOccurrence: object | null, file: object}>} The changed task, the next
+ *   occurrence added when completing a recurring task, and the file version.
+ */
+async function updateTask(store, name, id, changes, options = {}) {
+  const { complete, priority } = changes;
+  const { result, file } = await updateTaskLines(store, name, options, async lines => {
+    const index = getTaskIndex(lines, id);
+    let nextOccurrence = null;
+    if (priority !== undefined) {
+      lines[index] = setTaskPriority(lines[index], priority);
+    }
+    if (complete !== undefined) {
+      const completion = await setTaskCompletion(lines[index], complete);
+      lines[index] = completion.text;
+      if (completion.nextOccurrence) {
+        lines.push(completion.nextOccurrence);
+        nextOccurrence = describeTask(lines.length, completion.nextOccurrence);
+      }
+    }
+    return { task: describeTask(index + 1, lines[index]), nextOccurrence };
+  });
+  return { ...result, file };
+}
+
+/**
+ * Deletes a task. The IDs of the following tasks move up by one.
+ * @param {object} store - The file store.
+ * @param {string} name - The file name.
+ * @param {number | string} id - The task ID.
+ * @param {{ifMatch?: string}} [options] - The expected ETag of the file.
+ * @returns {Promise<{text: string, file: object}>} The deleted task line and the file version.
+ */
+async function deleteTask(store, name, id, options = {}) {
+  const { result: text, file } = await updateTaskLines(store, name, options, lines => {
+    return lines.splice(getTaskIndex(lines, id), 1)[0];
+  });
+  return { text, file };
+}
+
+/**
+ * Returns the done file receiving the archived tasks of a file, like the web app:
+ * todo.txt archives into done.txt, any other file into <name>-done.txt.
+ * @param {string} name - The file name.
+ * @returns {string | null} The done file name, or null for a done file itself.
+ */
+function getDoneFileName(name) {
+  if (name === DONE_FILE_SUFFIX || name.endsWith(`-${DONE_FILE_SUFFIX}`)) return null;
+  if (name === 'todo.txt') return DONE_FILE_SUFFIX;
+  return `${name.replace(/\.txt$/i, '')}-${DONE_FILE_SUFFIX}`;
+}
+
+/**
+ * Splits task lines into the open ones and the completed ones to archive.
+ * @param {string[]} lines - The task lines.
+ * @returns {{remaining: string[], archived: string[]}}
+ */
+function splitCompletedLines(lines) {
+  const remaining = [];
+  const archived = [];
+  lines.forEach(line => (new jsTodoTxt.Item(line).complete() ? archived : remaining).push(line));
+  return { remaining, archived };
+}
+
+/**
+ * Moves the completed tasks of a file to its done file (appended). The done file is
+ * written first, so an interruption can duplicate but never lose tasks.
+ * @param {object} store - The file store.
+ * @param {string} name - The file name.
+ * @returns {Promise<{archived: string[], doneFile: string}>} The archived lines and the done file name.
+ */
+async function archiveTasks(store, name) {
+  const doneFile = getDoneFileName(name);
+  if (!doneFile) throw new StoreError(400, `"${name}" is a done file.`);
+  return store.withLock(name, () => store.withLock(doneFile, () => {
+    const { lines } = readTaskLines(store, name);
+    const { remaining, archived } = splitCompletedLines(lines);
+    if (archived.length > 0) {
+      const done = store.readFile(doneFile);
+      store.writeFile(doneFile, serializeTaskLines([...(done ? parseTaskLines(done.content) : []), ...archived]));
+      store.writeFile(name, serializeTaskLines(remaining));
+    }
+    return { archived, doneFile };
+  }));
+}
+
+module.exports = {
+  listTasks,
+  addTask,
+  updateTask,
+  deleteTask,
+  archiveTasks,
+  getDoneFileName,
+  splitCompletedLines
+};
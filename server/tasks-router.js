@@ -0,0 +1,120 @@
+'use strict';
+
+const express = require('express');
+const { StoreError } = require('./file-store');
+const { jsTodoTxt, loadAppModules, getTodayDateString, describeTask } = require('./todo-txt');
+const { listTasks, addTask, updateTask, deleteTask } = require('./task-operations');
+
+/*
+ * Task API of a todo file, mounted at /api/files/:file/tasks (see task-operations.js).
+ * Task IDs are the 1-based line numbers of the file. If-Match with the file's ETag
+ * makes changes fail (412) if the file changed since it was read.
+ *   GET    /?query=…&sort=…  List the tasks, optionally filtered with the search query language and sorted
+ *   POST   /                 Add a task ({ "text": "..." } or text/plain); today's creation date is added if missing
+ *   PATCH  /:id              Complete or reopen ({ "complete": true }) and/or reprioritize ({ "priority": "A" | null })
+ *   DELETE /:id              Delete a task
+ */
+
+const PRIORITY_PATTERN = /^[A-Z]$/;
+
+function sendError(res, error) {
+  if (error instanceof StoreError) {
+    res.status(error.status).json({ error: error.message });
+  } else {
+    console.error('Task API error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+function setVersionHeaders(res, file) {
+  res.set('ETag', file.etag);
+  res.set('Last-Modified', new Date(file.modified).toUTCString());
+}
+
+/**
+ * Creates the router of the task API.
+ * @param {object} store - A store created by createFileStore.
+ * @returns {express.Router}
+ */
+function createTasksRouter(store) {
+  const router = express.Router({ mergeParams: true });
+
+  router.get('/', async (req, res) => {
+    try {
+      const { parseQuery, evaluateQuery, QueryError, sortItems, SORT_OPTIONS } = await loadAppModules();
+      const sortKey = req.query.sort;
+      if (sortKey !== undefined && !Object.prototype.hasOwnProperty.call(SORT_OPTIONS, sortKey)) {
+        throw new StoreError(400, `Unknown sort "${sortKey}". Use one of: ${Object.keys(SORT_OPTIONS).join(', ')}.`);
+      }
+      let tree;
+      try {
+        tree = parseQuery(String(req.query.query || ''));
+      } catch (error) {
+        if (error instanceof QueryError) throw new StoreError(400, error.message);
+        throw error;
+      }
+
+      const { tasks: allTasks, file } = listTasks(store, req.params.file);
+      const context = { today: getTodayDateString() };
+      let tasks = allTasks
+        .map(task => ({ ...task, item: new jsTodoTxt.Item(task.text) }))
+        .filter(task => evaluateQuery(tree, task.item, context));
+      if (sortKey) {
+        tasks = sortItems(tasks, sortKey, task => task.item);
+      }
+      setVersionHeaders(res, file);
+      res.json(tasks.map(task => describeTask(task.id, task.text)));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.post('/', async (req, res) => {
+    try {
+      const text = typeof req.body === 'string' ? req.body : req.body?.text;
+      const { task, file } = await addTask(store, req.params.file, text, { ifMatch: req.get('If-Match') });
+      setVersionHeaders(res, file);
+      res.set('Location', `${req.baseUrl}/${task.id}`);
+      res.status(201).json(task);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.patch('/:id', async (req, res) => {
+    try {
+      const { complete, priority } = req.body || {};
+      if (complete === undefined && priority === undefined) {
+        throw new StoreError(400, 'Send { "complete": true | false } and/or { "priority": "A"-"Z" | null }.');
+      }
+      if (complete !== undefined && typeof complete !== 'boolean') {
+        throw new StoreError(400, '"complete" must be true or false.');
+      }
+      if (priority !== undefined && priority !== null && !PRIORITY_PATTERN.test(priority)) {
+        throw new StoreError(400, '"priority" must be a letter from A to Z, or null to clear it.');
+      }
+
+      const { task, nextOccurrence, file } = await updateTask(store, req.params.file, req.params.id, { complete, priority }, {
+        ifMatch: req.get('If-Match')
+      });
+      setVersionHeaders(res, file);
+      res.json({ ...task, nextOccurrence });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.delete('/:id', async (req, res) => {
+    try {
+      const { file } = await deleteTask(store, req.params.file, req.params.id, { ifMatch: req.get('If-Match') });
+      setVersionHeaders(res, file);
+      res.status(204).end();
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createTasksRouter };
@@ -0,0 +1,152 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const vm = require('vm');
+
+/*
+ * Todo.txt handling shared with the web app. The jsTodoTxt bundle loaded by the page
+ * is evaluated here as well (defining the same jsTodoTxt global the browser modules
+ * use), and the browser-free modules of the app are imported as they are, so tasks
+ * are parsed, serialized, filtered and sorted exactly like in the web app.
+ */
+
+const APP_SCRIPTS_DIR = path.join(__dirname, '..', 'assets', 'js');
+
+const jsTodoTxt = vm.runInThisContext(
+  `${fs.readFileSync(path.join(APP_SCRIPTS_DIR, 'lib', 'jstodotxt.min.js'), 'utf8')};jsTodoTxt`,
+  { filename: 'jstodotxt.min.js' }
+);
+
+let appModulesPromise = null;
+
+/**
+ * Imports the query, sorting, recurrence and calendar modules of the web app (ES modules).
+ * @returns {Promise<object>} Their exports, merged into one object.
+ */
+function loadAppModules() {
+  if (!appModulesPromise) {
+    const load = file => import(pathToFileURL(path.join(APP_SCRIPTS_DIR, file)).href);
+    appModulesPromise = Promise.all([load('todo-query.js'), load('todo-sort.js'), load('todo-recurrence.js'), load('todo-ical.js')])
+      .then(modules => Object.assign({}, ...modules));
+  }
+  return appModulesPromise;
+}
+
+// Today's date as YYYY-MM-DD (local time, like the web app)
+function getTodayDateString() {
+  const today = new Date();
+  const year = today.getFullYear();
+  const month = String(today.getMonth() + 1).padStart(2, '0');
+  const day = String(today.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Splits file content into task lines. Blank lines are dropped, as the web app does
+ * when it loads a file, so task IDs match the line numbers of the saved file.
+ * @param {string} content - The file content.
+ * @returns {string[]} The task lines.
+ */
+function parseTaskLines(content) {
+  return content.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+}
+
+/**
+ * Joins task lines into file content, the way the web app uploads a file.
+ * @param {string[]} lines - The task lines.
+ * @returns {string} The file content.
+ */
+function serializeTaskLines(lines) {
+  return lines.join('\n');
+}
+
+/**
+ * Describes a task for API responses.
+ * @param {number} id - The task ID (1-based line number).
+ * @param {string} text - The task line.
+ * @returns {object} The task with its parsed fields.
+ */
+function describeTask(id, text) {
+  const item = new jsTodoTxt.Item(text);
+  return {
+    id,
+    text,
+    complete: item.complete(),
+    priority: item.priority() || null,
+    created: item.createdToString() || null,
+    completed: item.completedToString() || null,
+    body: item.body(),
+    projects: item.projects(),
+    contexts: item.contexts(),
+    extensions: Object.fromEntries(item.extensions().map(ext => [ext.key, ext.value]))
+  };
+}
+
+/**
+ * Builds the line of a new task, adding today's creation date unless the text has one.
+ * @param {string} text - The task text.
+ * @returns {string} The task line.
+ */
+function createTaskLine(text) {
+  const item = new jsTodoTxt.Item(text.trim());
+  if (!item.created()) {
+    item.setCreated(getTodayDateString());
+  }
+  return item.toString();
+}
+
+/**
+ * Marks a task as done or not done, like the completion toggle of the web app:
+ * completing removes the priority and sets the completion date if the task has a
+ * creation date, and a recurring task (rec:) yields its next occurrence.
+ * @param {string} text - The task line.
+ * @param {boolean} complete - The new completion state.
+ * @returns {Promise<{text: string, nextOccurrence: string | null}>} The new task line
+ *   and the line of the next occurrence to add, if any.
+ */
+async function setTaskCompletion(text, complete) {
+  const item = new jsTodoTxt.Item(text);
+  if (item.complete() === complete) return { text, nextOccurrence: null };
+
+  item.setComplete(complete);
+  if (!complete) {
+    item.clearCompleted();
+    return { text: item.toString(), nextOccurrence: null };
+  }
+  item.clearPriority();
+  if (item.created()) {
+    item.setCompleted(getTodayDateString());
+  }
+  const { createNextOccurrence } = await loadAppModules();
+  return { text: item.toString(), nextOccurrence: createNextOccurrence(text, getTodayDateString()) };
+}
+
+/**
+ * Sets or clears the priority of a task.
+ * @param {string} text - The task line.
+ * @param {string | null} priority - A priority letter (A-Z), or null to clear it.
+ * @returns {string} The new task line.
+ */
+function setTaskPriority(text, priority) {
+  const item = new jsTodoTxt.Item(text);
+  if (priority) {
+    item.setPriority(priority);
+  } else {
+    item.clearPriority();
+  }
+  return item.toString();
+}
+
+module.exports = {
+  jsTodoTxt,
+  loadAppModules,
+  getTodayDateString,
+  parseTaskLines,
+  serializeTaskLines,
+  describeTask,
+  createTaskLine,
+  setTaskCompletion,
+  setTaskPriority
+};
@@ -0,0 +1,148 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/*
+ * Users of the server, kept in a JSON config file:
+ *   { "users": { "alice": { "password": "scrypt:<salt>:<hash>", "tokens": [{ "name": "laptop", "hash": "sha256:<hash>" }] } } }
+ * Only hashes are stored: passwords with scrypt, API tokens with SHA-256 (they are random, so
+ * a fast hash is enough). The file is re-read when it changes, so users can be managed
+ * with server/manage-users.js while the server runs.
+ */
+
+const USER_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i; // Also used as the name of the user's data directory
+const SCRYPT_KEY_LENGTH = 64;
+
+/**
+ * Hashes a password for the config file.
+ * @param {string} password - The password.
+ * @returns {string} The hash as 'scrypt:<salt>:<hash>' (hex).
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH);
+  return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+/**
+ * Checks a password against a stored hash.
+ * @param {string} password - The password to check.
+ * @param {string} storedHash - A hash created by hashPassword.
+ * @returns {boolean} True if the password matches.
+ */
+function verifyPassword(password, storedHash) {
+  const [scheme, salt, hash] = String(storedHash || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'hex'), expected.length);
+  return expected.length > 0 && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Generates a new API token.
+ * @returns {string} The token (shown once, only its hash is stored).
+ */
+function generateToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Hashes an API token for the config file.
+ * @param {string} token - The token.
+ * @returns {string} The hash as 'sha256:<hash>' (hex).
+ */
+function hashToken(token) {
+  return `sha256:${crypto.createHash('sha256').update(String(token)).digest('hex')}`;
+}
+
+function isValidUserName(name) {
+  return typeof name === 'string' && USER_NAME_PATTERN.test(name);
+}
+
+/**
+ * Reads a users config file.
+ * @param {string} configPath - The path of the file.
+ * @returns {{users: Object<string, {password?: string, tokens?: Array<{name: string, hash: string}>}>}}
+ *   The config; empty if the file does not exist.
+ */
+function readUsersConfig(configPath) {
+  if (!fs.existsSync(configPath)) return { users: {} };
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  return { ...config, users: config.users || {} };
+}
+
+/**
+ * Writes a users config file, readable by its owner only.
+ * @param {string} configPath - The path of the file.
+ * @param {object} config - The config.
+ */
+function writeUsersConfig(configPath, config) {
+  fs.mkdirSync(path.dirname(configPath), { recursive: true });
+  const tempPath = `${configPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, `${JSON.stringify(config, null, 2)}\n`, { encoding: 'utf8', mode: 0o600 });
+  fs.renameSync(tempPath, configPath);
+}
+
+/**
+ * Creates the user directory backed by a config file.
+ * @param {string} configPath - The path of the users config file.
+ * @returns {{configPath: string, authenticatePassword: Function, authenticateToken: Function}}
+ */
+function createUserDirectory(configPath) {
+  let cachedConfig = null;
+  let cachedMtime = null;
+
+  // Re-reads the file when it changed; keeps the last valid config if it cannot be parsed
+  function getUsers() {
+    try {
+      const mtime = fs.statSync(configPath).mtimeMs;
+      if (mtime !== cachedMtime) {
+        cachedConfig = readUsersConfig(configPath);
+        cachedMtime = mtime;
+      }
+    } catch (error) {
+      console.error(`Could not read the users file ${configPath}:`, error.message);
+    }
+    return cachedConfig ? cachedConfig.users : {};
+  }
+
+  /**
+   * Checks a user name and password.
+   * @param {string} name - The user name.
+   * @param {string} password - The password.
+   * @returns {string | null} The user name, or null if the credentials are wrong.
+   */
+  function authenticatePassword(name, password) {
+    if (!isValidUserName(name) || typeof password !== 'string') return null;
+    const user = getUsers()[name];
+    return user && verifyPassword(password, user.password) ? name : null;
+  }
+
+  /**
+   * Finds the user owning an API token.
+   * @param {string} token - The token.
+   * @returns {string | null} The user name, or null if no user has the token.
+   */
+  function authenticateToken(token) {
+    if (typeof token !== 'string' || token.length === 0) return null;
+    const hash = hashToken(token);
+    const entry = Object.entries(getUsers())
+      .find(([name, user]) => isValidUserName(name) && (user.tokens || []).some(t => t.hash === hash));
+    return entry ? entry[0] : null;
+  }
+
+  return { configPath, authenticatePassword, authenticateToken };
+}
+
+module.exports = {
+  createUserDirectory,
+  readUsersConfig,
+  writeUsersConfig,
+  hashPassword,
+  verifyPassword,
+  generateToken,
+  hashToken,
+  isValidUserName
+};
@@ -1,4 +1,4 @@
-const CACHE_NAME = 'todotxt-cache-v1-0-2';
+const CACHE_NAME = 'todotxt-cache-v1-0-3';
 const CACHE_AT_ONCE = false;
 const assetsToCache = [
   '/index.html',
@@ -36,20 +36,46 @@ const assetsToCache = [
   '/assets/js/todo-event-handlers.js',
   '/assets/js/todo-files.js',
   '/assets/js/todo-import.js',
+  '/assets/js/todo-import-formats.js',
   '/assets/js/todo-list-display.js',
   '/assets/js/todo-load.js',
+  '/assets/js/todo-ids.js',
   '/assets/js/todo-logging.js',
+  '/assets/js/todo-merge.js',
   '/assets/js/todo-storage.js',
+  '/assets/js/todo-storage-idb.js',
+  '/assets/js/todo-history.js',
+  '/assets/js/todo-archive.js',
+  '/assets/js/todo-recurrence.js',
+  '/assets/js/todo-query.js',
+  '/assets/js/todo-search.js',
+  '/assets/js/todo-sort.js',
+  '/assets/js/todo-views.js',
+  '/assets/js/todo-versions.js',
+  '/assets/js/todo-ical.js',
+  '/assets/js/todo-export.js',
+  '/assets/js/todo-export-formats.js',
   '/assets/js/todo-ui.js',
   '/assets/js/todo.js',
 
   '/assets/js/dropbox-sync.js',
   '/assets/js/todo-sync-coordinator.js',
+  '/assets/js/todo-sync-scheduler.js',
+  '/assets/js/todo-change-listener.js',
+  '/assets/js/todo-sync-settings.js',
+  '/assets/js/sync-provider.js',
   '/assets/js/dropbox/config.js',
   '/assets/js/dropbox/ui.js',
   '/assets/js/dropbox/auth.js',
   '/assets/js/dropbox/offline.js',
   '/assets/js/dropbox/api.js',
+  '/assets/js/dropbox/content-hash.js',
+  '/assets/js/dropbox/provider.js',
+  '/assets/js/webdav/api.js',
+  '/assets/js/webdav/provider.js',
+  '/assets/js/server/api.js',
+  '/assets/js/server/provider.js',
+  '/assets/js/server/auth.js',
 
   '/img/icons/todotxt.ico',
   '/img/icons/todotxt-32x32.png',
@@ -0,0 +1,133 @@
+'use strict';
+
+// The server's file store, task operations and lock files (server/), in a temporary directory.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStore, computeEtag, StoreError } = require('../server/file-store');
+const { listTasks, addTask, updateTask, deleteTask, archiveTasks } = require('../server/task-operations');
+const { getTodayDateString } = require('../server/todo-txt');
+
+// A store in a fresh temporary directory, removed after the test
+function createTempStore(t, files = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-store-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  Object.entries(files).forEach(([name, content]) => fs.writeFileSync(path.join(dataDir, name), content));
+  return createFileStore(dataDir);
+}
+
+function readLines(store, name) {
+  return fs.readFileSync(path.join(store.rootDir, name), 'utf8').split('\n');
+}
+
+async function assertStoreError(promise, status) {
+  await assert.rejects(promise, error => error instanceof StoreError && error.status === status);
+}
+
+test('adding creates the file and dates the task; IDs are line numbers', async t => {
+  const store = createTempStore(t);
+  const today = getTodayDateString();
+  const { task } = await addTask(store, 'todo.txt', 'Pay rent +Home');
+  assert.strictEqual(task.id, 1);
+  assert.strictEqual(task.text, `${today} Pay rent +Home`);
+  assert.strictEqual((await addTask(store, 'todo.txt', '2026-10-01 Call mom')).task.id, 2);
+  assert.deepStrictEqual(listTasks(store, 'todo.txt').tasks, [
+    { id: 1, text: `${today} Pay rent +Home` },
+    { id: 2, text: '2026-10-01 Call mom' }
+  ]);
+  await assertStoreError(addTask(store, 'todo.txt', 'One\nTwo'), 400);
+  await assertStoreError(addTask(store, '../todo.txt', 'Escape'), 400);
+});
+
+test('updating completes, reopens and reprioritizes by line number', async t => {
+  const store = createTempStore(t, { 'todo.txt': '(A) 2026-10-01 Pay rent due:2026-10-05 rec:+1m\nCall mom\n' });
+  const today = getTodayDateString();
+
+  const completed = await updateTask(store, 'todo.txt', 1, { complete: true });
+  assert.strictEqual(completed.task.text, `x ${today} 2026-10-01 Pay rent due:2026-10-05 rec:+1m`);
+  assert.deepStrictEqual([completed.nextOccurrence.id, completed.nextOccurrence.text], [3, `(A) ${today} Pay rent due:2026-11-05 rec:+1m`]);
+
+  assert.strictEqual((await updateTask(store, 'todo.txt', '2', { priority: 'B' })).task.text, '(B) Call mom');
+  assert.strictEqual((await updateTask(store, 'todo.txt', 2, { priority: null })).task.text, 'Call mom');
+  assert.strictEqual((await updateTask(store, 'todo.txt', 1, { complete: false })).task.text, '2026-10-01 Pay rent due:2026-10-05 rec:+1m');
+  assert.strictEqual(readLines(store, 'todo.txt').length, 3);
+
+  await assertStoreError(updateTask(store, 'todo.txt', 4, { complete: true }), 404);
+  await assertStoreError(updateTask(store, 'todo.txt', 'first', { complete: true }), 404);
+  await assertStoreError(updateTask(store, 'missing.txt', 1, { complete: true }), 404);
+});
+
+test('deleting moves the IDs of the following tasks up', async t => {
+  const store = createTempStore(t, { 'todo.txt': 'One\nTwo\nThree' });
+  assert.strictEqual((await deleteTask(store, 'todo.txt', 2)).text, 'Two');
+  assert.deepStrictEqual(listTasks(store, 'todo.txt').tasks, [{ id: 1, text: 'One' }, { id: 2, text: 'Three' }]);
+  await assertStoreError(deleteTask(store, 'todo.txt', 3), 404);
+});
+
+test('archiving appends the completed tasks to the done file', async t => {
+  const store = createTempStore(t, {
+    'todo.txt': 'x 2026-10-02 Old task\nOpen task\nx 2026-10-17 2026-10-01 Done task',
+    'done.txt': 'x 2026-09-01 Earlier task'
+  });
+  const { archived, doneFile } = await archiveTasks(store, 'todo.txt');
+  assert.strictEqual(doneFile, 'done.txt');
+  assert.deepStrictEqual(archived, ['x 2026-10-02 Old task', 'x 2026-10-17 2026-10-01 Done task']);
+  assert.deepStrictEqual(readLines(store, 'todo.txt'), ['Open task']);
+  assert.deepStrictEqual(readLines(store, 'done.txt'), ['x 2026-09-01 Earlier task', ...archived]);
+  assert.strictEqual((await archiveTasks(store, 'todo.txt')).archived.length, 0);
+  await assertStoreError(archiveTasks(store, 'done.txt'), 400);
+});
+
+test('changes with an outdated ETag are rejected and leave the file alone', async t => {
+  const store = createTempStore(t, { 'todo.txt': 'One\nTwo' });
+  const { file } = listTasks(store, 'todo.txt');
+  assert.strictEqual(file.etag, computeEtag('One\nTwo'));
+
+  const { file: changed } = await addTask(store, 'todo.txt', '2026-10-01 Three', { ifMatch: file.etag });
+  await assertStoreError(deleteTask(store, 'todo.txt', 1, { ifMatch: file.etag }), 412);
+  await assertStoreError(updateTask(store, 'todo.txt', 1, { complete: true }, { ifMatch: '"outdated"' }), 412);
+  assert.deepStrictEqual(readLines(store, 'todo.txt'), ['One', 'Two', '2026-10-01 Three']);
+  assert.strictEqual(changed.etag, store.readFile('todo.txt').etag);
+
+  assert.throws(() => store.writeFile('todo.txt', 'New', { ifNoneMatch: '*' }), error => error.status === 412);
+  assert.strictEqual(store.writeFile('new.txt', 'New', { ifNoneMatch: '*' }).created, true);
+});
+
+test('writes leave no temporary or lock files behind', async t => {
+  const store = createTempStore(t);
+  await addTask(store, 'todo.txt', 'One');
+  await updateTask(store, 'todo.txt', 1, { complete: true });
+  await archiveTasks(store, 'todo.txt');
+  assert.deepStrictEqual(fs.readdirSync(store.rootDir).sort(), ['done.txt', 'todo.txt']);
+  assert.deepStrictEqual(store.listFiles().map(file => file.name), ['done.txt', 'todo.txt']);
+});
+
+test('concurrent writers wait for the lock instead of overwriting each other', async t => {
+  const store = createTempStore(t, { 'todo.txt': '' });
+  const events = [];
+  const hold = label => store.withLock('todo.txt', async () => {
+    events.push(`${label} start`);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    events.push(`${label} end`);
+  });
+  await Promise.all([hold('first'), hold('second')]);
+  assert.deepStrictEqual(events, ['first start', 'first end', 'second start', 'second end']);
+
+  await Promise.all(['One', 'Two', 'Three', 'Four'].map(text => addTask(store, 'todo.txt', text)));
+  assert.strictEqual(listTasks(store, 'todo.txt').tasks.length, 4);
+});
+
+test('a lock left by a crashed writer is taken over', async t => {
+  const store = createTempStore(t, { 'todo.txt': 'One' });
+  const lockPath = path.join(store.rootDir, '.todo.txt.lock');
+  fs.writeFileSync(lockPath, '999999');
+  const longAgo = new Date(Date.now() - 60 * 1000);
+  fs.utimesSync(lockPath, longAgo, longAgo);
+
+  await Promise.all([addTask(store, 'todo.txt', 'Two'), addTask(store, 'todo.txt', 'Three')]);
+  assert.strictEqual(listTasks(store, 'todo.txt').tasks.length, 3);
+  assert.deepStrictEqual(fs.readdirSync(store.rootDir), ['todo.txt']);
+});
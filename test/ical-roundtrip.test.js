@@ -0,0 +1,36 @@
+'use strict';
+
+// Exports tasks as iCalendar and imports them again in time zones on both sides of UTC.
+// Run with `npm test`.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const { jsTodoTxt } = require('../server/todo-txt');
+
+const importModule = file => import(pathToFileURL(path.join(__dirname, '..', 'assets', 'js', file)).href);
+
+const TIME_ZONES = ['America/New_York', 'UTC', 'Europe/Berlin', 'Pacific/Kiritimati'];
+const LINES = [
+  '2026-03-01 Pay rent due:2026-03-05',
+  'x 2026-03-04 2026-03-01 Call the bank t:2026-03-02'
+];
+
+test('iCalendar export keeps creation and completion dates when imported again', async () => {
+  const { buildCalendar } = await importModule('todo-ical.js');
+  const { convertCalendarToLines } = await importModule('todo-import-formats.js');
+  const originalTimeZone = process.env.TZ;
+  try {
+    TIME_ZONES.forEach(timeZone => {
+      process.env.TZ = timeZone;
+      const entries = LINES.map(line => ({ item: new jsTodoTxt.Item(line), file: 'todo.txt' }));
+      const items = convertCalendarToLines(buildCalendar(entries)).lines.map(line => new jsTodoTxt.Item(line));
+      assert.deepStrictEqual(items.map(item => item.createdToString()), ['2026-03-01', '2026-03-01'], timeZone);
+      assert.deepStrictEqual(items.map(item => item.completedToString()), ['', '2026-03-04'], timeZone);
+    });
+  } finally {
+    process.env.TZ = originalTimeZone;
+  }
+});
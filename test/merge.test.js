@@ -0,0 +1,82 @@
+'use strict';
+
+// Line-level diff and three-way merge of todo files (assets/js/todo-merge.js).
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const importModule = file => import(pathToFileURL(path.join(__dirname, '..', 'assets', 'js', file)).href);
+
+// Merges and applies the given choices, returning the merged lines and the number of conflicts
+async function merge(base, local, remote, resolutions = []) {
+  const { mergeThreeWay, applyMergeResolutions } = await importModule('todo-merge.js');
+  const { chunks, conflictCount } = mergeThreeWay(base.join('\n'), local.join('\n'), remote.join('\n'));
+  return { lines: applyMergeResolutions(chunks, resolutions).split('\n'), conflictCount, chunks };
+}
+
+test('diffHunks reports replaced, inserted and deleted ranges', async () => {
+  const { diffHunks } = await importModule('todo-merge.js');
+  assert.deepStrictEqual(diffHunks(['a', 'b', 'c'], ['a', 'B', 'c']), [{ aStart: 1, aEnd: 2, bStart: 1, bEnd: 2 }]);
+  assert.deepStrictEqual(diffHunks(['a', 'b'], ['a', 'new', 'b']), [{ aStart: 1, aEnd: 1, bStart: 1, bEnd: 2 }]);
+  assert.deepStrictEqual(diffHunks(['a', 'b'], ['b']), [{ aStart: 0, aEnd: 1, bStart: 0, bEnd: 0 }]);
+  assert.deepStrictEqual(diffHunks(['a'], ['a']), []);
+});
+
+test('edits of different tasks on both sides merge without conflicts', async () => {
+  const base = ['Pay rent', 'Call mom', 'Buy milk', 'Water plants'];
+  const local = ['x 2026-10-18 Pay rent', 'Call mom', 'Buy milk', 'Water plants'];
+  const remote = ['Pay rent', 'Call mom', 'Buy milk', 'Water plants', 'Book flights'];
+  const { lines, conflictCount } = await merge(base, local, remote);
+  assert.strictEqual(conflictCount, 0);
+  assert.deepStrictEqual(lines, ['x 2026-10-18 Pay rent', 'Call mom', 'Buy milk', 'Water plants', 'Book flights']);
+});
+
+test('an edit on one side only is taken from that side', async () => {
+  const base = ['Pay rent', 'Call mom'];
+  assert.deepStrictEqual((await merge(base, ['Pay rent', '(A) Call mom'], base)).lines, ['Pay rent', '(A) Call mom']);
+  assert.deepStrictEqual((await merge(base, base, ['Call mom'])).lines, ['Call mom']);
+});
+
+test('the same edit on both sides is kept once', async () => {
+  const base = ['Pay rent', 'Call mom'];
+  const edited = ['x 2026-10-18 Pay rent', 'Call mom'];
+  const { lines, conflictCount } = await merge(base, edited, edited);
+  assert.strictEqual(conflictCount, 0);
+  assert.deepStrictEqual(lines, edited);
+});
+
+test('tasks added at the same place on both sides are combined', async () => {
+  const { lines, conflictCount } = await merge(['Pay rent'], ['Pay rent', 'Call mom'], ['Pay rent', 'Buy milk', 'Call mom']);
+  assert.strictEqual(conflictCount, 0);
+  assert.deepStrictEqual(lines, ['Pay rent', 'Call mom', 'Buy milk']);
+});
+
+test('deleting a task that was edited on the other side is a conflict', async () => {
+  const base = ['Pay rent', 'Call mom', 'Buy milk'];
+  const local = ['Pay rent', 'Buy milk'];
+  const remote = ['Pay rent', '(A) Call mom', 'Buy milk'];
+  const { conflictCount, chunks } = await merge(base, local, remote, ['remote']);
+  assert.strictEqual(conflictCount, 1);
+  assert.deepStrictEqual(chunks.find(chunk => chunk.type === 'conflict'), { type: 'conflict', base: ['Call mom'], local: [], remote: ['(A) Call mom'] });
+  assert.deepStrictEqual((await merge(base, local, remote, ['remote'])).lines, remote);
+  assert.deepStrictEqual((await merge(base, local, remote, ['local'])).lines, local);
+  assert.deepStrictEqual((await merge(base, local, remote, ['both'])).lines, remote);
+});
+
+test('duplicate lines are counted, not collapsed', async () => {
+  const base = ['Stretch', 'Stretch', 'Read'];
+  const { lines, conflictCount } = await merge(base, ['Stretch', 'Stretch', 'Stretch', 'Read'], ['Stretch', 'Stretch', 'Read', 'Nap']);
+  assert.strictEqual(conflictCount, 0);
+  assert.deepStrictEqual(lines, ['Stretch', 'Stretch', 'Stretch', 'Read', 'Nap']);
+  assert.deepStrictEqual((await merge(['Stretch', 'Stretch'], ['Stretch'], ['Stretch', 'Stretch'])).lines, ['Stretch']);
+});
+
+test('applying a merge without a choice for every conflict throws', async () => {
+  const { mergeThreeWay, applyMergeResolutions } = await importModule('todo-merge.js');
+  const { chunks } = mergeThreeWay('a\nb\nc\nd', 'a\nB1\nc\nD1', 'a\nB2\nc\nD2');
+  assert.throws(() => applyMergeResolutions(chunks, []), /No choice made for conflict 1 of the merge\./);
+  assert.throws(() => applyMergeResolutions(chunks, ['local']), /No choice made for conflict 2 of the merge\./);
+  assert.strictEqual(applyMergeResolutions(chunks, ['local', 'remote']), 'a\nB1\nc\nD2');
+});
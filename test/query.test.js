@@ -0,0 +1,99 @@
+'use strict';
+
+// Search query parsing and evaluation (assets/js/todo-query.js).
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const { jsTodoTxt } = require('../server/todo-txt');
+
+const importModule = file => import(pathToFileURL(path.join(__dirname, '..', 'assets', 'js', file)).href);
+
+const TODAY = '2026-10-18';
+const TASKS = [
+  '(A) 2026-10-01 Buy milk +Shopping @store due:2026-10-20',
+  '(C) Call mom about the trip @phone due:2026-10-25',
+  'x 2026-10-17 2026-10-02 Pay rent +Home due:2026-10-05',
+  'Water plants +Home t:2026-10-19 rec:2d',
+  'Read "Dune" @home'
+];
+
+// The first words of the tasks matching the query, in list order
+async function search(query) {
+  const { parseQuery, evaluateQuery } = await importModule('todo-query.js');
+  const tree = parseQuery(query);
+  return TASKS.map(text => new jsTodoTxt.Item(text))
+    .filter(item => evaluateQuery(tree, item, { today: TODAY }))
+    .map(item => item.body().split(' ')[0]);
+}
+
+test('an empty query matches everything', async () => {
+  assert.deepStrictEqual(await search(''), ['Buy', 'Call', 'Pay', 'Water', 'Read']);
+  assert.deepStrictEqual(await search('   '), ['Buy', 'Call', 'Pay', 'Water', 'Read']);
+});
+
+test('free text, quoted phrases, projects and contexts', async () => {
+  assert.deepStrictEqual(await search('MILK'), ['Buy']);
+  assert.deepStrictEqual(await search('"about the trip"'), ['Call']);
+  assert.deepStrictEqual(await search('"the mom"'), []);
+  assert.deepStrictEqual(await search('+home'), ['Pay', 'Water']);
+  assert.deepStrictEqual(await search('@home'), ['Read']);
+  assert.deepStrictEqual(await search('rec:2d'), ['Water']);
+});
+
+test('AND binds tighter than OR, NOT tighter than AND', async () => {
+  assert.deepStrictEqual(await search('+Home water OR milk'), ['Buy', 'Water']);
+  assert.deepStrictEqual(await search('+Home AND (water OR milk)'), ['Water']);
+  assert.deepStrictEqual(await search('NOT +Home OR rent'), ['Buy', 'Call', 'Pay', 'Read']);
+  assert.deepStrictEqual(await search('NOT (+Home OR rent)'), ['Buy', 'Call', 'Read']);
+  assert.deepStrictEqual(await search('milk OR call AND @phone'), ['Buy', 'Call']);
+});
+
+test('a leading dash negates a term or group', async () => {
+  assert.deepStrictEqual(await search('+Home -rent'), ['Water']);
+  assert.deepStrictEqual(await search('-(+Home OR @store)'), ['Call', 'Read']);
+});
+
+test('priorities', async () => {
+  assert.deepStrictEqual(await search('pri:A'), ['Buy']);
+  assert.deepStrictEqual(await search('pri:C-A'), ['Buy', 'Call']);
+  assert.deepStrictEqual(await search('pri:none'), ['Pay', 'Water', 'Read']);
+});
+
+test('dates compare against today, fixed dates and offsets', async () => {
+  assert.deepStrictEqual(await search('due:<today'), ['Pay']);
+  assert.deepStrictEqual(await search('due:<today+3'), ['Buy', 'Pay']);
+  assert.deepStrictEqual(await search('due:<=+7d'), ['Buy', 'Call', 'Pay']);
+  assert.deepStrictEqual(await search('due:>=2026-10-20 due:<=2026-10-24'), ['Buy']);
+  assert.deepStrictEqual(await search('t:tomorrow'), ['Water']);
+  assert.deepStrictEqual(await search('due:none'), ['Water', 'Read']);
+  assert.deepStrictEqual(await search('created:2026-10-01'), ['Buy']);
+  assert.deepStrictEqual(await search('completed:yesterday'), ['Pay']);
+});
+
+test('completion state', async () => {
+  assert.deepStrictEqual(await search('is:done'), ['Pay']);
+  assert.deepStrictEqual(await search('is:open +Home'), ['Water']);
+});
+
+test('malformed queries throw a QueryError', async () => {
+  const { parseQuery, QueryError } = await importModule('todo-query.js');
+  ['(milk', 'milk)', '"milk', 'milk OR', 'AND milk', 'NOT', 'pri:AB', 'is:later', 'due:<soon', 'due:+3x'].forEach(query => {
+    assert.throws(() => parseQuery(query), QueryError, query);
+  });
+});
+
+test('created: and completed: compare the written dates in any time zone', async () => {
+  const originalTimeZone = process.env.TZ;
+  try {
+    for (const timeZone of ['Europe/Berlin', 'America/New_York']) {
+      process.env.TZ = timeZone;
+      assert.deepStrictEqual(await search('created:2026-10-01'), ['Buy'], timeZone);
+      assert.deepStrictEqual(await search('completed:>=2026-10-17'), ['Pay'], timeZone);
+    }
+  } finally {
+    process.env.TZ = originalTimeZone;
+  }
+});
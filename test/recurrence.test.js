@@ -0,0 +1,63 @@
+'use strict';
+
+// rec: parsing and next occurrences of recurring tasks (assets/js/todo-recurrence.js).
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+require('../server/todo-txt');
+
+const importModule = file => import(pathToFileURL(path.join(__dirname, '..', 'assets', 'js', file)).href);
+
+test('rec: values are parsed, invalid ones rejected', async () => {
+  const { parseRecurrence } = await importModule('todo-recurrence.js');
+  assert.deepStrictEqual(parseRecurrence('1w'), { strict: false, amount: 1, unit: 'w' });
+  assert.deepStrictEqual(parseRecurrence('+2M'), { strict: true, amount: 2, unit: 'm' });
+  assert.deepStrictEqual(parseRecurrence('b'), { strict: false, amount: 1, unit: 'b' });
+  ['1x', '0d', '', '-1d', '1.5d', 'd1'].forEach(value => assert.strictEqual(parseRecurrence(value), null, value));
+  assert.strictEqual(parseRecurrence(undefined), null);
+});
+
+test('months and years keep the day of month where possible', async () => {
+  const { addInterval } = await importModule('todo-recurrence.js');
+  assert.strictEqual(addInterval('2026-01-31', 1, 'm'), '2026-02-28');
+  assert.strictEqual(addInterval('2028-01-31', 1, 'm'), '2028-02-29');
+  assert.strictEqual(addInterval('2026-03-31', 1, 'm'), '2026-04-30');
+  assert.strictEqual(addInterval('2026-12-15', 1, 'm'), '2027-01-15');
+  assert.strictEqual(addInterval('2028-02-29', 1, 'y'), '2029-02-28');
+});
+
+test('days, weeks and business days', async () => {
+  const { addInterval } = await importModule('todo-recurrence.js');
+  assert.strictEqual(addInterval('2026-10-30', 3, 'd'), '2026-11-02');
+  assert.strictEqual(addInterval('2026-03-25', 1, 'w'), '2026-04-01'); // Across the DST change in Europe
+  assert.strictEqual(addInterval('2026-10-16', 1, 'b'), '2026-10-19'); // Friday to Monday
+  assert.strictEqual(addInterval('2026-10-16', 5, 'b'), '2026-10-23');
+  assert.strictEqual(addInterval('2026-10-17', 1, 'b'), '2026-10-19'); // From a Saturday
+});
+
+test('strict recurrences move the due date from the old due date', async () => {
+  const { createNextOccurrence } = await importModule('todo-recurrence.js');
+  assert.strictEqual(createNextOccurrence('Pay rent due:2026-01-31 rec:+1m', '2026-02-03'), 'Pay rent due:2026-02-28 rec:+1m');
+  assert.strictEqual(createNextOccurrence('Pay rent due:2026-01-31 rec:1m', '2026-02-03'), 'Pay rent due:2026-03-03 rec:1m');
+});
+
+test('the threshold date keeps its distance to the due date', async () => {
+  const { createNextOccurrence } = await importModule('todo-recurrence.js');
+  assert.strictEqual(createNextOccurrence('File taxes due:2026-10-20 t:2026-10-13 rec:+1w', '2026-10-18'),
+    'File taxes due:2026-10-27 t:2026-10-20 rec:+1w');
+  assert.strictEqual(createNextOccurrence('Water plants t:2026-10-16 rec:5b', '2026-10-16'), 'Water plants t:2026-10-23 rec:5b');
+  assert.strictEqual(createNextOccurrence('Stretch rec:2d', '2026-10-18'), 'Stretch rec:2d due:2026-10-20');
+});
+
+test('the next occurrence is open and gets a creation date only if the original had one', async () => {
+  const { createNextOccurrence } = await importModule('todo-recurrence.js');
+  assert.strictEqual(createNextOccurrence('(A) 2026-10-01 Pay rent due:2026-10-05 rec:1m', '2026-10-18'),
+    '(A) 2026-10-18 Pay rent due:2026-11-18 rec:1m');
+  assert.strictEqual(createNextOccurrence('x 2026-10-18 2026-10-01 Pay rent due:2026-10-05 rec:+1m', '2026-10-18'),
+    '2026-10-18 Pay rent due:2026-11-05 rec:+1m');
+  assert.strictEqual(createNextOccurrence('Pay rent due:2026-10-05 rec:1x', '2026-10-18'), null);
+  assert.strictEqual(createNextOccurrence('Pay rent due:2026-10-05', '2026-10-18'), null);
+});
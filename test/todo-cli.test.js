@@ -0,0 +1,100 @@
+'use strict';
+
+// The command line client (todo-cli.js) on a temporary directory.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { jsTodoTxt, loadAppModules, getTodayDateString } = require('../server/todo-txt');
+
+const CLI_PATH = path.join(__dirname, '..', 'todo-cli.js');
+
+// A fresh temporary directory holding the given files, removed after the test
+function createTempDir(t, files = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-cli-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  Object.entries(files).forEach(([name, content]) => fs.writeFileSync(path.join(dir, name), content));
+  return dir;
+}
+
+// Runs the client on the directory and returns its exit code and output lines
+function runCli(dir, ...args) {
+  const result = spawnSync(process.execPath, [CLI_PATH, `--dir=${dir}`, ...args], { encoding: 'utf8', timeout: 30000 });
+  return { status: result.status, lines: result.stdout.split('\n').filter(Boolean), stderr: result.stderr };
+}
+
+function readLines(dir, name) {
+  return fs.readFileSync(path.join(dir, name), 'utf8').split('\n');
+}
+
+test('add, do on a recurring task, pri, del and archive', t => {
+  const dir = createTempDir(t);
+  const today = getTodayDateString();
+
+  assert.deepStrictEqual(runCli(dir, 'add', 'Pay rent +Home due:2026-10-05 rec:+1m').lines,
+    [`1 ${today} Pay rent +Home due:2026-10-05 rec:+1m`, 'TODO: 1 added.']);
+  assert.deepStrictEqual(runCli(dir, 'a', 'Call mom @phone').lines, [`2 ${today} Call mom @phone`, 'TODO: 2 added.']);
+
+  assert.deepStrictEqual(runCli(dir, 'pri', '2', 'b').lines, [`2 (B) ${today} Call mom @phone`, 'TODO: 2 prioritized (B).']);
+
+  assert.deepStrictEqual(runCli(dir, 'do', '1').lines, [
+    `1 x ${today} ${today} Pay rent +Home due:2026-10-05 rec:+1m`,
+    'TODO: 1 marked as done.',
+    `3 ${today} Pay rent +Home due:2026-11-05 rec:+1m`,
+    'TODO: 3 added (next occurrence).'
+  ]);
+
+  assert.deepStrictEqual(runCli(dir, 'rm', '2').lines, [`2 (B) ${today} Call mom @phone`, 'TODO: 2 deleted.']);
+
+  assert.deepStrictEqual(runCli(dir, 'archive').lines, [
+    `x ${today} ${today} Pay rent +Home due:2026-10-05 rec:+1m`,
+    'TODO: todo.txt archived (1 task(s) moved to done.txt).'
+  ]);
+  assert.deepStrictEqual(readLines(dir, 'todo.txt'), [`${today} Pay rent +Home due:2026-11-05 rec:+1m`]);
+  assert.deepStrictEqual(readLines(dir, 'done.txt'), [`x ${today} ${today} Pay rent +Home due:2026-10-05 rec:+1m`]);
+  assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['done.txt', 'todo.txt']);
+});
+
+test('ls filters by terms and pads the IDs', t => {
+  const lines = ['Pay rent +Home', 'Call mom', 'Buy milk +Home', 'Water plants', 'Read', 'Nap', 'Stretch', 'Cook', 'Walk', 'Rest +Home'];
+  const dir = createTempDir(t, { 'todo.txt': lines.join('\n') });
+  assert.deepStrictEqual(runCli(dir, 'ls', '+home', '-milk').lines,
+    ['01 Pay rent +Home', '10 Rest +Home', '--', 'TODO: 2 of 10 tasks shown']);
+  assert.deepStrictEqual(runCli(dir, 'ls').lines.slice(-1), ['TODO: 10 of 10 tasks shown']);
+});
+
+test('ls lists the tasks in the order of sortItems for every --sort', async t => {
+  const lines = [
+    'Water plants due:2026-10-20',
+    '(B) 2026-10-03 call mom due:2026-10-19',
+    'x 2026-10-17 2026-10-01 Pay rent due:2026-10-05',
+    '2026-10-02 Buy milk',
+    '(A) Answer email due:2026-10-19',
+    '(B) 2026-10-03 Book flights'
+  ];
+  const dir = createTempDir(t, { 'todo.txt': lines.join('\n') });
+  const { sortItems, SORT_OPTIONS } = await loadAppModules();
+  const tasks = lines.map((text, index) => ({ id: index + 1, item: new jsTodoTxt.Item(text) }));
+
+  for (const sort of Object.keys(SORT_OPTIONS)) {
+    const { status, lines: output } = runCli(dir, 'ls', `--sort=${sort}`);
+    assert.strictEqual(status, 0, sort);
+    const listedIds = output.slice(0, -2).map(line => Number(line.split(' ')[0]));
+    assert.deepStrictEqual(listedIds, sortItems(tasks, sort, task => task.item).map(task => task.id), sort);
+  }
+  assert.deepStrictEqual(runCli(dir, 'ls', '--sort=created').lines.slice(0, 3).map(line => line.split(' ')[0]), ['3', '4', '2']);
+});
+
+test('errors are reported with exit code 1', t => {
+  const dir = createTempDir(t, { 'todo.txt': 'Pay rent' });
+  const unknownSort = runCli(dir, 'ls', '--sort=size');
+  assert.strictEqual(unknownSort.status, 1);
+  assert.match(unknownSort.stderr, /^TODO: Unknown sort "size"/);
+  assert.strictEqual(runCli(dir, 'do', '2').status, 1);
+  assert.strictEqual(runCli(dir, 'pri', '1', '1').status, 1);
+  assert.strictEqual(runCli(dir, 'unknown').status, 1);
+  assert.deepStrictEqual(readLines(dir, 'todo.txt'), ['Pay rent']);
+});
@@ -0,0 +1,56 @@
+'use strict';
+
+// Keeping task IDs when file content is replaced (assets/js/todo-ids.js).
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+require('../server/todo-txt');
+
+const importModule = file => import(pathToFileURL(path.join(__dirname, '..', 'assets', 'js', file)).href);
+
+// Reconciles the incoming lines with stored tasks given as { id: text } and returns the resulting IDs
+async function reconcile(existing, lines) {
+  const { reconcileTodoIds } = await importModule('todo-ids.js');
+  const existingObjects = Object.entries(existing).map(([id, text]) => ({ id, text }));
+  const result = reconcileTodoIds(lines, existingObjects);
+  assert.deepStrictEqual(result.map(todo => todo.text), lines);
+  return result.map(todo => (todo.id in existing ? todo.id : 'new'));
+}
+
+test('identical lines keep their IDs, duplicates in order', async () => {
+  const ids = await reconcile({ a1: 'Stretch', a2: 'Stretch', b: 'Read' }, ['Read', 'Stretch', 'Stretch', 'Stretch']);
+  assert.deepStrictEqual(ids, ['b', 'a1', 'a2', 'new']);
+});
+
+test('a priority change keeps the ID', async () => {
+  const ids = await reconcile({ a: '(A) 2026-10-01 Pay rent', b: 'Call mom' }, ['Call mom', '(B) 2026-10-01 Pay rent']);
+  assert.deepStrictEqual(ids, ['b', 'a']);
+});
+
+test('completing a task keeps the ID', async () => {
+  const ids = await reconcile({ a: '2026-10-01 Pay rent +Home', b: 'Pay rent' }, ['x 2026-10-18 2026-10-01 Pay rent +Home', 'Pay rent']);
+  assert.deepStrictEqual(ids, ['a', 'b']);
+});
+
+test('equal bodies prefer the task created on the same day', async () => {
+  const ids = await reconcile({ a: '2026-10-01 Buy milk', b: '2026-10-02 Buy milk' }, ['(A) 2026-10-02 Buy milk', '(B) 2026-10-01 Buy milk']);
+  assert.deepStrictEqual(ids, ['b', 'a']);
+});
+
+test('editing a few words keeps the ID of a task with a creation date', async () => {
+  const ids = await reconcile({ a: '2026-10-01 Call mom about the trip' }, ['2026-10-01 Call mom about the weekend trip']);
+  assert.deepStrictEqual(ids, ['a']);
+  assert.deepStrictEqual(await reconcile({ a: 'Call mom about the trip' }, ['Call mom about the weekend trip']), ['new'],
+    'without a creation date only equal bodies match');
+  assert.deepStrictEqual(await reconcile({ a: '2026-10-01 Call mom about the trip' }, ['2026-10-01 Book a table for dinner']), ['new']);
+});
+
+test('similar tasks created on different days do not swap IDs', async () => {
+  const existing = { a: '2026-10-01 Water the garden plants', b: '2026-10-02 Water the garden plants' };
+  const ids = await reconcile(existing, ['2026-10-02 Water the garden plants today', '2026-10-01 Water the garden plants now']);
+  assert.deepStrictEqual(ids, ['b', 'a']);
+  assert.deepStrictEqual(await reconcile({ a: '2026-10-01 Water the garden plants' }, ['2026-10-03 Water the garden plants today']), ['new']);
+});
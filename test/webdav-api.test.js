@@ -0,0 +1,61 @@
+'use strict';
+
+// Uploads and downloads through the WebDAV provider against the local stand-in server.
+// PROPFIND needs the browser's DOMParser, so metadata and listing are not covered here.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { createWebdavStandIn } = require('./webdav-stand-in');
+
+const importModule = file => import(pathToFileURL(path.join(__dirname, '..', 'assets', 'js', file)).href);
+
+// The settings live in localStorage, so the tests provide one
+function useLocalStorage() {
+  const values = new Map();
+  globalThis.localStorage = {
+    getItem: key => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: key => values.delete(key)
+  };
+}
+
+async function startStandIn(options) {
+  const standIn = createWebdavStandIn(options);
+  await new Promise(resolve => standIn.server.listen(0, '127.0.0.1', resolve));
+  const { setWebdavSettings } = await importModule('webdav/api.js');
+  setWebdavSettings({ url: `http://127.0.0.1:${standIn.server.address().port}/`, username: 'me', password: 'secret' });
+  return standIn;
+}
+
+test('uploads are conditional on the ETag and downloads report it', async t => {
+  useLocalStorage();
+  const standIn = await startStandIn();
+  t.after(() => standIn.server.close());
+  const { uploadWebdavFile, downloadWebdavFile } = await importModule('webdav/api.js');
+
+  const created = await uploadWebdavFile('/todo.txt', 'first\n');
+  assert.ok(created.success);
+  assert.strictEqual(created.metadata.rev, standIn.files.get('todo.txt').etag);
+  assert.ok((await uploadWebdavFile('/todo.txt', 'again\n')).conflict, 'creating an existing file is rejected');
+
+  const updated = await uploadWebdavFile('/todo.txt', 'second\n', created.metadata.rev);
+  assert.ok(updated.success);
+  assert.ok((await uploadWebdavFile('/todo.txt', 'stale\n', created.metadata.rev)).conflict, 'an outdated ETag is rejected');
+
+  const download = await downloadWebdavFile('/todo.txt');
+  assert.deepStrictEqual([download.content, download.metadata.rev], ['second\n', updated.metadata.rev]);
+  assert.deepStrictEqual(await downloadWebdavFile('/missing.txt'), { success: true, content: null });
+});
+
+test('uploads report an unknown version if the ETag header is not exposed', async t => {
+  useLocalStorage();
+  const standIn = await startStandIn({ exposeEtag: false });
+  t.after(() => standIn.server.close());
+  const { uploadWebdavFile } = await importModule('webdav/api.js');
+
+  const created = await uploadWebdavFile('/todo.txt', 'first\n');
+  assert.ok(created.success);
+  assert.strictEqual(created.metadata.rev, null);
+});
@@ -0,0 +1,145 @@
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+
+/*
+ * In-memory stand-in for a WebDAV server (the subset the WebDAV sync provider uses:
+ * PROPFIND, GET, PUT with If-Match / If-None-Match, MOVE and DELETE on a flat folder),
+ * with CORS so the web app can sync against it. Used by the tests, or run it directly:
+ *   node test/webdav-stand-in.js [--port=5080] [--hide-etag]
+ * and connect the app to http://localhost:5080/. --hide-etag does not expose the ETag
+ * header to the browser, like servers without that CORS setting.
+ */
+
+const ALLOWED_HEADERS = 'Authorization, Content-Type, Depth, Destination, Overwrite, If-Match, If-None-Match';
+
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function getFileName(url) {
+  return decodeURIComponent(new URL(url, 'http://localhost').pathname.replace(/^\/+/, ''));
+}
+
+function propfindEntry(href, file) {
+  const props = file
+    ? `<d:getetag>${escapeXml(file.etag)}</d:getetag><d:getlastmodified>${file.modified.toUTCString()}</d:getlastmodified>`
+      + `<d:getcontentlength>${Buffer.byteLength(file.content)}</d:getcontentlength><d:resourcetype/>`
+    : '<d:resourcetype><d:collection/></d:resourcetype>';
+  return `<d:response><d:href>${escapeXml(href)}</d:href><d:propstat><d:prop>${props}</d:prop>`
+    + '<d:status>HTTP/1.1 200 OK</d:status></d:propstat></d:response>';
+}
+
+/**
+ * Creates the stand-in server (not listening yet).
+ * @param {{exposeEtag?: boolean}} [options] - `exposeEtag: false` leaves ETag out of
+ *   Access-Control-Expose-Headers (and of the headers, as a browser would hide it).
+ * @returns {{server: http.Server, files: Map<string, {content: string, etag: string, modified: Date}>}}
+ */
+function createWebdavStandIn(options = {}) {
+  const exposeEtag = options.exposeEtag !== false;
+  const files = new Map();
+  let writeCount = 0;
+
+  function writeFile(name, content) {
+    writeCount++;
+    const hash = crypto.createHash('sha256').update(`${writeCount}\n${content}`).digest('hex').substring(0, 16);
+    files.set(name, { content, etag: `"${hash}"`, modified: new Date() });
+  }
+
+  function sendFileHeaders(res, file) {
+    if (exposeEtag) res.setHeader('ETag', file.etag);
+    res.setHeader('Last-Modified', file.modified.toUTCString());
+  }
+
+  // Whether the If-Match / If-None-Match preconditions of the request hold for the file
+  function preconditionsHold(req, file) {
+    const ifMatch = req.headers['if-match'];
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifMatch && (!file || (ifMatch !== '*' && ifMatch !== file.etag))) return false;
+    if (ifNoneMatch === '*' && file) return false;
+    return true;
+  }
+
+  const server = http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, PROPFIND, MOVE, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', ALLOWED_HEADERS);
+    if (exposeEtag) res.setHeader('Access-Control-Expose-Headers', 'ETag, Last-Modified');
+
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const name = getFileName(req.url);
+      const file = files.get(name);
+
+      switch (req.method) {
+      case 'OPTIONS':
+        res.writeHead(204).end();
+        return;
+      case 'PROPFIND': {
+        if (name && !file) {
+          res.writeHead(404).end();
+          return;
+        }
+        const entries = name
+          ? [propfindEntry(`/${encodeURIComponent(name)}`, file)]
+          : [propfindEntry('/', null), ...(req.headers.depth === '0' ? [] : [...files].map(([fileName, entry]) => propfindEntry(`/${encodeURIComponent(fileName)}`, entry)))];
+        res.writeHead(207, { 'Content-Type': 'application/xml; charset=utf-8' });
+        res.end(`<?xml version="1.0" encoding="utf-8"?><d:multistatus xmlns:d="DAV:">${entries.join('')}</d:multistatus>`);
+        return;
+      }
+      case 'GET':
+        if (!file) {
+          res.writeHead(404).end();
+        } else if (!preconditionsHold(req, file)) {
+          res.writeHead(412).end();
+        } else {
+          sendFileHeaders(res, file);
+          res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' }).end(file.content);
+        }
+        return;
+      case 'PUT':
+        if (!preconditionsHold(req, file)) {
+          res.writeHead(412).end();
+          return;
+        }
+        writeFile(name, body);
+        sendFileHeaders(res, files.get(name));
+        res.writeHead(file ? 204 : 201).end();
+        return;
+      case 'MOVE': {
+        const target = getFileName(req.headers.destination || '');
+        if (!file || !target) {
+          res.writeHead(!file ? 404 : 400).end();
+        } else if (files.has(target) && req.headers.overwrite === 'F') {
+          res.writeHead(412).end();
+        } else {
+          files.delete(name);
+          files.set(target, file);
+          res.writeHead(201).end();
+        }
+        return;
+      }
+      case 'DELETE':
+        res.writeHead(files.delete(name) ? 204 : 404).end();
+        return;
+      default:
+        res.writeHead(405).end();
+      }
+    });
+  });
+
+  return { server, files };
+}
+
+if (require.main === module) {
+  const portArg = process.argv.find(arg => arg.startsWith('--port='));
+  const port = portArg ? Number(portArg.substring('--port='.length)) : 5080;
+  const { server } = createWebdavStandIn({ exposeEtag: !process.argv.includes('--hide-etag') });
+  server.listen(port, () => console.log(`WebDAV stand-in listening on http://localhost:${port}/`));
+}
+
+module.exports = { createWebdavStandIn };
@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { createFileStore, StoreError } = require('./server/file-store');
+const { jsTodoTxt, loadAppModules, parseTaskLines, serializeTaskLines } = require('./server/todo-txt');
+const taskOperations = require('./server/task-operations');
+
+/*
+ * Command line client with the classic todo.sh verbs, working on a local directory of
+ * todo files (taking the same locks as the server) or on the file store of node-server.js.
+ * Tasks are listed in the order of the web app (see assets/js/todo-sort.js).
+ */
+
+const USAGE = `Usage: node todo-cli.js [options] <command> [arguments]
+
+Commands:
+  add|a "THING I NEED TO DO +project @context"   Add a task (today's creation date is added)
+  list|ls [TERM...]                              List the tasks containing all TERMs (-TERM excludes)
+  do ID...                                       Mark tasks as done
+  pri|p ID PRIORITY                              Set the priority (A-Z) of a task
+  depri|dp ID...                                 Remove the priority of tasks
+  del|rm ID                                      Delete a task
+  archive                                        Move the done tasks to done.txt (<name>-done.txt for other files)
+  listproj|lsprj                                 List the projects
+  listcon|lsc                                    List the contexts
+
+Options:
+  --dir=<dir>       Directory holding the todo files (default: $TODO_DIR or the current directory)
+  --server=<url>    Use the file store of node-server.js instead (or $TODO_SERVER)
+  --token=<token>   API token for a server with users (or $TODO_TOKEN)
+  --file=<name>     The todo file (default: todo.txt)
+  --sort=<order>    Order of list: default, due, created or text`;
+
+function getOption(args, name, fallback) {
+  const arg = args.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.substring(name.length + 3) : fallback;
+}
+
+/**
+ * Backend working on a local directory, through the same store and locks as the server.
+ * @param {string} dir - The directory.
+ * @returns {object} The backend operations.
+ */
+function createLocalBackend(dir) {
+  if (!fs.existsSync(dir)) throw new StoreError(404, `Directory ${dir} not found.`);
+  const store = createFileStore(dir);
+  return {
+    async listTasks(file) {
+      return taskOperations.listTasks(store, file).tasks;
+    },
+    async addTask(file, text) {
+      return (await taskOperations.addTask(store, file, text)).task;
+    },
+    async updateTask(file, id, changes) {
+      const { task, nextOccurrence } = await taskOperations.updateTask(store, file, id, changes);
+      return { task, nextOccurrence };
+    },
+    async deleteTask(file, id) {
+      return (await taskOperations.deleteTask(store, file, id)).text;
+    },
+    archive(file) {
+      return taskOperations.archiveTasks(store, file);
+    }
+  };
+}
+
+/**
+ * Backend working on the file store API of node-server.js.
+ * @param {string} serverUrl - The address of the server (e.g. http://localhost:5001).
+ * @param {string} [token] - An API token, if the server has users.
+ * @returns {object} The backend operations.
+ */
+function createServerBackend(serverUrl, token) {
+  const filesUrl = new URL('api/files/', serverUrl.endsWith('/') ? serverUrl : `${serverUrl}/`);
+
+  async function request(method, urlPath, { body, headers = {} } = {}) {
+    const response = await fetch(new URL(urlPath, filesUrl), {
+      method,
+      headers: {
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...(typeof body === 'object' ? { 'Content-Type': 'application/json' } : {}),
+        ...(typeof body === 'string' ? { 'Content-Type': 'text/plain; charset=utf-8' } : {}),
+        ...headers
+      },
+      body: typeof body === 'object' ? JSON.stringify(body) : body
+    });
+    if (!response.ok) {
+      const error = await response.json().catch(() => null);
+      throw new StoreError(response.status, error?.error || `The server answered ${response.status} ${response.statusText}.`);
+    }
+    return response;
+  }
+
+  const taskUrl = (file, id = '') => `${encodeURIComponent(file)}/tasks${id === '' ? '' : `/${encodeURIComponent(id)}`}`;
+
+  // Reads a whole file with its ETag, or null if it does not exist
+  async function readFile(file) {
+    try {
+      const response = await request('GET', encodeURIComponent(file));
+      return { content: await response.text(), etag: response.headers.get('ETag') };
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  }
+
+  return {
+    async listTasks(file) {
+      const tasks = await (await request('GET', taskUrl(file))).json();
+      return tasks.map(task => ({ id: task.id, text: task.text }));
+    },
+    async addTask(file, text) {
+      return (await request('POST', taskUrl(file), { body: { text } })).json();
+    },
+    async updateTask(file, id, changes) {
+      const { nextOccurrence, ...task } = await (await request('PATCH', taskUrl(file, id), { body: changes })).json();
+      return { task, nextOccurrence };
+    },
+    async deleteTask(file, id) {
+      // Deletes the listed version only, so the printed task is the deleted one
+      const response = await request('GET', taskUrl(file));
+      const task = (await response.json()).find(t => t.id === Number(id));
+      if (!task) throw new StoreError(404, `Task ${id} not found.`);
+      await request('DELETE', taskUrl(file, id), { headers: { 'If-Match': response.headers.get('ETag') } });
+      return task.text;
+    },
+    async archive(file) {
+      const doneFile = taskOperations.getDoneFileName(file);
+      if (!doneFile) throw new StoreError(400, `"${file}" is a done file.`);
+      const todo = await readFile(file);
+      if (!todo) throw new StoreError(404, `File "${file}" not found.`);
+      const { remaining, archived } = taskOperations.splitCompletedLines(parseTaskLines(todo.content));
+      if (archived.length > 0) {
+        // Both uploads only succeed if nobody changed the files meanwhile (412 otherwise)
+        const done = await readFile(doneFile);
+        const doneLines = done ? parseTaskLines(done.content) : [];
+        await request('PUT', encodeURIComponent(doneFile), {
+          body: serializeTaskLines([...doneLines, ...archived]),
+          headers: done ? { 'If-Match': done.etag } : { 'If-None-Match': '*' }
+        });
+        await request('PUT', encodeURIComponent(file), { body: serializeTaskLines(remaining), headers: { 'If-Match': todo.etag } });
+      }
+      return { archived, doneFile };
+    }
+  };
+}
+
+// Lists the tasks of a file, or none if it does not exist yet
+async function listTasksOrNone(backend, file) {
+  try {
+    return await backend.listTasks(file);
+  } catch (error) {
+    if (error.status === 404) return [];
+    throw error;
+  }
+}
+
+function formatId(id, width) {
+  return String(id).padStart(width, '0');
+}
+
+function requireIds(ids) {
+  if (ids.length === 0 || ids.some(id => !/^\d+$/.test(id))) {
+    throw new StoreError(400, 'Give the number of the task (see "ls").');
+  }
+  return ids;
+}
+
+const COMMANDS = {
+  async add(backend, file, args) {
+    const text = args.join(' ');
+    if (text.trim() === '') throw new StoreError(400, 'Give the text of the task to add.');
+    const task = await backend.addTask(file, text);
+    console.log(`${task.id} ${task.text}`);
+    console.log(`TODO: ${task.id} added.`);
+  },
+
+  async list(backend, file, args, options) {
+    const { sortItems, SORT_OPTIONS } = await loadAppModules();
+    if (!Object.prototype.hasOwnProperty.call(SORT_OPTIONS, options.sort)) {
+      throw new StoreError(400, `Unknown sort "${options.sort}". Use one of: ${Object.keys(SORT_OPTIONS).join(', ')}.`);
+    }
+    const tasks = await listTasksOrNone(backend, file);
+    const include = args.filter(term => !term.startsWith('-')).map(term => term.toLowerCase());
+    const exclude = args.filter(term => term.startsWith('-') && term.length > 1).map(term => term.substring(1).toLowerCase());
+    const shown = sortItems(tasks.map(task => ({ ...task, item: new jsTodoTxt.Item(task.text) })), options.sort, task => task.item)
+      .filter(task => {
+        const text = task.text.toLowerCase();
+        return include.every(term => text.includes(term)) && !exclude.some(term => text.includes(term));
+      });
+    const width = String(tasks.length).length;
+    shown.forEach(task => console.log(`${formatId(task.id, width)} ${task.text}`));
+    console.log('--');
+    console.log(`TODO: ${shown.length} of ${tasks.length} tasks shown`);
+  },
+
+  async do(backend, file, args) {
+    for (const id of requireIds(args)) {
+      const { task, nextOccurrence } = await backend.updateTask(file, id, { complete: true });
+      console.log(`${task.id} ${task.text}`);
+      console.log(`TODO: ${task.id} marked as done.`);
+      if (nextOccurrence) {
+        console.log(`${nextOccurrence.id} ${nextOccurrence.text}`);
+        console.log(`TODO: ${nextOccurrence.id} added (next occurrence).`);
+      }
+    }
+  },
+
+  async pri(backend, file, args) {
+    const [id, priority] = args;
+    requireIds([id]);
+    if (!/^[A-Z]$/i.test(priority || '')) throw new StoreError(400, 'Give a priority from A to Z.');
+    const { task } = await backend.updateTask(file, id, { priority: priority.toUpperCase() });
+    console.log(`${task.id} ${task.text}`);
+    console.log(`TODO: ${task.id} prioritized (${priority.toUpperCase()}).`);
+  },
+
+  async depri(backend, file, args) {
+    for (const id of requireIds(args)) {
+      const { task } = await backend.updateTask(file, id, { priority: null });
+      console.log(`${task.id} ${task.text}`);
+      console.log(`TODO: ${task.id} deprioritized.`);
+    }
+  },
+
+  async del(backend, file, args) {
+    const [id] = requireIds(args.slice(0, 1));
+    const text = await backend.deleteTask(file, id);
+    console.log(`${id} ${text}`);
+    console.log(`TODO: ${id} deleted.`);
+  },
+
+  async archive(backend, file) {
+    const { archived, doneFile } = await backend.archive(file);
+    archived.forEach(line => console.log(line));
+    console.log(`TODO: ${file} archived (${archived.length} task(s) moved to ${doneFile}).`);
+  },
+
+  async listproj(backend, file) {
+    const tasks = await listTasksOrNone(backend, file);
+    const projects = new Set(tasks.flatMap(task => new jsTodoTxt.Item(task.text).projects()));
+    [...projects].sort((a, b) => a.localeCompare(b)).forEach(project => console.log(`+${project}`));
+  },
+
+  async listcon(backend, file) {
+    const tasks = await listTasksOrNone(backend, file);
+    const contexts = new Set(tasks.flatMap(task => new jsTodoTxt.Item(task.text).contexts()));
+    [...contexts].sort((a, b) => a.localeCompare(b)).forEach(context => console.log(`@${context}`));
+  }
+};
+
+// The short names of todo.sh
+const ALIASES = { a: 'add', ls: 'list', p: 'pri', dp: 'depri', rm: 'del', lsprj: 'listproj', lsc: 'listcon' };
+
+async function main() {
+  const args = process.argv.slice(2);
+  const positional = args.filter(arg => !arg.startsWith('--'));
+  const [commandName, ...commandArgs] = positional;
+  const command = COMMANDS[ALIASES[commandName] || commandName];
+  if (!command || args.includes('--help')) {
+    console.log(USAGE);
+    process.exitCode = command || args.includes('--help') ? 0 : 1;
+    return;
+  }
+
+  const serverUrl = getOption(args, 'server', process.env.TODO_SERVER);
+  const backend = serverUrl
+    ? createServerBackend(serverUrl, getOption(args, 'token', process.env.TODO_TOKEN))
+    : createLocalBackend(path.resolve(getOption(args, 'dir', process.env.TODO_DIR || '.')));
+  const options = { sort: getOption(args, 'sort', 'default') };
+  await command(backend, getOption(args, 'file', 'todo.txt'), commandArgs, options);
+}
+
+main().catch(error => {
+  console.error(error instanceof StoreError ? `TODO: ${error.message}` : error);
+  process.exitCode = 1;
+});